@@ -0,0 +1,126 @@
+/**
+ * spatial-index.bench.js
+ *
+ * Compares the linear scans the editor used to do on every lookup with the
+ * indexed versions (id maps, per-element connection lists, SpatialIndex) on
+ * a synthetic 1,500-element board. Run with `npm run bench`.
+ */
+import { SpatialIndex } from '../src/SpatialIndex.js';
+import { routeOrthogonal, ROUTING_REACH } from '../src/OrthogonalRouter.js';
+
+const COLUMNS = 60;
+const ROWS = 25;
+const WIDTH = 120;
+const HEIGHT = 80;
+const SPACING_X = 200;
+const SPACING_Y = 150;
+
+/**
+ * A board of COLUMNS x ROWS elements, each connected to its right and lower neighbour.
+ * @returns {{elements: Array<Object>, connections: Array<Object>}}
+ */
+function createBoard() {
+    const elements = [];
+    for (let row = 0; row < ROWS; row++) {
+        for (let column = 0; column < COLUMNS; column++) {
+            elements.push({
+                id: `element-${row}-${column}`,
+                x: column * SPACING_X,
+                y: row * SPACING_Y,
+                width: WIDTH,
+                height: HEIGHT,
+                connections: []
+            });
+        }
+    }
+    const connections = [];
+    const connect = (source, target) => {
+        const connection = { id: `connection-${connections.length}`, sourceElement: source, targetElement: target };
+        source.connections.push(connection);
+        target.connections.push(connection);
+        connections.push(connection);
+    };
+    elements.forEach((element, index) => {
+        if ((index + 1) % COLUMNS !== 0) connect(element, elements[index + 1]);
+        if (index + COLUMNS < elements.length) connect(element, elements[index + COLUMNS]);
+    });
+    return { elements, connections };
+}
+
+/**
+ * Average time of one call, in milliseconds.
+ * @param {function(number): *} fn - Called with the iteration number.
+ * @param {number} iterations
+ * @returns {number}
+ */
+function measure(fn, iterations) {
+    for (let i = 0; i < Math.min(iterations, 50); i++) fn(i); // Warm-up
+    const start = performance.now();
+    for (let i = 0; i < iterations; i++) fn(i);
+    return (performance.now() - start) / iterations;
+}
+
+const overlaps = (a, b) =>
+    !(a.x + a.width < b.x || a.x > b.x + b.width || a.y + a.height < b.y || a.y > b.y + b.height);
+const sideMiddle = (element, side) => (side === 'right'
+    ? { x: element.x + element.width, y: element.y + element.height / 2, side }
+    : { x: element.x, y: element.y + element.height / 2, side });
+
+const { elements, connections } = createBoard();
+const index = new SpatialIndex();
+elements.forEach(element => index.insert(element, element));
+const elementsById = new Map(elements.map(element => [element.id, element]));
+const connectionsById = new Map(connections.map(connection => [connection.id, connection]));
+const pick = i => elements[(i * 7919) % elements.length];
+
+const results = [];
+const compare = (name, iterations, linear, indexed) => {
+    results.push({ name, linear: measure(linear, iterations), indexed: measure(indexed, iterations) });
+};
+
+compare('element by id', 20000,
+    i => elements.find(element => element.id === pick(i).id),
+    i => elementsById.get(pick(i).id));
+
+compare('connection by id', 20000,
+    i => connections.find(connection => connection.id === connections[(i * 31) % connections.length].id),
+    i => connectionsById.get(connections[(i * 31) % connections.length].id));
+
+compare('connections of element', 20000,
+    i => connections.filter(c => c.sourceElement.id === pick(i).id || c.targetElement.id === pick(i).id),
+    i => [...pick(i).connections]);
+
+compare('collision check', 20000,
+    i => elements.some(other => other !== pick(i) && overlaps(pick(i), other)),
+    i => index.search(pick(i)).some(other => other !== pick(i)));
+
+const lasso = i => ({ x: (i % 40) * SPACING_X - 50, y: (i % 15) * SPACING_Y - 50, width: 900, height: 600 });
+compare('lasso selection', 5000,
+    i => elements.filter(element => overlaps(element, lasso(i))),
+    i => index.search(lasso(i)));
+
+// One drag step: re-route the moved element's connections (orthogonal)
+const dragStep = (obstaclesFor) => i => {
+    const element = pick(i);
+    element.connections.forEach(connection => {
+        const { sourceElement: source, targetElement: target } = connection;
+        routeOrthogonal(sideMiddle(source, 'right'), sideMiddle(target, 'left'), obstaclesFor(source, target));
+    });
+};
+compare('drag step (orthogonal re-route)', 300,
+    dragStep(() => elements),
+    dragStep((source, target) => {
+        const minX = Math.min(source.x, target.x) - ROUTING_REACH;
+        const minY = Math.min(source.y, target.y) - ROUTING_REACH;
+        const maxX = Math.max(source.x + source.width, target.x + target.width) + ROUTING_REACH;
+        const maxY = Math.max(source.y + source.height, target.y + target.height) + ROUTING_REACH;
+        return index.search({ x: minX, y: minY, width: maxX - minX, height: maxY - minY });
+    }));
+
+console.log(`Board: ${elements.length} elements, ${connections.length} connections\n`);
+console.table(results.map(({ name, linear, indexed }) => ({
+    operation: name,
+    'linear (ms)': linear.toFixed(4),
+    'indexed (ms)': indexed.toFixed(4),
+    speedup: `${(linear / indexed).toFixed(1)}x`
+})));
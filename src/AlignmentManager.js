@@ -0,0 +1,330 @@
+/**
+ * AlignmentManager.js
+ *
+ * Defines the AlignmentManager class: the background grid with snapping of
+ * dragged and dropped elements, alignment guides shown while an element's
+ * edges or center line up with a neighbour, and the align / distribute
+ * commands for multi-element selections. Holding Alt while dragging turns
+ * snapping off.
+ */
+import { CompositeCommand, MoveElementCommand, UpdateConnectionGeometryCommand } from './Commands.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("AlignmentManager");
+
+/**
+ * Spacing of the background grid.
+ */
+export const GRID_SIZE = 20;
+
+/**
+ * Distance (in canvas units) within which an edge or center snaps to a neighbour's.
+ */
+const GUIDE_THRESHOLD = 6;
+
+/**
+ * Extent of the grid background (it behaves as if infinitely large).
+ */
+const GRID_EXTENT = 100000;
+
+/**
+ * localStorage key remembering whether the grid is shown.
+ */
+const GRID_STORAGE_KEY = 'svgjs-em-editor.grid';
+
+/**
+ * Ways to align a selection.
+ * @readonly
+ * @enum {string}
+ */
+export const ALIGN_MODES = {
+    LEFT: 'left',
+    CENTER: 'center',
+    TOP: 'top'
+};
+
+/**
+ * AlignmentManager - Grid, snapping, alignment guides, align and distribute.
+ */
+export class AlignmentManager {
+    /**
+     * Construct an AlignmentManager.
+     * @param {SVG.Svg} canvas - The SVG canvas.
+     * @param {InteractionManager} interactionManager - Provides selection, managers and history; gets the snapper.
+     */
+    constructor(canvas, interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = interactionManager.elementManager;
+
+        /**
+         * Whether the grid is shown and positions snap to it.
+         * @type {boolean}
+         */
+        this.gridEnabled = localStorage.getItem(GRID_STORAGE_KEY) === 'on';
+
+        /**
+         * Background rect filled with the grid pattern; kept behind everything else.
+         * @type {SVG.Rect}
+         */
+        this.gridRect = this.createGrid();
+
+        /**
+         * Group holding the alignment guides of the current drag.
+         * @type {SVG.G}
+         */
+        this.guidesLayer = canvas.group().addClass('alignment-guides');
+
+        interactionManager.snapper = {
+            snapDrag: (element, x, y, event) => this.snapDrag(element, x, y, event),
+            snapPoint: (x, y) => this.snapPoint(x, y),
+            endDrag: () => this.guidesLayer.clear()
+        };
+
+        interactionManager.selectionChanges.subscribe(() => this.updateButtons());
+
+        this.initEvents();
+        this.applyGridVisibility();
+        this.updateButtons();
+    }
+
+    /**
+     * Wire the toolbar buttons.
+     */
+    initEvents() {
+        document.getElementById('toggle-grid')?.addEventListener('click', () => this.setGridEnabled(!this.gridEnabled));
+        document.getElementById('align-left')?.addEventListener('click', () => this.align(ALIGN_MODES.LEFT));
+        document.getElementById('align-center')?.addEventListener('click', () => this.align(ALIGN_MODES.CENTER));
+        document.getElementById('align-top')?.addEventListener('click', () => this.align(ALIGN_MODES.TOP));
+        document.getElementById('distribute-horizontal')?.addEventListener('click', () => this.distributeHorizontally());
+    }
+
+    /**
+     * Define the grid pattern and the background rect using it.
+     * @returns {SVG.Rect}
+     */
+    createGrid() {
+        const pattern = this.canvas.defs().pattern(GRID_SIZE, GRID_SIZE, (add) => {
+            add.path(`M ${GRID_SIZE} 0 L 0 0 0 ${GRID_SIZE}`).addClass('grid-line');
+        }).attr({ id: 'grid-pattern', patternUnits: 'userSpaceOnUse' });
+        return this.canvas.rect(GRID_EXTENT, GRID_EXTENT)
+            .move(-GRID_EXTENT / 2, -GRID_EXTENT / 2)
+            .fill(pattern)
+            .addClass('grid-background')
+            .back();
+    }
+
+    /**
+     * Show or hide the grid (and turn grid snapping on or off), remembering the choice.
+     * @param {boolean} enabled
+     */
+    setGridEnabled(enabled) {
+        this.gridEnabled = Boolean(enabled);
+        localStorage.setItem(GRID_STORAGE_KEY, this.gridEnabled ? 'on' : 'off');
+        this.applyGridVisibility();
+    }
+
+    /**
+     * Reflect the grid state on the canvas and the toolbar button.
+     */
+    applyGridVisibility() {
+        this.gridRect.css('display', this.gridEnabled ? null : 'none');
+        document.getElementById('toggle-grid')?.classList.toggle('active', this.gridEnabled);
+    }
+
+    /**
+     * Enable the align / distribute buttons for selections they apply to.
+     */
+    updateButtons() {
+        const count = this.interactionManager.getSelectedElements().length;
+        ['align-left', 'align-center', 'align-top'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = count < 2;
+        });
+        const distribute = document.getElementById('distribute-horizontal');
+        if (distribute) distribute.disabled = count < 3;
+    }
+
+    /**
+     * Snap a point to the grid (when enabled).
+     * @param {number} x
+     * @param {number} y
+     * @returns {{x: number, y: number}}
+     */
+    snapPoint(x, y) {
+        if (!this.gridEnabled) return { x, y };
+        return { x: Math.round(x / GRID_SIZE) * GRID_SIZE, y: Math.round(y / GRID_SIZE) * GRID_SIZE };
+    }
+
+    /**
+     * Position for an element being dragged to (x, y): aligned with a neighbour if one is
+     * within reach (showing guides), otherwise on the grid.
+     * @param {Element} element - The dragged element.
+     * @param {number} x - Proposed left edge.
+     * @param {number} y - Proposed top edge.
+     * @param {MouseEvent} [event] - The pointer event; Alt turns snapping off.
+     * @returns {{x: number, y: number}}
+     */
+    snapDrag(element, x, y, event) {
+        this.guidesLayer.clear();
+        if (event?.altKey) {
+            return { x, y };
+        }
+        const snapped = this.snapPoint(x, y);
+
+        // Only elements in view are alignment targets; those moving along (selection, slice contents) are not
+        const moving = this.interactionManager.groupDragStartPositions;
+        const others = this.elementManager.getElementsInBounds(this.canvas.viewbox())
+            .filter(other => other !== element && !moving?.has(other.id));
+        const vertical = this.findAlignment([x, x + element.width / 2, x + element.width],
+            others.map(other => [other.x, other.x + other.width / 2, other.x + other.width]));
+        const horizontal = this.findAlignment([y, y + element.height / 2, y + element.height],
+            others.map(other => [other.y, other.y + other.height / 2, other.y + other.height]));
+
+        const result = {
+            x: vertical ? x + vertical.offset : snapped.x,
+            y: horizontal ? y + horizontal.offset : snapped.y
+        };
+        if (vertical) {
+            this.drawGuides(vertical.lines, 'x', result, element, others);
+        }
+        if (horizontal) {
+            this.drawGuides(horizontal.lines, 'y', result, element, others);
+        }
+        return result;
+    }
+
+    /**
+     * Find the smallest offset that lines one of `own` up with one of the neighbours' lines.
+     * @param {Array<number>} own - Start, center and end of the dragged element on one axis.
+     * @param {Array<Array<number>>} neighbours - The same three lines for every other element.
+     * @returns {{offset: number, lines: Array<number>}|null} - Offset to apply and the lines that then coincide.
+     */
+    findAlignment(own, neighbours) {
+        let best = null;
+        neighbours.forEach(lines => lines.forEach(line => own.forEach(value => {
+            const offset = line - value;
+            if (Math.abs(offset) <= GUIDE_THRESHOLD && (!best || Math.abs(offset) < Math.abs(best.offset))) {
+                best = { offset, lines: [] };
+            }
+        })));
+        if (!best) return null;
+        // Every line matched by the chosen offset gets a guide
+        const shifted = own.map(value => value + best.offset);
+        best.lines = [...new Set(neighbours.flat().filter(line => shifted.some(value => Math.abs(value - line) < 0.5)))];
+        return best;
+    }
+
+    /**
+     * Draw guide lines spanning the dragged element and the neighbours on each line.
+     * @param {Array<number>} lines - Coordinates of the guides.
+     * @param {'x'|'y'} axis - 'x' for vertical guides, 'y' for horizontal ones.
+     * @param {{x: number, y: number}} position - Snapped position of the dragged element.
+     * @param {Element} element - The dragged element.
+     * @param {Array<Element>} others - Candidate neighbours.
+     */
+    drawGuides(lines, axis, position, element, others) {
+        const size = axis === 'x' ? 'width' : 'height';
+        const crossAxis = axis === 'x' ? 'y' : 'x';
+        const crossSize = axis === 'x' ? 'height' : 'width';
+        lines.forEach(line => {
+            const touching = others.filter(other =>
+                [other[axis], other[axis] + other[size] / 2, other[axis] + other[size]].some(value => Math.abs(value - line) < 0.5));
+            const starts = [position[crossAxis], ...touching.map(other => other[crossAxis])];
+            const ends = [position[crossAxis] + element[crossSize], ...touching.map(other => other[crossAxis] + other[crossSize])];
+            const from = Math.min(...starts);
+            const to = Math.max(...ends);
+            const guide = axis === 'x'
+                ? this.guidesLayer.line(line, from, line, to)
+                : this.guidesLayer.line(from, line, to, line);
+            guide.addClass('alignment-guide');
+        });
+        this.guidesLayer.front();
+    }
+
+    /**
+     * Align the selected elements (left edges, horizontal centers or top edges) as one undo step.
+     * @param {string} mode - One of ALIGN_MODES.
+     */
+    align(mode) {
+        const selection = this.interactionManager.getSelectedElements();
+        if (selection.length < 2) return;
+        let target;
+        if (mode === ALIGN_MODES.LEFT) {
+            target = Math.min(...selection.map(element => element.x));
+        } else if (mode === ALIGN_MODES.TOP) {
+            target = Math.min(...selection.map(element => element.y));
+        } else {
+            const left = Math.min(...selection.map(element => element.x));
+            const right = Math.max(...selection.map(element => element.x + element.width));
+            target = (left + right) / 2;
+        }
+        this.moveAll(`Align ${mode}`, selection.map(element => {
+            if (mode === ALIGN_MODES.LEFT) return [element, { x: target, y: element.y }];
+            if (mode === ALIGN_MODES.TOP) return [element, { x: element.x, y: target }];
+            return [element, { x: Math.round(target - element.width / 2), y: element.y }];
+        }));
+    }
+
+    /**
+     * Spread the selected elements so the horizontal gaps between them are equal,
+     * keeping the leftmost and rightmost in place.
+     */
+    distributeHorizontally() {
+        const selection = this.interactionManager.getSelectedElements().sort((a, b) => a.x - b.x);
+        if (selection.length < 3) return;
+        const first = selection[0];
+        const last = selection[selection.length - 1];
+        const occupied = selection.reduce((sum, element) => sum + element.width, 0);
+        const gap = (last.x + last.width - first.x - occupied) / (selection.length - 1);
+        let x = first.x;
+        this.moveAll('Distribute horizontally', selection.map(element => {
+            const move = [element, { x: Math.round(x), y: element.y }];
+            x += element.width + gap;
+            return move;
+        }));
+    }
+
+    /**
+     * Move elements to new positions and record one undo step for those that moved.
+     * Bend points of connections between moved elements are shifted by the average
+     * move of the connection's two ends.
+     * @param {string} label - Description of the step.
+     * @param {Array<[Element, {x: number, y: number}]>} moves
+     */
+    moveAll(label, moves) {
+        const moved = new Map(moves.filter(([element, to]) => element.x !== to.x || element.y !== to.y));
+        if (moved.size === 0) return;
+        const { connectionManager } = this.interactionManager;
+        const offset = element => (moved.has(element)
+            ? { x: moved.get(element).x - element.x, y: moved.get(element).y - element.y }
+            : { x: 0, y: 0 });
+        const geometryCommands = connectionManager.getBentConnectionsWithin(new Set(moved.keys())).map(connection => {
+            const source = offset(connection.sourceElement);
+            const target = offset(connection.targetElement);
+            const dx = (source.x + target.x) / 2;
+            const dy = (source.y + target.y) / 2;
+            const from = { waypoints: connection.waypoints, sourceSide: connection.sourceSide, targetSide: connection.targetSide };
+            const waypoints = connection.waypoints.map(point => ({ x: Math.round(point.x + dx), y: Math.round(point.y + dy) }));
+            return new UpdateConnectionGeometryCommand(connectionManager, connection.id, from, { ...from, waypoints });
+        });
+        const commands = [...moved].map(([element, to]) =>
+            new MoveElementCommand(this.elementManager, element.id, { x: element.x, y: element.y }, to));
+        this.interactionManager.history.execute(new CompositeCommand(label, [...commands, ...geometryCommands]));
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * ChangeNotifier.js
+ *
+ * Defines a minimal publish/subscribe helper used by the managers to announce
+ * model mutations (creation, removal, updates, moves).
+ */
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ChangeNotifier");
+
+/**
+ * Kinds of model changes announced through a ChangeNotifier.
+ * @readonly
+ * @enum {string}
+ */
+export const CHANGE_TYPES = {
+    ELEMENT_CREATED: 'element-created',
+    ELEMENT_REMOVED: 'element-removed',
+    ELEMENT_UPDATED: 'element-updated',
+    ELEMENT_MOVED: 'element-moved',
+    CONNECTION_CREATED: 'connection-created',
+    CONNECTION_REMOVED: 'connection-removed',
+    CONNECTION_UPDATED: 'connection-updated',
+    CONNECTION_RULES_CHANGED: 'connection-rules-changed',
+    LANES_CHANGED: 'lanes-changed',
+    SELECTION_CHANGED: 'selection-changed',
+    ELEMENTS_RENDERED: 'elements-rendered'
+};
+
+/**
+ * ChangeNotifier - Keeps a list of listeners and calls them for every change.
+ */
+export class ChangeNotifier {
+    constructor() {
+        /**
+         * Registered listener callbacks.
+         * @type {Set<function(Object): void>}
+         */
+        this.listeners = new Set();
+    }
+
+    /**
+     * Register a listener.
+     * @param {function({type: string}): void} listener - Called with a change object.
+     * @returns {function(): void} - Call to unsubscribe.
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Call every listener with the given change. A failing listener does not stop the others.
+     * @param {{type: string}} change - The change description (type plus affected objects).
+     */
+    notify(change) {
+        // Iterate over a copy so listeners may unsubscribe while being notified
+        [...this.listeners].forEach(listener => {
+            try {
+                listener(change);
+            } catch (error) {
+                logger.error(`Listener failed for ${change.type}:`, error);
+            }
+        });
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * ClipboardManager.js
+ *
+ * Defines the ClipboardManager class: copy, cut, paste and duplicate of the
+ * current selection, including the connections between the copied elements.
+ * Copied content is also put on the system clipboard as JSON so it can be
+ * pasted into another tab running the editor.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { CompositeCommand, CreateElementCommand, ConnectCommand } from './Commands.js';
+import {
+    MODEL_SCHEMA_VERSION,
+    serializeElement,
+    serializeConnection,
+    restoreElement,
+    restoreConnection
+} from './ModelSerializer.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ClipboardManager");
+
+/**
+ * Identifies clipboard text written by this editor.
+ */
+const CLIPBOARD_FORMAT = 'svgjs-em-editor/clipboard';
+
+/**
+ * Offset applied to each successive paste of the same content.
+ */
+const PASTE_OFFSET = 20;
+
+/**
+ * ClipboardManager - Handles Ctrl+C/X/V and Ctrl+D on the selection.
+ */
+export class ClipboardManager {
+    /**
+     * Construct a ClipboardManager.
+     * @param {InteractionManager} interactionManager - Provides selection, managers and history.
+     */
+    constructor(interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Last content copied in this tab (used by duplicate and as paste fallback).
+         * @type {Object|null}
+         */
+        this.clipboard = null;
+
+        /**
+         * Number of times the current clipboard content has been pasted.
+         * @type {number}
+         */
+        this.pasteCount = 0;
+
+        this.handleCopy = this.handleCopy.bind(this);
+        this.handleCut = this.handleCut.bind(this);
+        this.handlePaste = this.handlePaste.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+
+        document.addEventListener('copy', this.handleCopy);
+        document.addEventListener('cut', this.handleCut);
+        document.addEventListener('paste', this.handlePaste);
+        document.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * True if the clipboard event belongs to a text field (inline name editor, inputs).
+     * @param {Event} e
+     * @returns {boolean}
+     */
+    isTextEditingEvent(e) {
+        const target = e.target;
+        return Boolean(this.interactionManager.currentEditingDiv) ||
+            target?.isContentEditable ||
+            ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+    }
+
+    /**
+     * Copy the selection into the tab clipboard and the system clipboard.
+     * @param {ClipboardEvent} e
+     */
+    handleCopy(e) {
+        if (this.isTextEditingEvent(e)) return;
+        if (this.copySelection()) {
+            e.clipboardData?.setData('text/plain', JSON.stringify(this.clipboard));
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Copy the selection, then delete it as one undoable step.
+     * @param {ClipboardEvent} e
+     */
+    handleCut(e) {
+        if (this.isTextEditingEvent(e)) return;
+        if (this.copySelection()) {
+            e.clipboardData?.setData('text/plain', JSON.stringify(this.clipboard));
+            e.preventDefault();
+            this.interactionManager.deleteSelection();
+        }
+    }
+
+    /**
+     * Paste editor content from the system clipboard (falls back to the tab clipboard).
+     * @param {ClipboardEvent} e
+     */
+    handlePaste(e) {
+        if (this.isTextEditingEvent(e)) return;
+        const text = e.clipboardData?.getData('text/plain');
+        let content = this.clipboard;
+        if (text) {
+            content = this.parseClipboardText(text);
+            if (!content) return; // Not ours; leave the event alone
+            if (JSON.stringify(content) !== JSON.stringify(this.clipboard)) {
+                // Content from another tab (or copied again): start offsets afresh
+                this.clipboard = content;
+                this.pasteCount = 0;
+            }
+        }
+        if (content) {
+            e.preventDefault();
+            this.paste(content);
+        }
+    }
+
+    /**
+     * Ctrl+D duplicates the selection in place (offset) without touching the system clipboard.
+     * @param {KeyboardEvent} e
+     */
+    handleKeyDown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'd' || this.isTextEditingEvent(e)) {
+            return;
+        }
+        e.preventDefault(); // Don't bookmark the page
+        const content = this.buildClipboardContent(this.interactionManager.getSelectedElements());
+        if (content) {
+            this.paste(content, 1);
+        }
+    }
+
+    /**
+     * Put the current selection into the tab clipboard.
+     * @returns {boolean} - True if something was copied.
+     */
+    copySelection() {
+        const content = this.buildClipboardContent(this.interactionManager.getSelectedElements());
+        if (!content) {
+            return false;
+        }
+        this.clipboard = content;
+        this.pasteCount = 0;
+        return true;
+    }
+
+    /**
+     * Build clipboard content from a set of elements and the connections among them.
+     * @param {Array<Element>} elements
+     * @returns {Object|null} - Null if there is nothing to copy.
+     */
+    buildClipboardContent(elements) {
+        if (elements.length === 0) {
+            return null;
+        }
+        const ids = new Set(elements.map(element => element.id));
+        const connections = this.interactionManager.connectionManager.connections.filter(connection =>
+            ids.has(connection.sourceElement.id) && ids.has(connection.targetElement.id)
+        );
+        return {
+            format: CLIPBOARD_FORMAT,
+            schemaVersion: MODEL_SCHEMA_VERSION,
+            elements: elements.map(serializeElement),
+            connections: connections.map(serializeConnection)
+        };
+    }
+
+    /**
+     * Parse clipboard text, accepting only content written by this editor.
+     * @param {string} text
+     * @returns {Object|null}
+     */
+    parseClipboardText(text) {
+        try {
+            const content = JSON.parse(text);
+            if (content?.format !== CLIPBOARD_FORMAT || !Array.isArray(content.elements)) {
+                return null;
+            }
+            if (content.schemaVersion > MODEL_SCHEMA_VERSION) {
+                logger.warn("Clipboard content comes from a newer editor version; pasting what is understood.");
+            }
+            return { ...content, connections: Array.isArray(content.connections) ? content.connections : [] };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Create copies of the clipboard elements with fresh ids (plus their internal
+     * connections), offset them, select them, and record one undo step.
+     * @param {Object} content - Clipboard content.
+     * @param {number} [times] - Offset multiplier; defaults to the running paste count.
+     * @returns {Array<Element>} - The pasted elements.
+     */
+    paste(content, times = ++this.pasteCount) {
+        const { elementManager, connectionManager, history } = this.interactionManager;
+        const offset = PASTE_OFFSET * times;
+        const idMap = new Map();
+        const commands = [];
+        const pasted = [];
+
+        this.interactionManager.selectElement(null);
+
+        // Fresh ids up front, so references between pasted elements (slice scenarios) can be remapped
+        content.elements.forEach(record => idMap.set(record.id, `element-${uuidv4()}`));
+        const remap = id => idMap.get(id) ?? id;
+
+        content.elements.forEach(record => {
+            const scenarios = (record.scenarios ?? []).map(scenario => ({
+                ...scenario,
+                id: undefined,
+                given: (scenario.given ?? []).map(remap),
+                when: scenario.when ? remap(scenario.when) : null,
+                then: (scenario.then ?? []).map(remap)
+            }));
+            const element = restoreElement(elementManager, {
+                ...record,
+                id: idMap.get(record.id),
+                x: record.x + offset,
+                y: record.y + offset,
+                scenarios
+            });
+            if (element) {
+                pasted.push(element);
+                commands.push(new CreateElementCommand(elementManager, serializeElement(element)));
+            }
+        });
+
+        content.connections.forEach(record => {
+            const sourceId = idMap.get(record.sourceId);
+            const targetId = idMap.get(record.targetId);
+            if (!sourceId || !targetId) return;
+            const waypoints = (record.waypoints ?? []).map(point => ({ x: point.x + offset, y: point.y + offset }));
+            const connection = restoreConnection(elementManager, connectionManager, { ...record, id: undefined, sourceId, targetId, waypoints });
+            if (connection) {
+                commands.push(new ConnectCommand(elementManager, connectionManager, serializeConnection(connection)));
+            }
+        });
+
+        if (commands.length > 0) {
+            history.record(new CompositeCommand('Paste', commands));
+        }
+        this.interactionManager.setSelection(pasted);
+        return pasted;
+    }
+}
@@ -0,0 +1,168 @@
+/**
+ * CodeGenDialog.js
+ *
+ * Defines the CodeGenDialog class: shows the code skeletons generated from the
+ * model (see CodeGenerator.js) as a file tree with a preview to copy from, and
+ * offers them as a zip download.
+ */
+import { generateCode, TYPE_FORMATS } from './CodeGenerator.js';
+import { createZip } from './ZipWriter.js';
+import { downloadBlob } from './download.js';
+import { ErrorHandler } from './ErrorHandler.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("CodeGenDialog");
+
+/**
+ * CodeGenDialog - Preview and download of the generated code.
+ */
+export class CodeGenDialog {
+    /**
+     * Construct a CodeGenDialog.
+     * @param {ElementManager} elementManager - Source of the model elements.
+     */
+    constructor(elementManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = elementManager;
+
+        /**
+         * The dialog element.
+         * @type {HTMLElement|null}
+         */
+        this.dialog = document.getElementById('codegen-dialog');
+
+        /**
+         * Files generated by the last run.
+         * @type {Array<{path: string, content: string}>}
+         */
+        this.files = [];
+
+        /**
+         * Path of the file shown in the preview.
+         * @type {string|null}
+         */
+        this.selectedPath = null;
+
+        this.initEvents();
+    }
+
+    /**
+     * Wire the toolbar button and the dialog controls.
+     */
+    initEvents() {
+        document.getElementById('generate-code')?.addEventListener('click', () => this.open());
+        document.getElementById('codegen-close')?.addEventListener('click', () => this.close());
+        document.getElementById('codegen-format')?.addEventListener('change', () => this.generate());
+        document.getElementById('codegen-download')?.addEventListener('click', () => this.download());
+        document.getElementById('codegen-copy')?.addEventListener('click', () => this.copySelected());
+    }
+
+    /**
+     * Generate the files and show the dialog.
+     */
+    open() {
+        if (!this.dialog) return;
+        this.generate();
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * Hide the dialog.
+     */
+    close() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Re-run the generator with the chosen format and refresh the tree.
+     */
+    generate() {
+        const format = document.getElementById('codegen-format')?.value || TYPE_FORMATS.TYPESCRIPT;
+        this.files = generateCode(this.elementManager.elements, { format });
+        if (!this.files.some(file => file.path === this.selectedPath)) {
+            this.selectedPath = this.files[0]?.path ?? null;
+        }
+        this.renderTree();
+        this.renderPreview();
+    }
+
+    /**
+     * List the files, indented by folder.
+     */
+    renderTree() {
+        const tree = document.getElementById('codegen-tree');
+        if (!tree) return;
+        tree.innerHTML = '';
+        if (this.files.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'codegen-empty';
+            empty.textContent = 'Add commands, events or read models to generate code.';
+            tree.appendChild(empty);
+            return;
+        }
+        let previousFolders = [];
+        this.files.forEach(file => {
+            const segments = file.path.split('/');
+            const folders = segments.slice(0, -1);
+            // Folder rows where the path departs from the previous file's folders
+            folders.forEach((folder, depth) => {
+                if (previousFolders[depth] === folder && folders.slice(0, depth).every((f, i) => previousFolders[i] === f)) return;
+                const row = document.createElement('li');
+                row.className = 'codegen-folder';
+                row.style.paddingLeft = `${depth * 12}px`;
+                row.textContent = `📁 ${folder}`;
+                tree.appendChild(row);
+            });
+            previousFolders = folders;
+
+            const row = document.createElement('li');
+            row.className = `codegen-file${file.path === this.selectedPath ? ' selected' : ''}`;
+            row.style.paddingLeft = `${folders.length * 12}px`;
+            row.textContent = segments[segments.length - 1];
+            row.title = file.path;
+            row.addEventListener('click', () => {
+                this.selectedPath = file.path;
+                this.renderTree();
+                this.renderPreview();
+            });
+            tree.appendChild(row);
+        });
+    }
+
+    /**
+     * Show the selected file's content.
+     */
+    renderPreview() {
+        const preview = document.getElementById('codegen-preview');
+        if (preview) {
+            preview.textContent = this.files.find(file => file.path === this.selectedPath)?.content ?? '';
+        }
+    }
+
+    /**
+     * Copy the selected file's content to the system clipboard.
+     */
+    async copySelected() {
+        const file = this.files.find(item => item.path === this.selectedPath);
+        if (!file) return;
+        try {
+            await navigator.clipboard.writeText(file.content);
+        } catch (error) {
+            ErrorHandler.handle(error, "CodeGenDialog.copySelected", "Could not copy to the clipboard; select the text and copy it instead.");
+        }
+    }
+
+    /**
+     * Download all generated files as a zip archive.
+     */
+    download() {
+        if (this.files.length === 0) return;
+        downloadBlob(createZip(this.files), 'model-skeleton.zip');
+    }
+}
@@ -0,0 +1,285 @@
+/**
+ * CodeGenerator.js
+ *
+ * Generates code skeletons from the model: type definitions (TypeScript or
+ * JSON Schema) for every Command, Event and Read Model, plus command handler
+ * stubs (command -> the events it emits) and projection stubs (events -> the
+ * read model they feed), following the connections on the board.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+
+/**
+ * Output formats for the type definitions.
+ * @readonly
+ * @enum {string}
+ */
+export const TYPE_FORMATS = {
+    TYPESCRIPT: 'typescript',
+    JSON_SCHEMA: 'json-schema'
+};
+
+/**
+ * Attribute type -> TypeScript type.
+ */
+const TS_TYPES = {
+    string: 'string',
+    int: 'number',
+    decimal: 'number',
+    boolean: 'boolean',
+    date: 'string',
+    datetime: 'string',
+    uuid: 'string',
+    list: 'unknown[]'
+};
+
+/**
+ * Attribute type -> JSON Schema fragment.
+ */
+const JSON_SCHEMA_TYPES = {
+    string: { type: 'string' },
+    int: { type: 'integer' },
+    decimal: { type: 'number' },
+    boolean: { type: 'boolean' },
+    date: { type: 'string', format: 'date' },
+    datetime: { type: 'string', format: 'date-time' },
+    uuid: { type: 'string', format: 'uuid' },
+    list: { type: 'array' }
+};
+
+/**
+ * Folder used for each generated kind.
+ */
+const FOLDERS = {
+    [ELEMENT_TYPES.COMMAND]: 'commands',
+    [ELEMENT_TYPES.EVENT]: 'events',
+    [ELEMENT_TYPES.READ_MODEL]: 'read-models'
+};
+
+/**
+ * Turn free text into a PascalCase identifier.
+ * @param {string} text
+ * @returns {string}
+ */
+function toPascalCase(text) {
+    const words = text.replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    const name = words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * Property key for a field: bare if it is a valid identifier, quoted otherwise.
+ * @param {string} name
+ * @returns {string}
+ */
+function propertyKey(name) {
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * TypeScript type for an attribute type (unknown names are kept as a comment).
+ * @param {string} type
+ * @returns {string}
+ */
+function tsType(type) {
+    const normalized = (type || '').toLowerCase();
+    return TS_TYPES[normalized] ?? `unknown /* ${type || 'untyped'} */`;
+}
+
+/**
+ * Elements directly connected to `element` in the given direction, filtered by type.
+ * @param {Element} element
+ * @param {'upstream'|'downstream'} direction
+ * @param {Array<string>} types
+ * @returns {Array<Element>}
+ */
+function connected(element, direction, types) {
+    const linked = element.connections
+        .filter(connection => (direction === 'upstream' ? connection.targetElement : connection.sourceElement) === element)
+        .map(connection => (direction === 'upstream' ? connection.sourceElement : connection.targetElement))
+        .filter(other => types.includes(other.type));
+    return [...new Set(linked)];
+}
+
+/**
+ * Give every generated element a unique type name.
+ * @param {Array<Element>} elements
+ * @returns {Map<Element, string>}
+ */
+function assignTypeNames(elements) {
+    const names = new Map();
+    const used = new Set();
+    elements.forEach((element, index) => {
+        const base = toPascalCase(element.name) || `${toPascalCase(element.type)}${index + 1}`;
+        let name = base;
+        for (let suffix = 2; used.has(name); suffix++) {
+            name = `${base}${suffix}`;
+        }
+        used.add(name);
+        names.set(element, name);
+    });
+    return names;
+}
+
+/**
+ * TypeScript interface for an element; events carry a `type` discriminator.
+ * @param {Element} element
+ * @param {string} typeName
+ * @returns {string}
+ */
+function typescriptDefinition(element, typeName) {
+    const lines = [`/** ${element.type}: ${element.name || typeName} */`, `export interface ${typeName} {`];
+    if (element.type === ELEMENT_TYPES.EVENT) {
+        lines.push(`    type: '${typeName}';`);
+    }
+    element.attributes.forEach(attribute => {
+        lines.push(`    ${propertyKey(attribute.name)}: ${tsType(attribute.type)};`);
+    });
+    lines.push('}', '');
+    return lines.join('\n');
+}
+
+/**
+ * JSON Schema document for an element.
+ * @param {Element} element
+ * @param {string} typeName
+ * @returns {string}
+ */
+function jsonSchemaDefinition(element, typeName) {
+    const properties = {};
+    element.attributes.forEach(attribute => {
+        properties[attribute.name] = JSON_SCHEMA_TYPES[(attribute.type || '').toLowerCase()] ?? { description: attribute.type || 'untyped' };
+    });
+    const schema = {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        $id: `${FOLDERS[element.type]}/${typeName}.schema.json`,
+        title: typeName,
+        description: `${element.type}: ${element.name || typeName}`,
+        type: 'object',
+        properties,
+        required: element.attributes.map(attribute => attribute.name),
+        additionalProperties: false
+    };
+    return JSON.stringify(schema, null, 2) + '\n';
+}
+
+/**
+ * Import line for a generated type, or a comment pointing at its schema.
+ * @param {string} typeName
+ * @param {string} folder
+ * @param {string} format
+ * @returns {string}
+ */
+function importLine(typeName, folder, format) {
+    return format === TYPE_FORMATS.TYPESCRIPT
+        ? `import type { ${typeName} } from '../${folder}/${typeName}';`
+        : `// ${typeName}: see schemas/${folder}/${typeName}.schema.json\ntype ${typeName} = Record<string, unknown>;`;
+}
+
+/**
+ * Command handler stub: takes the command and returns the events it emits.
+ * Event fields named like command fields are copied over.
+ * @param {Element} command
+ * @param {Map<Element, string>} names
+ * @param {string} format
+ * @returns {string}
+ */
+function commandHandlerStub(command, names, format) {
+    const commandName = names.get(command);
+    const events = connected(command, 'downstream', [ELEMENT_TYPES.EVENT]);
+    const eventNames = events.map(event => names.get(event));
+    const commandFields = new Set(command.attributes.map(attribute => attribute.name));
+    const lines = [
+        importLine(commandName, FOLDERS[ELEMENT_TYPES.COMMAND], format),
+        ...events.map(event => importLine(names.get(event), FOLDERS[ELEMENT_TYPES.EVENT], format)),
+        '',
+        `export type ${commandName}Result = ${eventNames.length > 0 ? eventNames.join(' | ') : 'never'};`,
+        '',
+        `/** Handles ${commandName}; emits ${eventNames.join(', ') || 'no events yet'}. */`,
+        `export function handle${commandName}(command: ${commandName}): Array<${commandName}Result> {`,
+        '    // TODO: validate the command against the current state'
+    ];
+    if (events.length === 0) {
+        lines.push('    return [];');
+    } else {
+        lines.push('    return [');
+        events.forEach(event => {
+            lines.push('        {');
+            if (format === TYPE_FORMATS.TYPESCRIPT) {
+                lines.push(`            type: '${names.get(event)}',`);
+            }
+            event.attributes.forEach(attribute => {
+                const value = commandFields.has(attribute.name)
+                    ? `command${/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(attribute.name) ? `.${attribute.name}` : `[${JSON.stringify(attribute.name)}]`}`
+                    : `undefined as never /* TODO: ${attribute.name} */`;
+                lines.push(`            ${propertyKey(attribute.name)}: ${value},`);
+            });
+            lines.push('        },');
+        });
+        lines.push('    ];');
+    }
+    lines.push('}', '');
+    return lines.join('\n');
+}
+
+/**
+ * Projection stub: folds the connected events into the read model.
+ * @param {Element} readModel
+ * @param {Map<Element, string>} names
+ * @param {string} format
+ * @returns {string}
+ */
+function projectionStub(readModel, names, format) {
+    const readModelName = names.get(readModel);
+    const events = connected(readModel, 'upstream', [ELEMENT_TYPES.EVENT]).filter(event => names.has(event));
+    const eventNames = events.map(event => names.get(event));
+    const lines = [
+        importLine(readModelName, FOLDERS[ELEMENT_TYPES.READ_MODEL], format),
+        ...events.map(event => importLine(names.get(event), FOLDERS[ELEMENT_TYPES.EVENT], format)),
+        '',
+        `export type ${readModelName}Event = ${eventNames.length > 0 ? eventNames.join(' | ') : 'never'};`,
+        '',
+        `/** Builds ${readModelName} from ${eventNames.join(', ') || 'no events yet'}. */`,
+        `export function project${readModelName}(state: ${readModelName}, event: ${readModelName}Event): ${readModelName} {`
+    ];
+    if (format === TYPE_FORMATS.TYPESCRIPT && events.length > 0) {
+        lines.push('    switch (event.type) {');
+        eventNames.forEach(eventName => {
+            lines.push(`        case '${eventName}':`, '            // TODO: apply the event', '            return { ...state };');
+        });
+        lines.push('    }');
+    } else {
+        lines.push('    // TODO: apply the event');
+        lines.push('    void event;');
+    }
+    lines.push('    return state;', '}', '');
+    return lines.join('\n');
+}
+
+/**
+ * Generate the code skeleton files for the model.
+ * @param {Array<Element>} elements - All elements of the model.
+ * @param {{format?: string}} [options] - `format`: one of TYPE_FORMATS (default TypeScript).
+ * @returns {Array<{path: string, content: string}>} - Files, sorted by path.
+ */
+export function generateCode(elements, options = {}) {
+    const format = options.format === TYPE_FORMATS.JSON_SCHEMA ? TYPE_FORMATS.JSON_SCHEMA : TYPE_FORMATS.TYPESCRIPT;
+    const typed = elements.filter(element => FOLDERS[element.type]);
+    const names = assignTypeNames(typed);
+    const files = [];
+
+    typed.forEach(element => {
+        const typeName = names.get(element);
+        const folder = FOLDERS[element.type];
+        files.push(format === TYPE_FORMATS.TYPESCRIPT
+            ? { path: `src/${folder}/${typeName}.ts`, content: typescriptDefinition(element, typeName) }
+            : { path: `schemas/${folder}/${typeName}.schema.json`, content: jsonSchemaDefinition(element, typeName) });
+
+        if (element.type === ELEMENT_TYPES.COMMAND) {
+            files.push({ path: `src/handlers/${typeName}Handler.ts`, content: commandHandlerStub(element, names, format) });
+        } else if (element.type === ELEMENT_TYPES.READ_MODEL) {
+            files.push({ path: `src/projections/${typeName}Projection.ts`, content: projectionStub(element, names, format) });
+        }
+    });
+
+    return files.sort((a, b) => a.path.localeCompare(b.path));
+}
@@ -0,0 +1,486 @@
+/**
+ * Commands.js
+ *
+ * Undoable editing commands used by the HistoryManager.
+ * Commands refer to elements and connections by id (never by object), because
+ * undoing a delete re-creates new objects that only share the old id.
+ */
+import {
+    serializeElement,
+    serializeConnection,
+    restoreElement,
+    restoreConnection
+} from './ModelSerializer.js';
+
+/**
+ * CreateElementCommand - Creates an element from a stored record.
+ */
+export class CreateElementCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {Object} record - Element record (see serializeElement), including its id.
+     */
+    constructor(elementManager, record) {
+        this.label = 'Create element';
+        this.elementManager = elementManager;
+        this.record = record;
+    }
+
+    execute() {
+        restoreElement(this.elementManager, this.record);
+    }
+
+    undo() {
+        const element = this.elementManager.getElementById(this.record.id);
+        if (element) {
+            this.elementManager.removeElement(element);
+        }
+    }
+}
+
+/**
+ * DeleteElementCommand - Removes an element together with its connections.
+ */
+export class DeleteElementCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {ConnectionManager} connectionManager
+     * @param {Element} element - The element to delete (captured immediately).
+     */
+    constructor(elementManager, connectionManager, element) {
+        this.label = 'Delete element';
+        this.elementManager = elementManager;
+        this.connectionManager = connectionManager;
+        this.record = serializeElement(element);
+        this.connectionRecords = connectionManager.getConnectionsForElement(element).map(serializeConnection);
+    }
+
+    execute() {
+        const element = this.elementManager.getElementById(this.record.id);
+        if (element) {
+            this.elementManager.removeElement(element); // Cascades to the connections
+        }
+    }
+
+    undo() {
+        restoreElement(this.elementManager, this.record);
+        this.connectionRecords.forEach(record => {
+            restoreConnection(this.elementManager, this.connectionManager, record);
+        });
+    }
+}
+
+/**
+ * MoveElementCommand - Moves an element between two positions.
+ * Consecutive moves of the same element are coalesced into one step.
+ */
+export class MoveElementCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {string} elementId
+     * @param {{x: number, y: number}} from - Position before the move.
+     * @param {{x: number, y: number}} to - Position after the move.
+     */
+    constructor(elementManager, elementId, from, to) {
+        this.label = 'Move element';
+        this.elementManager = elementManager;
+        this.elementId = elementId;
+        this.from = { x: from.x, y: from.y };
+        this.to = { x: to.x, y: to.y };
+    }
+
+    execute() {
+        this.moveTo(this.to);
+    }
+
+    undo() {
+        this.moveTo(this.from);
+    }
+
+    /**
+     * @param {{x: number, y: number}} position
+     */
+    moveTo(position) {
+        const element = this.elementManager.getElementById(this.elementId);
+        if (element) {
+            this.elementManager.moveElement(element, position.x, position.y);
+        }
+    }
+
+    /**
+     * Absorb a following move of the same element.
+     * @param {Object} next - The command recorded after this one.
+     * @returns {boolean} - True if `next` was merged into this command.
+     */
+    mergeWith(next) {
+        if (!(next instanceof MoveElementCommand) || next.elementId !== this.elementId) {
+            return false;
+        }
+        this.to = { ...next.to };
+        return true;
+    }
+}
+
+/**
+ * ResizeElementCommand - Changes an element's bounds (e.g. resizing a slice).
+ */
+export class ResizeElementCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {string} elementId
+     * @param {{x: number, y: number, width: number, height: number}} from - Bounds before.
+     * @param {{x: number, y: number, width: number, height: number}} to - Bounds after.
+     */
+    constructor(elementManager, elementId, from, to) {
+        this.label = 'Resize element';
+        this.elementManager = elementManager;
+        this.elementId = elementId;
+        this.from = { x: from.x, y: from.y, width: from.width, height: from.height };
+        this.to = { x: to.x, y: to.y, width: to.width, height: to.height };
+    }
+
+    execute() {
+        this.resizeTo(this.to);
+    }
+
+    undo() {
+        this.resizeTo(this.from);
+    }
+
+    /**
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     */
+    resizeTo(bounds) {
+        const element = this.elementManager.getElementById(this.elementId);
+        if (element) {
+            this.elementManager.resizeElement(element, bounds);
+        }
+    }
+}
+
+/**
+ * RenameElementCommand - Changes an element's name.
+ */
+export class RenameElementCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {string} elementId
+     * @param {string} oldName
+     * @param {string} newName
+     */
+    constructor(elementManager, elementId, oldName, newName) {
+        this.label = 'Rename element';
+        this.elementManager = elementManager;
+        this.elementId = elementId;
+        this.oldName = oldName;
+        this.newName = newName;
+    }
+
+    execute() {
+        this.rename(this.newName);
+    }
+
+    undo() {
+        this.rename(this.oldName);
+    }
+
+    /**
+     * @param {string} name
+     */
+    rename(name) {
+        const element = this.elementManager.getElementById(this.elementId);
+        if (element) {
+            element.name = name;
+            this.elementManager.updateElement(element);
+        }
+    }
+}
+
+/**
+ * UpdateAttributesCommand - Replaces an element's attribute list.
+ */
+export class UpdateAttributesCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {string} elementId
+     * @param {Array<{name: string, type: string}>} oldAttributes
+     * @param {Array<{name: string, type: string}>} newAttributes
+     */
+    constructor(elementManager, elementId, oldAttributes, newAttributes) {
+        this.label = 'Edit attributes';
+        this.elementManager = elementManager;
+        this.elementId = elementId;
+        this.oldAttributes = oldAttributes.map(attribute => ({ ...attribute }));
+        this.newAttributes = newAttributes.map(attribute => ({ ...attribute }));
+    }
+
+    execute() {
+        this.apply(this.newAttributes);
+    }
+
+    undo() {
+        this.apply(this.oldAttributes);
+    }
+
+    /**
+     * @param {Array<{name: string, type: string}>} attributes
+     */
+    apply(attributes) {
+        const element = this.elementManager.getElementById(this.elementId);
+        if (element) {
+            this.elementManager.setAttributes(element, attributes);
+        }
+    }
+}
+
+/**
+ * UpdateScenariosCommand - Replaces a slice's Given/When/Then scenarios.
+ */
+export class UpdateScenariosCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {string} elementId - Id of the slice.
+     * @param {Array<Object>} oldScenarios
+     * @param {Array<Object>} newScenarios
+     */
+    constructor(elementManager, elementId, oldScenarios, newScenarios) {
+        this.label = 'Edit scenarios';
+        this.elementManager = elementManager;
+        this.elementId = elementId;
+        this.oldScenarios = structuredClone(oldScenarios);
+        this.newScenarios = structuredClone(newScenarios);
+    }
+
+    execute() {
+        this.apply(this.newScenarios);
+    }
+
+    undo() {
+        this.apply(this.oldScenarios);
+    }
+
+    /**
+     * @param {Array<Object>} scenarios
+     */
+    apply(scenarios) {
+        const element = this.elementManager.getElementById(this.elementId);
+        if (element) {
+            this.elementManager.setScenarios(element, structuredClone(scenarios));
+        }
+    }
+}
+
+/**
+ * ConnectCommand - Creates a connection from a stored record.
+ */
+export class ConnectCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {ConnectionManager} connectionManager
+     * @param {Object} record - Connection record (see serializeConnection), including its id.
+     */
+    constructor(elementManager, connectionManager, record) {
+        this.label = 'Connect';
+        this.elementManager = elementManager;
+        this.connectionManager = connectionManager;
+        this.record = record;
+    }
+
+    execute() {
+        restoreConnection(this.elementManager, this.connectionManager, this.record);
+    }
+
+    undo() {
+        const connection = this.connectionManager.getConnectionById(this.record.id);
+        if (connection) {
+            this.connectionManager.removeConnection(connection);
+        }
+    }
+}
+
+/**
+ * DisconnectCommand - Removes a connection.
+ */
+export class DisconnectCommand {
+    /**
+     * @param {ElementManager} elementManager
+     * @param {ConnectionManager} connectionManager
+     * @param {Connection} connection - The connection to remove (captured immediately).
+     */
+    constructor(elementManager, connectionManager, connection) {
+        this.label = 'Disconnect';
+        this.elementManager = elementManager;
+        this.connectionManager = connectionManager;
+        this.record = serializeConnection(connection);
+    }
+
+    execute() {
+        const connection = this.connectionManager.getConnectionById(this.record.id);
+        if (connection) {
+            this.connectionManager.removeConnection(connection);
+        }
+    }
+
+    undo() {
+        restoreConnection(this.elementManager, this.connectionManager, this.record);
+    }
+}
+
+/**
+ * SetConnectionRoutingCommand - Changes how a single connection is routed.
+ */
+export class SetConnectionRoutingCommand {
+    /**
+     * @param {ConnectionManager} connectionManager
+     * @param {string} connectionId
+     * @param {string|null} oldRouting - Previous routing (null: the default).
+     * @param {string|null} newRouting
+     */
+    constructor(connectionManager, connectionId, oldRouting, newRouting) {
+        this.label = 'Change routing';
+        this.connectionManager = connectionManager;
+        this.connectionId = connectionId;
+        this.oldRouting = oldRouting;
+        this.newRouting = newRouting;
+    }
+
+    execute() {
+        this.apply(this.newRouting);
+    }
+
+    undo() {
+        this.apply(this.oldRouting);
+    }
+
+    /**
+     * @param {string|null} routing
+     */
+    apply(routing) {
+        const connection = this.connectionManager.getConnectionById(this.connectionId);
+        if (connection) {
+            this.connectionManager.setConnectionRouting(connection, routing);
+        }
+    }
+}
+
+/**
+ * UpdateConnectionPropertiesCommand - Changes a connection's label and kind.
+ */
+export class UpdateConnectionPropertiesCommand {
+    /**
+     * @param {ConnectionManager} connectionManager
+     * @param {string} connectionId
+     * @param {{label: string, kind: string}} from
+     * @param {{label: string, kind: string}} to
+     */
+    constructor(connectionManager, connectionId, from, to) {
+        this.label = 'Edit connection';
+        this.connectionManager = connectionManager;
+        this.connectionId = connectionId;
+        this.from = { ...from };
+        this.to = { ...to };
+    }
+
+    execute() {
+        this.apply(this.to);
+    }
+
+    undo() {
+        this.apply(this.from);
+    }
+
+    /**
+     * @param {{label: string, kind: string}} properties
+     */
+    apply(properties) {
+        const connection = this.connectionManager.getConnectionById(this.connectionId);
+        if (connection) {
+            this.connectionManager.setConnectionProperties(connection, properties);
+        }
+    }
+}
+
+/**
+ * UpdateConnectionGeometryCommand - Changes a connection's bend points and pinned anchor sides.
+ */
+export class UpdateConnectionGeometryCommand {
+    /**
+     * @param {ConnectionManager} connectionManager
+     * @param {string} connectionId
+     * @param {{waypoints: Array<{x: number, y: number}>, sourceSide: string|null, targetSide: string|null}} from
+     * @param {{waypoints: Array<{x: number, y: number}>, sourceSide: string|null, targetSide: string|null}} to
+     */
+    constructor(connectionManager, connectionId, from, to) {
+        this.label = 'Edit connection path';
+        this.connectionManager = connectionManager;
+        this.connectionId = connectionId;
+        this.from = structuredClone(from);
+        this.to = structuredClone(to);
+    }
+
+    execute() {
+        this.apply(this.to);
+    }
+
+    undo() {
+        this.apply(this.from);
+    }
+
+    /**
+     * @param {Object} geometry
+     */
+    apply(geometry) {
+        const connection = this.connectionManager.getConnectionById(this.connectionId);
+        if (connection) {
+            this.connectionManager.setConnectionGeometry(connection, structuredClone(geometry));
+        }
+    }
+}
+
+/**
+ * SetLanesCommand - Changes the lanes (order, heights, removal) without moving any element.
+ * Lane edits combine it with MoveElementCommands for the lane contents.
+ */
+export class SetLanesCommand {
+    /**
+     * @param {LaneManager} laneManager
+     * @param {Array<Object>} from - Lane records before the change (see LaneManager.serialize).
+     * @param {Array<Object>} to - Lane records after the change.
+     */
+    constructor(laneManager, from, to) {
+        this.label = 'Change lanes';
+        this.laneManager = laneManager;
+        this.from = structuredClone(from);
+        this.to = structuredClone(to);
+    }
+
+    execute() {
+        this.laneManager.restoreLanes(this.to);
+    }
+
+    undo() {
+        this.laneManager.restoreLanes(this.from);
+    }
+}
+
+/**
+ * CompositeCommand - Groups several commands into a single undo step.
+ */
+export class CompositeCommand {
+    /**
+     * @param {string} label - Description of the combined step.
+     * @param {Array<Object>} commands - Commands executed in order and undone in reverse.
+     */
+    constructor(label, commands) {
+        this.label = label;
+        this.commands = commands;
+    }
+
+    execute() {
+        this.commands.forEach(command => command.execute());
+    }
+
+    undo() {
+        [...this.commands].reverse().forEach(command => command.undo());
+    }
+}
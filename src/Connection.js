@@ -1,4 +1,103 @@
-// let idCounter = 1; 
+import { v4 as uuidv4 } from 'uuid';
+import { routeOrthogonalVia, roundedPathData } from './OrthogonalRouter.js';
+
+/**
+ * How a connection's path is drawn.
+ * @readonly
+ * @enum {string}
+ */
+export const CONNECTION_ROUTINGS = {
+    CURVED: 'curved',         // Cubic Bezier between the two sides
+    ORTHOGONAL: 'orthogonal'  // Horizontal/vertical segments around other elements
+};
+
+/**
+ * What a connection means. Each kind has its own stroke (see style.css) and arrowhead.
+ * @readonly
+ * @enum {string}
+ */
+export const CONNECTION_KINDS = {
+    FLOW: 'flow',             // Plain, unspecified flow
+    TRIGGERS: 'triggers',     // GUI/processor triggers a command
+    PRODUCES: 'produces',     // Command produces an event
+    READS: 'reads',           // Read model is fed by / read from
+    AUTOMATION: 'automation'  // Automated step (processor)
+};
+
+/**
+ * Arrowhead marker per connection kind; the markers are defined once in the canvas defs.
+ * `open` markers are drawn as a chevron instead of a filled triangle.
+ * @type {Object<string, {id: string, color: string, open: boolean}>}
+ */
+export const CONNECTION_KIND_MARKERS = {
+    [CONNECTION_KINDS.FLOW]: { id: 'arrowhead-marker', color: '#333', open: false },
+    [CONNECTION_KINDS.TRIGGERS]: { id: 'arrowhead-triggers-marker', color: '#1565C0', open: false },
+    [CONNECTION_KINDS.PRODUCES]: { id: 'arrowhead-produces-marker', color: '#E65100', open: false },
+    [CONNECTION_KINDS.READS]: { id: 'arrowhead-reads-marker', color: '#2E7D32', open: true },
+    [CONNECTION_KINDS.AUTOMATION]: { id: 'arrowhead-automation-marker', color: '#6A1B9A', open: false }
+};
+
+/**
+ * Unit direction leaving each element side.
+ */
+const SIDE_DIRECTIONS = {
+    top: { x: 0, y: -1 },
+    right: { x: 1, y: 0 },
+    bottom: { x: 0, y: 1 },
+    left: { x: -1, y: 0 }
+};
+
+/**
+ * The connection point of `element` closest to a reference point.
+ * @param {Element} element
+ * @param {{x: number, y: number}} reference
+ * @returns {{x: number, y: number, side: string}}
+ */
+function nearestConnectionPoint(element, reference) {
+    let best = null;
+    let minDistance = Infinity;
+    for (const [side, point] of Object.entries(element.getConnectionPoints())) {
+        const distance = Math.hypot(point.x - reference.x, point.y - reference.y);
+        if (distance < minDistance) {
+            minDistance = distance;
+            best = { ...point, side };
+        }
+    }
+    return best;
+}
+
+/**
+ * Depth First Search along outgoing connections: is `target` reachable from `current`?
+ * Used for loop detection (a new source -> target connection closes a loop when
+ * the source is reachable from the target).
+ * @param {Element} current - The current element in the search path.
+ * @param {Element} target - The target element we are trying to reach.
+ * @param {Set<string>} visited - Set of visited element IDs in the current path.
+ * @returns {boolean} - True if path exists from current to target.
+ */
+export function pathExists(current, target, visited) {
+    // Base case: found a path to the target
+    if (current.id === target.id) { 
+        return true; 
+    }
+    visited.add(current.id);
+
+    // Look at outgoing connections from the 'current' element
+    for (const conn of current.connections) {
+        // Only follow connections originating from 'current'
+        if (conn.sourceElement.id === current.id) {
+            const nextElement = conn.targetElement;
+            // Avoid revisiting nodes to prevent infinite loops
+            if (!visited.has(nextElement.id)) {
+                if (pathExists(nextElement, target, visited)) {
+                    return true;
+                }
+            }
+        }
+    }
+    // No path found from current to target
+    return false;
+}
 
 /**
  * Connection class - Represents a directed connection between two elements.
@@ -9,13 +108,14 @@ export class Connection {
      * Create a new Connection.
      * @param {Element} sourceElement - The element where the connection starts.
      * @param {Element} targetElement - The element where the connection ends.
+     * @param {string|null} [id=null] - Existing identifier to reuse (e.g. when loading a model).
      */
-    constructor(sourceElement, targetElement) {
+    constructor(sourceElement, targetElement, id = null) {
         /**
          * Unique identifier for this connection.
          * @type {string}
          */
-        this.id = `connection-${idCounter++}`;
+        this.id = id || `connection-${uuidv4()}`;
 
         /**
          * The source element of the connection.
@@ -42,6 +142,48 @@ export class Connection {
          * @type {{x: number, y: number, side: string}}
          */
         this.targetPoint = target;
+
+        /**
+         * Routing of this connection, or null to follow the manager's default.
+         * @type {string|null}
+         */
+        this.routing = null;
+
+        /**
+         * Text shown at the middle of the path (empty for none).
+         * @type {string}
+         */
+        this.label = '';
+
+        /**
+         * Meaning of the connection, one of CONNECTION_KINDS.
+         * @type {string}
+         */
+        this.kind = CONNECTION_KINDS.FLOW;
+
+        /**
+         * User-placed bend points the path passes through, in order (canvas coordinates).
+         * @type {Array<{x: number, y: number}>}
+         */
+        this.waypoints = [];
+
+        /**
+         * Side of the source element the connection is pinned to, or null to pick the nearest.
+         * @type {string|null}
+         */
+        this.sourceSide = null;
+
+        /**
+         * Side of the target element the connection is pinned to, or null to pick the nearest.
+         * @type {string|null}
+         */
+        this.targetSide = null;
+
+        /**
+         * Corner points of the last orthogonal route (null when drawn curved).
+         * @type {Array<{x: number, y: number}>|null}
+         */
+        this.routePoints = null;
     }
 
     /**
@@ -54,53 +196,19 @@ export class Connection {
             return true; 
         }
         // Check if a path already exists from target back to source
-        return this.pathExists(this.targetElement, this.sourceElement, new Set());
+        return pathExists(this.targetElement, this.sourceElement, new Set());
     }
 
     /**
-     * Helper for createsLoop: Performs Depth First Search to find path.
-     * @param {Element} current - The current element in the search path.
-     * @param {Element} target - The target element we are trying to reach.
-     * @param {Set<string>} visited - Set of visited element IDs in the current path.
-     * @returns {boolean} - True if path exists from current to target.
-     */
-    pathExists(current, target, visited) {
-        // Base case: found a path to the target
-        if (current.id === target.id) { 
-            return true; 
-        }
-        visited.add(current.id);
-
-        // Look at outgoing connections from the 'current' element
-        for (const conn of current.connections) {
-            // Only follow connections originating from 'current'
-            if (conn.sourceElement.id === current.id) {
-                const nextElement = conn.targetElement;
-                // Avoid revisiting nodes to prevent infinite loops
-                if (!visited.has(nextElement.id)) {
-                    if (this.pathExists(nextElement, target, visited)) {
-                        return true;
-                    }
-                }
-            }
-        }
-        // No path found from current to target
-        return false;
-    }
-
-    /**
-     * Create an SVG representation of this connection (a curved path with marker).
+     * Create an SVG representation of this connection (a path with marker).
      * @param {SVG.Container} canvas - The SVG canvas to draw on.
+     * @param {string|null} [pathData=null] - Precomputed path data (see createPath); curved if omitted.
      * @returns {SVG.Path} - The SVG path representing the connection.
      */
-    createSVG(canvas) {
-        // Update connection points based on current element positions
-        const { source, target } = this.sourceElement.findBestConnectionPoint(this.targetElement);
-        this.sourcePoint = source;
-        this.targetPoint = target;
-
-        // Create the SVG path data string
-        const pathData = this.createCurvedPath(this.sourcePoint, this.targetPoint);
+    createSVG(canvas, pathData = null) {
+        if (!pathData) {
+            pathData = this.createPath(CONNECTION_ROUTINGS.CURVED);
+        }
 
         // Create the SVG path element
         const connectionPath = canvas.path(pathData)
@@ -112,12 +220,148 @@ export class Connection {
             })
             .addClass('connection-path');
 
-        // Apply the globally defined marker using its ID via .attr()
-        connectionPath.attr('marker-end', 'url(#arrowhead-marker)');
+        // Kind class and globally defined marker, then the label on top of the path
+        this.applyKindStyle(connectionPath);
+        this.updateLabel(canvas, connectionPath);
 
         return connectionPath;
     }
 
+    /**
+     * Set the kind class and arrowhead marker on the connection's path.
+     * @param {SVG.Path} connectionPath
+     */
+    applyKindStyle(connectionPath) {
+        Object.values(CONNECTION_KINDS).forEach(kind => connectionPath.removeClass(`connection-kind-${kind}`));
+        connectionPath.addClass(`connection-kind-${this.kind}`);
+        const marker = CONNECTION_KIND_MARKERS[this.kind] ?? CONNECTION_KIND_MARKERS[CONNECTION_KINDS.FLOW];
+        connectionPath.attr('marker-end', `url(#${marker.id})`);
+    }
+
+    /**
+     * Create, move or remove the label at the middle of the drawn path.
+     * @param {SVG.Container} canvas - The canvas holding the path.
+     * @param {SVG.Path|null} [connectionPath] - The drawn path, if at hand (looked up otherwise).
+     */
+    updateLabel(canvas, connectionPath = canvas.findOne(`#${this.id}`)) {
+        // The label sits right after its path; only search the canvas when it should exist
+        const next = connectionPath?.next();
+        let label = next?.attr('id') === `${this.id}-label` ? next : null;
+        if (!label && (this.label || !connectionPath)) {
+            label = canvas.findOne(`#${this.id}-label`);
+        }
+        if (!this.label || !connectionPath) {
+            label?.remove();
+            return;
+        }
+        if (!label) {
+            label = canvas.plain('').attr({ id: `${this.id}-label` }).addClass('connection-label');
+            connectionPath.after(label);
+        }
+        const middle = connectionPath.pointAt(connectionPath.length() / 2);
+        label.plain(this.label).attr({
+            x: middle.x,
+            y: middle.y,
+            'text-anchor': 'middle',
+            'dominant-baseline': 'central'
+        });
+    }
+
+    /**
+     * Recompute the connection points from the current element positions and build the path data.
+     * @param {string} routing - One of CONNECTION_ROUTINGS.
+     * @param {Array<{x: number, y: number, width: number, height: number}>} [obstacles=[]] - Boxes an orthogonal route avoids.
+     * @returns {string} - SVG path data string.
+     */
+    createPath(routing, obstacles = []) {
+        const { source, target } = this.resolveEndpoints();
+        this.sourcePoint = source;
+        this.targetPoint = target;
+        if (routing === CONNECTION_ROUTINGS.ORTHOGONAL) {
+            this.routePoints = routeOrthogonalVia(source, this.waypoints, target, obstacles);
+            return roundedPathData(this.routePoints);
+        }
+        this.routePoints = null;
+        return this.waypoints.length > 0
+            ? this.createCurvedPathThrough([source, ...this.waypoints, target])
+            : this.createCurvedPath(source, target);
+    }
+
+    /**
+     * Pick the connection points on both elements. Pinned sides are kept as they are; free ends
+     * take the side nearest to their neighbour (the adjacent bend point or the other end).
+     * @returns {{source: {x: number, y: number, side: string}, target: {x: number, y: number, side: string}}}
+     */
+    resolveEndpoints() {
+        const pinned = (element, side) => {
+            const point = element.getConnectionPoints()[side];
+            return point ? { ...point, side } : null;
+        };
+        let source = this.sourceSide ? pinned(this.sourceElement, this.sourceSide) : null;
+        let target = this.targetSide ? pinned(this.targetElement, this.targetSide) : null;
+        const firstStop = this.waypoints[0] ?? target;
+        const lastStop = this.waypoints[this.waypoints.length - 1] ?? source;
+        if (!source && firstStop) {
+            source = nearestConnectionPoint(this.sourceElement, firstStop);
+        }
+        if (!target && lastStop) {
+            target = nearestConnectionPoint(this.targetElement, lastStop);
+        }
+        if (!source || !target) {
+            return this.sourceElement.findBestConnectionPoint(this.targetElement);
+        }
+        return { source, target };
+    }
+
+    /**
+     * The points the path passes through: source point, bend points, target point.
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getPathStops() {
+        return [this.sourcePoint, ...this.waypoints, this.targetPoint];
+    }
+
+    /**
+     * Bounding box of the last orthogonal route, or null if the connection is drawn curved.
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null}
+     */
+    getRouteBounds() {
+        if (!this.routePoints) return null;
+        const xs = this.routePoints.map(point => point.x);
+        const ys = this.routePoints.map(point => point.y);
+        return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+
+    /**
+     * Calculate the SVG path data string for a smooth curve through several points
+     * (Catmull-Rom tangents; the ends leave and enter along their element sides).
+     * @param {Array<Object>} points - Source point {x, y, side}, bend points {x, y}, target point {x, y, side}.
+     * @returns {string} - SVG path data string.
+     */
+    createCurvedPathThrough(points) {
+        const last = points.length - 1;
+        const tangent = (k) => {
+            if (k === 0 || k === last) {
+                const direction = SIDE_DIRECTIONS[points[k].side] || { x: 0, y: 0 };
+                return k === 0 ? direction : { x: -direction.x, y: -direction.y };
+            }
+            const dx = points[k + 1].x - points[k - 1].x;
+            const dy = points[k + 1].y - points[k - 1].y;
+            const length = Math.hypot(dx, dy) || 1;
+            return { x: dx / length, y: dy / length };
+        };
+        const parts = [`M ${points[0].x} ${points[0].y}`];
+        for (let k = 0; k < last; k++) {
+            const from = points[k];
+            const to = points[k + 1];
+            const reach = Math.hypot(to.x - from.x, to.y - from.y) / 3;
+            const t1 = tangent(k);
+            const t2 = tangent(k + 1);
+            parts.push(`C ${from.x + t1.x * reach} ${from.y + t1.y * reach}, ${to.x - t2.x * reach} ${to.y - t2.y * reach}, ${to.x} ${to.y}`);
+        }
+        return parts.join(' ');
+    }
+
     /**
      * Calculate the SVG path data string for a cubic Bezier curve between two points.
      * Control points are offset based on the connection side for better routing.
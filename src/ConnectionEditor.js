@@ -0,0 +1,247 @@
+/**
+ * ConnectionEditor.js
+ *
+ * Defines the ConnectionEditor class: handles on the selected connection for
+ * shaping its path. Round handles are bend points (drag to move, double-click
+ * to remove), the small handles between them add a bend point when dragged,
+ * and the square handles at both ends pin the connection to an element side
+ * (double-click to let the side follow the nearest point again).
+ */
+import { CHANGE_TYPES } from './ChangeNotifier.js';
+import { UpdateConnectionGeometryCommand } from './Commands.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ConnectionEditor");
+
+/**
+ * Radius of a bend point handle.
+ */
+const WAYPOINT_HANDLE_RADIUS = 6;
+
+/**
+ * Radius of a handle that adds a bend point.
+ */
+const MIDPOINT_HANDLE_RADIUS = 4;
+
+/**
+ * Size of an anchor handle square.
+ */
+const ANCHOR_HANDLE_SIZE = 10;
+
+/**
+ * ConnectionEditor - Bend point and anchor handles for the selected connection.
+ */
+export class ConnectionEditor {
+    /**
+     * Construct a ConnectionEditor.
+     * @param {SVG.Svg} canvas - The SVG canvas.
+     * @param {InteractionManager} interactionManager - Provides the connection selection, managers and history.
+     */
+    constructor(canvas, interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the connection manager.
+         * @type {ConnectionManager}
+         */
+        this.connectionManager = interactionManager.connectionManager;
+
+        /**
+         * Group holding the handles of the selected connection.
+         * @type {SVG.G|null}
+         */
+        this.layer = null;
+
+        /**
+         * Whether a handle is being dragged (the handles are redrawn by the drag itself).
+         * @type {boolean}
+         */
+        this.dragging = false;
+
+        interactionManager.selectionChanges.subscribe(() => this.refresh());
+        this.connectionManager.changes.subscribe(change => {
+            if (change.type === CHANGE_TYPES.CONNECTION_UPDATED || change.type === CHANGE_TYPES.CONNECTION_REMOVED ||
+                change.type === CHANGE_TYPES.CONNECTION_RULES_CHANGED) {
+                this.refresh();
+            }
+        });
+        interactionManager.elementManager.changes.subscribe(change => {
+            if (change.type === CHANGE_TYPES.ELEMENT_MOVED || change.type === CHANGE_TYPES.ELEMENT_UPDATED) {
+                this.refresh();
+            }
+        });
+    }
+
+    /**
+     * Redraw the handles for the selected connection, or remove them.
+     */
+    refresh() {
+        if (this.dragging) return;
+        const connection = this.interactionManager.selectedConnection;
+        if (connection && !this.connectionManager.getConnectionById(connection.id)) {
+            // The connection was deleted (or replaced by undo)
+            this.interactionManager.selectConnection(null);
+            return;
+        }
+        this.render(connection);
+    }
+
+    /**
+     * Draw the handles of a connection on top of everything else.
+     * @param {Connection|null} connection
+     */
+    render(connection) {
+        this.layer?.remove();
+        this.layer = null;
+        if (!connection) return;
+        this.layer = this.canvas.group().addClass('connection-handles');
+
+        // Handles between consecutive stops add a bend point there
+        const stops = connection.getPathStops();
+        for (let k = 0; k < stops.length - 1; k++) {
+            const handle = this.layer.circle(MIDPOINT_HANDLE_RADIUS * 2)
+                .center((stops[k].x + stops[k + 1].x) / 2, (stops[k].y + stops[k + 1].y) / 2)
+                .addClass('connection-midpoint-handle');
+            handle.node.addEventListener('mousedown', (e) => this.startWaypointDrag(e, connection, k, true));
+        }
+
+        connection.waypoints.forEach((point, index) => {
+            const handle = this.layer.circle(WAYPOINT_HANDLE_RADIUS * 2)
+                .center(point.x, point.y)
+                .addClass('connection-waypoint-handle');
+            handle.node.addEventListener('mousedown', (e) => this.startWaypointDrag(e, connection, index, false));
+            handle.node.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                const waypoints = connection.waypoints.filter((_, k) => k !== index);
+                this.commit(connection, this.getGeometry(connection), { ...this.getGeometry(connection), waypoints });
+            });
+        });
+
+        [['source', connection.sourcePoint, connection.sourceSide], ['target', connection.targetPoint, connection.targetSide]]
+            .forEach(([end, point, pinnedSide]) => {
+                const handle = this.layer.rect(ANCHOR_HANDLE_SIZE, ANCHOR_HANDLE_SIZE)
+                    .center(point.x, point.y)
+                    .addClass('connection-anchor-handle');
+                if (pinnedSide) {
+                    handle.addClass('connection-anchor-pinned');
+                }
+                handle.node.addEventListener('mousedown', (e) => this.startAnchorDrag(e, connection, end));
+                handle.node.addEventListener('dblclick', (e) => {
+                    e.stopPropagation();
+                    this.commit(connection, this.getGeometry(connection), { ...this.getGeometry(connection), [`${end}Side`]: null });
+                });
+            });
+    }
+
+    /**
+     * The editable geometry of a connection.
+     * @param {Connection} connection
+     * @returns {{waypoints: Array<{x: number, y: number}>, sourceSide: string|null, targetSide: string|null}}
+     */
+    getGeometry(connection) {
+        return {
+            waypoints: connection.waypoints.map(point => ({ ...point })),
+            sourceSide: connection.sourceSide,
+            targetSide: connection.targetSide
+        };
+    }
+
+    /**
+     * Drag a bend point, or a new one inserted after stop `index`.
+     * @param {MouseEvent} e - The mousedown on the handle.
+     * @param {Connection} connection
+     * @param {number} index - Index of the bend point (or of the stop before the new one).
+     * @param {boolean} insert - Whether to insert a new bend point.
+     */
+    startWaypointDrag(e, connection, index, insert) {
+        this.trackDrag(e, connection, (geometry, point) => {
+            if (insert) {
+                geometry.waypoints.splice(index, 0, point);
+                insert = false; // Later moves drag the inserted point
+            } else {
+                geometry.waypoints[index] = point;
+            }
+        });
+    }
+
+    /**
+     * Drag an end of the connection around its element to pin it to the nearest side.
+     * @param {MouseEvent} e - The mousedown on the handle.
+     * @param {Connection} connection
+     * @param {'source'|'target'} end
+     */
+    startAnchorDrag(e, connection, end) {
+        const element = end === 'source' ? connection.sourceElement : connection.targetElement;
+        this.trackDrag(e, connection, (geometry, point) => {
+            let nearest = null;
+            let minDistance = Infinity;
+            for (const [side, sidePoint] of Object.entries(element.getConnectionPoints())) {
+                const distance = Math.hypot(sidePoint.x - point.x, sidePoint.y - point.y);
+                if (distance < minDistance) {
+                    minDistance = distance;
+                    nearest = side;
+                }
+            }
+            geometry[`${end}Side`] = nearest;
+        });
+    }
+
+    /**
+     * Follow the pointer, applying `update` to a working copy of the geometry on every move,
+     * and record one undo step at the end.
+     * @param {MouseEvent} e - The mousedown on the handle.
+     * @param {Connection} connection
+     * @param {function(Object, {x: number, y: number}): void} update - Changes the geometry for a pointer position.
+     */
+    trackDrag(e, connection, update) {
+        if (e.button !== 0) return;
+        e.stopPropagation(); // Not a pan, nor a lasso
+        e.preventDefault();
+        const from = this.getGeometry(connection);
+        const working = this.getGeometry(connection);
+        this.dragging = true;
+
+        const onMove = (moveEvent) => {
+            const { x, y } = this.canvas.point(moveEvent.clientX, moveEvent.clientY);
+            update(working, { x: Math.round(x), y: Math.round(y) });
+            this.connectionManager.applyGeometry(connection, working);
+            this.connectionManager.redrawConnection(connection);
+            this.render(connection);
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            this.dragging = false;
+            this.commit(connection, from, this.getGeometry(connection));
+            // The mouseup is followed by a click on the canvas; don't let it clear the selection
+            this.interactionManager.suppressClickUntil = Date.now() + this.interactionManager.MAX_DBL_CLICK_TIME;
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Apply a geometry change and record it, unless nothing changed.
+     * @param {Connection} connection
+     * @param {Object} from - Geometry before the change.
+     * @param {Object} to - Geometry after the change.
+     */
+    commit(connection, from, to) {
+        if (JSON.stringify(from) === JSON.stringify(to)) {
+            return; // A plain click (possibly the first half of a double-click)
+        }
+        this.connectionManager.setConnectionGeometry(connection, to);
+        this.interactionManager.history.record(new UpdateConnectionGeometryCommand(this.connectionManager, connection.id, from, to));
+    }
+}
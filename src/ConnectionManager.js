@@ -3,7 +3,23 @@
  *
  * Defines the ConnectionManager class for handling connection creation and management.
  */
-import { Connection } from './Connection.js';
+import { Connection, CONNECTION_ROUTINGS, CONNECTION_KINDS, pathExists } from './Connection.js';
+import { ELEMENT_TYPES } from './Element.js';
+import { ChangeNotifier, CHANGE_TYPES } from './ChangeNotifier.js';
+import { ConnectionRules } from './ConnectionRules.js';
+import { ROUTING_REACH } from './OrthogonalRouter.js';
+import { SpatialIndex } from './SpatialIndex.js';
+
+/**
+ * How connections that close a cycle in the graph are treated.
+ * @readonly
+ * @enum {string}
+ */
+export const CYCLE_POLICIES = {
+    ALLOW: 'allow',   // Accept silently
+    WARN: 'warn',     // Accept, but warn (amber temp line, console warning)
+    FORBID: 'forbid'  // Reject
+};
 
 /**
  * ConnectionManager - Handles the creation and management of connections between elements.
@@ -33,6 +49,24 @@ export class ConnectionManager {
          */
         this.connections = [];
 
+        /**
+         * The same connections keyed by id, for constant-time lookups.
+         * @type {Map<string, Connection>}
+         */
+        this.connectionsById = new Map();
+
+        /**
+         * Drawn path of every connection, keyed by connection id (saves a canvas search per redraw).
+         * @type {Map<string, SVG.Path>}
+         */
+        this.connectionPaths = new Map();
+
+        /**
+         * Bounds of every orthogonal route, to find the routes an element move may affect.
+         * @type {SpatialIndex}
+         */
+        this.routeIndex = new SpatialIndex();
+
         /**
          * Whether a connection is currently being drawn.
          * @type {boolean}
@@ -50,6 +84,51 @@ export class ConnectionManager {
          * @type {SVG.Path|null}
          */
         this.tempConnection = null;
+
+        /**
+         * Announces connection mutations (used by autosave and history).
+         * @type {ChangeNotifier}
+         */
+        this.changes = new ChangeNotifier();
+
+        /**
+         * Connection grammar (which element type may connect to which).
+         * @type {ConnectionRules}
+         */
+        this.rules = new ConnectionRules();
+
+        /**
+         * Treatment of connections that would close a cycle.
+         * Event Modeling flows are often cyclic (read model -> GUI -> command -> event), hence WARN.
+         * @type {string}
+         */
+        this.cyclePolicy = CYCLE_POLICIES.WARN;
+
+        /**
+         * Whether more than one connection may link the same source to the same target.
+         * @type {boolean}
+         */
+        this.allowParallelConnections = false;
+
+        /**
+         * Routing used by connections that don't set their own.
+         * @type {string}
+         */
+        this.defaultRouting = CONNECTION_ROUTINGS.CURVED;
+
+        /**
+         * Element bounds at the last connection update, to find orthogonal routes that
+         * went around an element's previous position.
+         * @type {Map<string, {x: number, y: number, width: number, height: number}>}
+         */
+        this.lastElementBounds = new Map();
+
+        /**
+         * Viewport culling (set by ViewportRenderer): decides which connections get a path.
+         * Null draws every connection.
+         * @type {ViewportRenderer|null}
+         */
+        this.viewport = null;
     }
 
     /**
@@ -73,8 +152,9 @@ export class ConnectionManager {
             stroke: '#555', // Slightly different color for temp line
             'stroke-width': 2,
             'stroke-dasharray': '5,5',
-            fill: 'none'
-        });
+            fill: 'none',
+            'pointer-events': 'none' // Let hover detection see the element under the cursor
+        }).addClass('temp-connection');
 
         // Apply the global marker to the temporary connection
         this.tempConnection.attr('marker-end', 'url(#arrowhead-marker)');
@@ -84,8 +164,9 @@ export class ConnectionManager {
      * Update the temporary connection path to follow the mouse cursor.
      * @param {number} mouseX - Current mouse X position in SVG coordinates.
      * @param {number} mouseY - Current mouse Y position in SVG coordinates.
+     * @param {Element|null} [hoverElement=null] - Element under the cursor, checked against the rules.
      */
-    updateTempConnection(mouseX, mouseY) {
+    updateTempConnection(mouseX, mouseY, hoverElement = null) {
         if (!this.connectionMode || !this.tempConnection || !this.sourceElement) {
             return; // Exit if not in active connection mode
         }
@@ -128,14 +209,304 @@ export class ConnectionManager {
 
         // Update the temporary path's shape
         this.tempConnection.plot(pathData);
+
+        // Show whether dropping the connection on the hovered element would be accepted
+        const hoveringTarget = hoverElement && hoverElement !== this.sourceElement;
+        const validation = hoveringTarget ? this.validateConnection(this.sourceElement, hoverElement) : null;
+        this.tempConnection
+            .removeClass('temp-connection-valid')
+            .removeClass('temp-connection-warning')
+            .removeClass('temp-connection-invalid');
+        if (validation) {
+            if (!validation.valid) {
+                this.tempConnection.addClass('temp-connection-invalid');
+            } else {
+                this.tempConnection.addClass(validation.warning ? 'temp-connection-warning' : 'temp-connection-valid');
+            }
+        }
+    }
+
+    /**
+     * Check whether a connection between two elements is allowed.
+     * @param {Element} sourceElement - The source element.
+     * @param {Element} targetElement - The target element.
+     * @returns {{valid: boolean, reason: string|null, warning: string|null}} - Reason is set when
+     *   invalid; warning is set when allowed but questionable (a cycle under the WARN policy).
+     */
+    validateConnection(sourceElement, targetElement) {
+        if (!sourceElement || !targetElement || sourceElement === targetElement) {
+            return { valid: false, reason: "Invalid target or self-connection.", warning: null };
+        }
+        if (!this.rules.isAllowed(sourceElement.type, targetElement.type)) {
+            return { valid: false, reason: `${sourceElement.type} cannot connect to ${targetElement.type}.`, warning: null };
+        }
+        if (!this.allowParallelConnections && sourceElement.connections.some(c =>
+            c.sourceElement.id === sourceElement.id && c.targetElement.id === targetElement.id)) {
+            return { valid: false, reason: "These elements are already connected.", warning: null };
+        }
+        if (this.cyclePolicy !== CYCLE_POLICIES.ALLOW && pathExists(targetElement, sourceElement, new Set())) {
+            const message = `Connecting ${sourceElement.id} to ${targetElement.id} creates a cycle.`;
+            if (this.cyclePolicy === CYCLE_POLICIES.FORBID) {
+                return { valid: false, reason: message, warning: null };
+            }
+            return { valid: true, reason: null, warning: message };
+        }
+        return { valid: true, reason: null, warning: null };
+    }
+
+    /**
+     * Set how connections that close a cycle are treated.
+     * @param {string} policy - One of CYCLE_POLICIES.
+     */
+    setCyclePolicy(policy) {
+        if (!Object.values(CYCLE_POLICIES).includes(policy)) {
+            console.warn(`Unknown cycle policy "${policy}", keeping "${this.cyclePolicy}".`);
+            return;
+        }
+        this.cyclePolicy = policy;
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_RULES_CHANGED });
+    }
+
+    /**
+     * Allow or reject more than one connection between the same source and target.
+     * @param {boolean} allowed
+     */
+    setAllowParallelConnections(allowed) {
+        this.allowParallelConnections = Boolean(allowed);
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_RULES_CHANGED });
+    }
+
+    /**
+     * Replace the connection grammar overrides (e.g. from a loaded model or the rules editor).
+     * Existing connections are kept even if they no longer match.
+     * @param {Object<string, Array<string>>} overrides - Target lists per source type.
+     */
+    setRuleOverrides(overrides) {
+        this.rules.setOverrides(overrides);
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_RULES_CHANGED });
+    }
+
+    /**
+     * Allow or forbid a single source -> target type pair.
+     * @param {string} sourceType
+     * @param {string} targetType
+     * @param {boolean} allowed
+     */
+    setRuleAllowed(sourceType, targetType, allowed) {
+        this.rules.setAllowed(sourceType, targetType, allowed);
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_RULES_CHANGED });
+    }
+
+    /**
+     * Set the routing used by connections that don't set their own, and redraw them.
+     * @param {string} routing - One of CONNECTION_ROUTINGS.
+     */
+    setDefaultRouting(routing) {
+        if (!Object.values(CONNECTION_ROUTINGS).includes(routing)) {
+            console.warn(`Unknown routing "${routing}", keeping "${this.defaultRouting}".`);
+            return;
+        }
+        this.defaultRouting = routing;
+        this.updateConnections();
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_RULES_CHANGED });
+    }
+
+    /**
+     * Set the routing of a single connection and redraw it.
+     * @param {Connection} connection
+     * @param {string|null} routing - One of CONNECTION_ROUTINGS, or null to follow the default.
+     */
+    setConnectionRouting(connection, routing) {
+        if (routing !== null && !Object.values(CONNECTION_ROUTINGS).includes(routing)) {
+            console.warn(`Unknown routing "${routing}" for ${connection.id}.`);
+            return;
+        }
+        connection.routing = routing;
+        this.redrawConnection(connection);
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_UPDATED, connection });
+    }
+
+    /**
+     * Replace a connection's bend points and pinned anchor sides, and redraw it.
+     * @param {Connection} connection
+     * @param {{waypoints?: Array<{x: number, y: number}>, sourceSide?: string|null, targetSide?: string|null}} geometry
+     */
+    setConnectionGeometry(connection, geometry) {
+        this.applyGeometry(connection, geometry);
+        this.redrawConnection(connection);
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_UPDATED, connection });
+    }
+
+    /**
+     * Copy the given bend points / anchor sides onto a connection (fields that are absent are kept).
+     * @param {Connection} connection
+     * @param {{waypoints?: Array<{x: number, y: number}>, sourceSide?: string|null, targetSide?: string|null}} geometry
+     */
+    applyGeometry(connection, geometry) {
+        const validSide = side => (['top', 'right', 'bottom', 'left'].includes(side) ? side : null);
+        if (Array.isArray(geometry.waypoints)) {
+            connection.waypoints = geometry.waypoints
+                .filter(point => Number.isFinite(Number(point?.x)) && Number.isFinite(Number(point?.y)))
+                .map(point => ({ x: Number(point.x), y: Number(point.y) }));
+        }
+        if (geometry.sourceSide !== undefined) {
+            connection.sourceSide = validSide(geometry.sourceSide);
+        }
+        if (geometry.targetSide !== undefined) {
+            connection.targetSide = validSide(geometry.targetSide);
+        }
+    }
+
+    /**
+     * Change a connection's label and/or kind and restyle it.
+     * @param {Connection} connection
+     * @param {{label?: string, kind?: string}} properties
+     */
+    setConnectionProperties(connection, properties) {
+        this.applyProperties(connection, properties);
+        const svgConnection = this.getConnectionPath(connection);
+        if (svgConnection) {
+            connection.applyKindStyle(svgConnection);
+        }
+        connection.updateLabel(this.canvas, svgConnection);
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_UPDATED, connection });
+    }
+
+    /**
+     * Copy the given label / kind onto a connection (fields that are absent are kept).
+     * @param {Connection} connection
+     * @param {{label?: string, kind?: string}} properties
+     */
+    applyProperties(connection, properties) {
+        if (typeof properties.label === 'string') {
+            connection.label = properties.label.trim();
+        }
+        if (properties.kind !== undefined) {
+            connection.kind = Object.values(CONNECTION_KINDS).includes(properties.kind) ? properties.kind : CONNECTION_KINDS.FLOW;
+        }
+    }
+
+    /**
+     * The routing a connection is drawn with (its own, or the default).
+     * @param {Connection} connection
+     * @returns {string} - One of CONNECTION_ROUTINGS.
+     */
+    getEffectiveRouting(connection) {
+        return connection.routing ?? this.defaultRouting;
+    }
+
+    /**
+     * Boxes orthogonal routes go around: every element except slices, which are containers.
+     * @param {{x: number, y: number, width: number, height: number}|null} [area=null] - Only the elements in this box (all if null).
+     * @returns {Array<{x: number, y: number, width: number, height: number}>}
+     */
+    getRoutingObstacles(area = null) {
+        const candidates = area ? this.elementManager.getElementsInBounds(area) : this.elementManager.elements;
+        return candidates
+            .filter(element => element.type !== ELEMENT_TYPES.SLICE)
+            .map(({ x, y, width, height }) => ({ x, y, width, height }));
+    }
+
+    /**
+     * Box holding every obstacle that can affect a connection's orthogonal route:
+     * both elements and the bend points, widened by the router's reach.
+     * @param {Connection} connection
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getRoutingArea(connection) {
+        const { sourceElement: source, targetElement: target, waypoints } = connection;
+        const minX = Math.min(source.x, target.x, ...waypoints.map(point => point.x)) - ROUTING_REACH;
+        const minY = Math.min(source.y, target.y, ...waypoints.map(point => point.y)) - ROUTING_REACH;
+        const maxX = Math.max(source.x + source.width, target.x + target.width, ...waypoints.map(point => point.x)) + ROUTING_REACH;
+        const maxY = Math.max(source.y + source.height, target.y + target.height, ...waypoints.map(point => point.y)) + ROUTING_REACH;
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Build a connection's path data, routing orthogonal connections around the nearby elements.
+     * @param {Connection} connection
+     * @returns {string} - SVG path data.
+     */
+    buildPath(connection) {
+        const routing = this.getEffectiveRouting(connection);
+        const pathData = connection.createPath(routing,
+            routing === CONNECTION_ROUTINGS.ORTHOGONAL ? this.getRoutingObstacles(this.getRoutingArea(connection)) : []);
+        const routeBounds = connection.getRouteBounds();
+        if (routeBounds) {
+            this.routeIndex.update(connection, {
+                x: routeBounds.minX,
+                y: routeBounds.minY,
+                width: routeBounds.maxX - routeBounds.minX,
+                height: routeBounds.maxY - routeBounds.minY
+            });
+        } else {
+            this.routeIndex.remove(connection);
+        }
+        return pathData;
+    }
+
+    /**
+     * The drawn path of a connection, or null if it is not on the canvas.
+     * @param {Connection} connection
+     * @returns {SVG.Path|null}
+     */
+    getConnectionPath(connection) {
+        const path = this.connectionPaths.get(connection.id);
+        return path?.node.isConnected ? path : null;
+    }
+
+    /**
+     * Recompute a connection's path and update (or create) its SVG.
+     * Connections culled by the viewport are not routed, and lose their SVG.
+     * @param {Connection} connection
+     */
+    redrawConnection(connection) {
+        if (this.viewport && !this.viewport.isConnectionVisible(connection)) {
+            this.hideConnection(connection);
+            return;
+        }
+        const pathData = this.buildPath(connection);
+        const svgConnection = this.getConnectionPath(connection);
+        if (svgConnection) {
+            svgConnection.plot(pathData); // Use plot() for efficiency
+            connection.updateLabel(this.canvas, svgConnection);
+        } else {
+            // Not drawn yet (e.g. it just came into view)
+            this.connectionPaths.set(connection.id, connection.createSVG(this.canvas, pathData));
+        }
+    }
+
+    /**
+     * Remove a connection's path and label from the canvas, keeping the connection itself.
+     * @param {Connection} connection
+     */
+    hideConnection(connection) {
+        const svgConnection = this.getConnectionPath(connection);
+        if (!svgConnection) return;
+        this.connectionPaths.delete(connection.id);
+        this.routeIndex.remove(connection);
+        const label = svgConnection.next(); // The label sits right after its path
+        if (label?.attr('id') === `${connection.id}-label`) {
+            label.remove();
+        }
+        svgConnection.remove();
     }
 
     /**
      * Complete or cancel the connection creation process.
      * @param {Element | null} targetElement - The target element, or null if cancelled.
+     * @param {Object} [options] - Extra creation options.
+     * @param {string} [options.id] - Reuse an existing connection id (e.g. when loading a model).
+     * @param {boolean} [options.skipValidation] - Don't apply the connection rules (restoring saved state).
+     * @param {string|null} [options.routing] - Routing of the connection (see CONNECTION_ROUTINGS); null follows the default.
+     * @param {Array<{x: number, y: number}>} [options.waypoints] - Bend points of the path.
+     * @param {string|null} [options.sourceSide] - Pinned side of the source element.
+     * @param {string|null} [options.targetSide] - Pinned side of the target element.
+     * @param {string} [options.label] - Text shown at the middle of the path.
+     * @param {string} [options.kind] - One of CONNECTION_KINDS.
      * @returns {Connection | null} - The created Connection object, or null if invalid/cancelled.
      */
-    completeConnection(targetElement) {
+    completeConnection(targetElement, options = {}) {
         if (!this.connectionMode || !this.sourceElement) {
             // Not in connection mode or no source element
             console.warn("completeConnection called but not in connection mode or no source.");
@@ -165,8 +536,20 @@ export class ConnectionManager {
             return null;
         }
 
+        // Enforce the connection grammar
+        if (!options.skipValidation) {
+            const { valid, reason, warning } = this.validateConnection(currentSource, targetElement);
+            if (!valid) {
+                console.warn(`--- completeConnection: Rejected. ${reason}`);
+                return null;
+            }
+            if (warning) {
+                console.warn(`--- completeConnection: ${warning}`);
+            }
+        }
+
         // Create the connection object
-        const connection = new Connection(currentSource, targetElement);
+        const connection = new Connection(currentSource, targetElement, options.id);
 
         // Update element and manager state
         if (currentSource.connections && targetElement.connections) {
@@ -174,6 +557,7 @@ export class ConnectionManager {
             currentSource.connections.push(connection);
             targetElement.connections.push(connection);
             this.connections.push(connection);
+            this.connectionsById.set(connection.id, connection);
         } else {
             // If either element is missing a connections array, abort
             console.error("Element missing 'connections' array property!");
@@ -181,11 +565,30 @@ export class ConnectionManager {
         }
 
         // Draw the final connection SVG
-        connection.createSVG(this.canvas);
+        if (options.routing !== undefined) {
+            connection.routing = options.routing;
+        }
+        this.applyGeometry(connection, options);
+        this.applyProperties(connection, options);
+        this.redrawConnection(connection);
 
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_CREATED, connection });
         return connection;
     }
 
+    /**
+     * Connect two elements programmatically (e.g. when loading a model).
+     * Goes through the same start/complete path as an interactive connection.
+     * @param {Element} sourceElement - The source element.
+     * @param {Element} targetElement - The target element.
+     * @param {Object} [options] - Passed through to completeConnection.
+     * @returns {Connection | null} - The created Connection object, or null if invalid.
+     */
+    createConnection(sourceElement, targetElement, options = {}) {
+        this.startConnection(sourceElement);
+        return this.completeConnection(targetElement, options);
+    }
+
     /**
      * Cancel the current connection operation explicitly.
      */
@@ -230,18 +633,25 @@ export class ConnectionManager {
         if (managerIndex > -1) {
             this.connections.splice(managerIndex, 1);
         }
+        this.connectionsById.delete(connection.id);
+        this.routeIndex.remove(connection);
 
         // 4. Remove SVG element from the canvas
-        const svgConnection = this.canvas.findOne(`#${connection.id}`);
+        const svgConnection = this.getConnectionPath(connection) ?? this.canvas.findOne(`#${connection.id}`);
+        this.connectionPaths.delete(connection.id);
         if (svgConnection) {
             svgConnection.remove();
         }
+        this.canvas.findOne(`#${connection.id}-label`)?.remove();
         // No need to remove the marker as it's global
+
+        this.changes.notify({ type: CHANGE_TYPES.CONNECTION_REMOVED, connection });
     }
 
     /**
-     * Efficiently update only the connections attached to a specific element (e.g., when moved).
-     * Uses .plot() to update the path data instead of remove/redraw.
+     * Efficiently update only the connections affected by a change of one element (e.g. when moved).
+     * Besides the element's own connections, orthogonal routes that cross its new box or went
+     * around its previous box are re-routed. Uses .plot() to update the path data instead of remove/redraw.
      * @param {Element} element - The element whose connections need updating.
      */
     updateConnectionsForElement(element) {
@@ -249,47 +659,43 @@ export class ConnectionManager {
             console.error("Invalid Element");
             return;
         }
-        // Filter connections that are attached to the given element
-        const connectionsToUpdate = this.connections.filter(conn =>
-            conn.sourceElement.id === element.id || conn.targetElement.id === element.id
-        );
-
-        connectionsToUpdate.forEach(connection => {
-            const svgConnection = this.canvas.findOne(`#${connection.id}`);
-            if (svgConnection) {
-                // Recalculate best points and path data
-                const { source, target } = connection.sourceElement.findBestConnectionPoint(connection.targetElement);
-                connection.sourcePoint = source;
-                connection.targetPoint = target;
-                const newPathData = connection.createCurvedPath(source, target);
-                // Update the existing SVG path's shape
-                svgConnection.plot(newPathData);
-            } else {
-                // Fallback if SVG missing (shouldn't normally happen)
-                console.warn(`Could not find SVG for connection ${connection.id} during update. Recreating.`);
-                connection.createSVG(this.canvas);
-            }
-        });
+        const bounds = { x: element.x, y: element.y, width: element.width, height: element.height };
+        const previousBounds = this.lastElementBounds.get(element.id);
+        this.lastElementBounds.set(element.id, bounds);
+
+        // Attached connections, plus detours that the element may now block or have freed
+        const connectionsToUpdate = new Set(element.connections);
+        if (element.type !== ELEMENT_TYPES.SLICE) {
+            [bounds, previousBounds].filter(Boolean).forEach(box => {
+                this.routeIndex.search(box).forEach(connection => connectionsToUpdate.add(connection));
+            });
+        }
+        connectionsToUpdate.forEach(connection => this.redrawConnection(connection));
     }
 
     /**
      * Update all connections currently managed. Less efficient than updateConnectionsForElement.
-     * Should only be used if a global redraw is needed (e.g., after zoom if routing changes).
+     * Should only be used if a global redraw is needed (e.g., after the routing changes).
      */
     updateConnections() {
-        this.connections.forEach(connection => {
-            const svgConnection = this.canvas.findOne(`#${connection.id}`);
-            if (svgConnection) {
-                const { source, target } = connection.sourceElement.findBestConnectionPoint(connection.targetElement);
-                connection.sourcePoint = source;
-                connection.targetPoint = target;
-                const newPathData = connection.createCurvedPath(source, target);
-                svgConnection.plot(newPathData); // Use plot() for efficiency
-            } else {
-                console.warn(`Could not find SVG for connection ${connection.id} during global update. Recreating.`);
-                connection.createSVG(this.canvas);
-            }
-        });
+        this.connections.forEach(connection => this.redrawConnection(connection));
+    }
+
+    /**
+     * Drop what is remembered about a removed element (its bounds at the last connection update).
+     * @param {Element} element - The removed element.
+     */
+    forgetElement(element) {
+        this.lastElementBounds.delete(element.id);
+    }
+
+    /**
+     * Get a connection by its unique ID.
+     * @param {string} id - The connection's unique identifier.
+     * @returns {Connection|null} - The found connection or null if not found.
+     */
+    getConnectionById(id) {
+        return this.connectionsById.get(id) || null;
     }
 
     /**
@@ -299,8 +705,23 @@ export class ConnectionManager {
      */
     getConnectionsForElement(element) {
         if (!element) return [];
-        return this.connections.filter(c =>
-            c.sourceElement?.id === element.id || c.targetElement?.id === element.id
-        );
+        return [...(element.connections ?? [])];
+    }
+
+    /**
+     * Connections with bend points whose source and target are both among the given
+     * elements. When those elements move together, the bend points must move too.
+     * @param {Set<Element>} elements
+     * @returns {Array<Connection>}
+     */
+    getBentConnectionsWithin(elements) {
+        const found = new Set();
+        elements.forEach(element => (element.connections ?? []).forEach(connection => {
+            if (connection.waypoints.length > 0 &&
+                elements.has(connection.sourceElement) && elements.has(connection.targetElement)) {
+                found.add(connection);
+            }
+        }));
+        return [...found];
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,141 @@
+/**
+ * ConnectionPanel.js
+ *
+ * Defines the ConnectionPanel class: a side panel, opened from the connection
+ * context menu (🔧), for editing a connection's label and kind.
+ */
+import { CONNECTION_KINDS } from './Connection.js';
+import { CHANGE_TYPES } from './ChangeNotifier.js';
+import { UpdateConnectionPropertiesCommand } from './Commands.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ConnectionPanel");
+
+/**
+ * ConnectionPanel - Edits the label and kind of one connection at a time.
+ */
+export class ConnectionPanel {
+    /**
+     * Construct a ConnectionPanel.
+     * @param {InteractionManager} interactionManager - Provides the connection selection, managers and history.
+     */
+    constructor(interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the connection manager.
+         * @type {ConnectionManager}
+         */
+        this.connectionManager = interactionManager.connectionManager;
+
+        /**
+         * The panel element.
+         * @type {HTMLElement|null}
+         */
+        this.panel = document.getElementById('connection-panel');
+
+        /**
+         * Connection shown in the panel, or null when closed.
+         * @type {Connection|null}
+         */
+        this.connection = null;
+
+        const kindSelect = document.getElementById('connection-kind');
+        if (kindSelect) {
+            kindSelect.innerHTML = Object.values(CONNECTION_KINDS).map(kind => `<option value="${kind}">${kind}</option>`).join('');
+        }
+
+        this.initEvents();
+    }
+
+    /**
+     * Wire the context menu entry, the panel controls, and model/selection changes.
+     */
+    initEvents() {
+        document.getElementById('ctx-conn-edit')?.addEventListener('click', () => {
+            logger.info(">ctx-conn-edit on click");
+            const connection = this.interactionManager.contextTargetConnection;
+            this.interactionManager.hideAllContextMenus();
+            if (connection) {
+                this.open(connection);
+            }
+        });
+        document.getElementById('connection-panel-close')?.addEventListener('click', () => this.close());
+        document.getElementById('connection-label-input')?.addEventListener('change', (e) => this.update({ label: e.target.value }));
+        document.getElementById('connection-kind')?.addEventListener('change', (e) => this.update({ kind: e.target.value }));
+
+        // Follow the connection selection while open
+        this.interactionManager.selectionChanges.subscribe(({ connection }) => {
+            if (this.connection && connection && connection !== this.connection) {
+                this.open(connection);
+            }
+        });
+
+        this.connectionManager.changes.subscribe(change => {
+            if (!this.connection || change.connection?.id !== this.connection.id) return;
+            if (change.type === CHANGE_TYPES.CONNECTION_REMOVED) {
+                this.close();
+            } else if (change.type === CHANGE_TYPES.CONNECTION_UPDATED && !this.panel?.contains(document.activeElement)) {
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Show the panel for a connection.
+     * @param {Connection} connection
+     */
+    open(connection) {
+        if (!this.panel) return;
+        this.connection = connection;
+        this.render();
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Hide the panel.
+     */
+    close() {
+        this.connection = null;
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Fill the panel from the current connection.
+     */
+    render() {
+        const connection = this.connection;
+        if (!connection) return;
+        const endpoints = document.getElementById('connection-panel-endpoints');
+        if (endpoints) {
+            const name = element => element.name || element.type;
+            endpoints.textContent = `${name(connection.sourceElement)} → ${name(connection.targetElement)}`;
+        }
+        const labelInput = document.getElementById('connection-label-input');
+        if (labelInput) labelInput.value = connection.label;
+        const kindSelect = document.getElementById('connection-kind');
+        if (kindSelect) kindSelect.value = connection.kind;
+    }
+
+    /**
+     * Change the label and/or kind as one undoable step.
+     * @param {{label?: string, kind?: string}} changes
+     */
+    update(changes) {
+        const connection = this.connection;
+        if (!connection) return;
+        const from = { label: connection.label, kind: connection.kind };
+        const to = { ...from, ...changes, label: (changes.label ?? from.label).trim() };
+        if (to.label === from.label && to.kind === from.kind) return;
+        this.interactionManager.history.execute(
+            new UpdateConnectionPropertiesCommand(this.connectionManager, connection.id, from, to)
+        );
+    }
+}
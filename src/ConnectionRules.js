@@ -0,0 +1,114 @@
+/**
+ * ConnectionRules.js
+ *
+ * Defines the Event Modeling connection grammar: which element type may
+ * connect to which. The defaults can be overridden per model for a team's
+ * own dialect.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+
+/**
+ * Element types that take part in connections (slices are containers, not nodes).
+ */
+const CONNECTABLE_TYPES = Object.values(ELEMENT_TYPES).filter(type => type !== ELEMENT_TYPES.SLICE);
+
+/**
+ * Default grammar: source type -> allowed target types.
+ * @type {Object<string, Array<string>>}
+ */
+export const DEFAULT_CONNECTION_RULES = {
+    [ELEMENT_TYPES.GUI]: [ELEMENT_TYPES.COMMAND],
+    [ELEMENT_TYPES.COMMAND]: [ELEMENT_TYPES.EVENT],
+    [ELEMENT_TYPES.EVENT]: [ELEMENT_TYPES.READ_MODEL],
+    [ELEMENT_TYPES.READ_MODEL]: [ELEMENT_TYPES.GUI, ELEMENT_TYPES.PROCESSOR],
+    [ELEMENT_TYPES.PROCESSOR]: [ELEMENT_TYPES.COMMAND],
+    [ELEMENT_TYPES.EXTERNAL_EVENT]: [ELEMENT_TYPES.EVENT],
+    [ELEMENT_TYPES.COMMENT]: CONNECTABLE_TYPES, // Comments may annotate anything
+    [ELEMENT_TYPES.SLICE]: []
+};
+
+/**
+ * ConnectionRules - The active rule table (defaults plus overrides).
+ */
+export class ConnectionRules {
+    /**
+     * Create a rule table.
+     * @param {Object<string, Array<string>>} [overrides] - Replacement target lists per source type.
+     */
+    constructor(overrides = {}) {
+        /**
+         * Source type -> Set of allowed target types.
+         * @type {Map<string, Set<string>>}
+         */
+        this.rules = new Map();
+        this.setOverrides(overrides);
+    }
+
+    /**
+     * Check whether a connection from one element type to another is allowed.
+     * @param {string} sourceType
+     * @param {string} targetType
+     * @returns {boolean}
+     */
+    isAllowed(sourceType, targetType) {
+        return this.rules.get(sourceType)?.has(targetType) ?? false;
+    }
+
+    /**
+     * Get the target types allowed for a source type.
+     * @param {string} sourceType
+     * @returns {Array<string>}
+     */
+    getAllowedTargets(sourceType) {
+        return [...(this.rules.get(sourceType) || [])];
+    }
+
+    /**
+     * Allow or forbid a single source -> target pair.
+     * @param {string} sourceType
+     * @param {string} targetType
+     * @param {boolean} allowed
+     */
+    setAllowed(sourceType, targetType, allowed) {
+        if (!this.rules.has(sourceType)) {
+            this.rules.set(sourceType, new Set());
+        }
+        if (allowed) {
+            this.rules.get(sourceType).add(targetType);
+        } else {
+            this.rules.get(sourceType).delete(targetType);
+        }
+    }
+
+    /**
+     * Reset to the defaults, then replace the target lists named in `overrides`.
+     * @param {Object<string, Array<string>>} overrides
+     */
+    setOverrides(overrides = {}) {
+        this.rules.clear();
+        Object.entries(DEFAULT_CONNECTION_RULES).forEach(([sourceType, targets]) => {
+            this.rules.set(sourceType, new Set(targets));
+        });
+        Object.entries(overrides).forEach(([sourceType, targets]) => {
+            if (Object.values(ELEMENT_TYPES).includes(sourceType) && Array.isArray(targets)) {
+                this.rules.set(sourceType, new Set(targets.filter(type => CONNECTABLE_TYPES.includes(type))));
+            }
+        });
+    }
+
+    /**
+     * Get the target lists that differ from the defaults (what a model needs to store).
+     * @returns {Object<string, Array<string>>}
+     */
+    getOverrides() {
+        const overrides = {};
+        this.rules.forEach((targets, sourceType) => {
+            const defaults = new Set(DEFAULT_CONNECTION_RULES[sourceType] || []);
+            const differs = targets.size !== defaults.size || [...targets].some(type => !defaults.has(type));
+            if (differs) {
+                overrides[sourceType] = [...targets];
+            }
+        });
+        return overrides;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * ConnectionRulesEditor.js
+ *
+ * Defines the ConnectionRulesEditor class: a dialog with a source x target
+ * matrix of checkboxes for customizing the connection grammar, plus the
+ * cycle and parallel-connection policies and the default connection routing.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { CONNECTION_ROUTINGS } from './Connection.js';
+import { CYCLE_POLICIES } from './ConnectionManager.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ConnectionRulesEditor");
+
+/**
+ * ConnectionRulesEditor - Shows and edits the ConnectionManager's rule table.
+ */
+export class ConnectionRulesEditor {
+    /**
+     * Construct a ConnectionRulesEditor.
+     * @param {ConnectionManager} connectionManager - Owner of the rule table.
+     */
+    constructor(connectionManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the connection manager.
+         * @type {ConnectionManager}
+         */
+        this.connectionManager = connectionManager;
+
+        /**
+         * The dialog element.
+         * @type {HTMLElement|null}
+         */
+        this.dialog = document.getElementById('rules-dialog');
+
+        this.initEvents();
+    }
+
+    /**
+     * Wire the toolbar button and the dialog buttons.
+     */
+    initEvents() {
+        document.getElementById('edit-rules')?.addEventListener('click', () => this.open());
+        document.getElementById('rules-close')?.addEventListener('click', () => this.close());
+        document.getElementById('rules-reset')?.addEventListener('click', () => {
+            this.connectionManager.setRuleOverrides({});
+            this.connectionManager.setCyclePolicy(CYCLE_POLICIES.WARN);
+            this.connectionManager.setAllowParallelConnections(false);
+            this.connectionManager.setDefaultRouting(CONNECTION_ROUTINGS.CURVED);
+            this.render();
+        });
+        document.getElementById('rules-cycle-policy')?.addEventListener('change', (e) => {
+            this.connectionManager.setCyclePolicy(e.target.value);
+        });
+        document.getElementById('rules-allow-parallel')?.addEventListener('change', (e) => {
+            this.connectionManager.setAllowParallelConnections(e.target.checked);
+        });
+        document.getElementById('rules-routing')?.addEventListener('change', (e) => {
+            this.connectionManager.setDefaultRouting(e.target.value);
+        });
+    }
+
+    /**
+     * Show the dialog with the current rules.
+     */
+    open() {
+        if (!this.dialog) return;
+        this.render();
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * Hide the dialog.
+     */
+    close() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Build the matrix: one row per source type, one column per target type.
+     */
+    render() {
+        const cyclePolicySelect = document.getElementById('rules-cycle-policy');
+        if (cyclePolicySelect) cyclePolicySelect.value = this.connectionManager.cyclePolicy;
+        const allowParallelCheckbox = document.getElementById('rules-allow-parallel');
+        if (allowParallelCheckbox) allowParallelCheckbox.checked = this.connectionManager.allowParallelConnections;
+        const routingSelect = document.getElementById('rules-routing');
+        if (routingSelect) routingSelect.value = this.connectionManager.defaultRouting;
+
+        const table = document.getElementById('rules-table');
+        if (!table) return;
+        const types = Object.values(ELEMENT_TYPES).filter(type => type !== ELEMENT_TYPES.SLICE);
+        const rules = this.connectionManager.rules;
+
+        table.replaceChildren();
+        const headerRow = table.insertRow();
+        headerRow.appendChild(document.createElement('th')).textContent = 'from \\ to';
+        types.forEach(type => {
+            headerRow.appendChild(document.createElement('th')).textContent = type;
+        });
+
+        types.forEach(sourceType => {
+            const row = table.insertRow();
+            row.appendChild(document.createElement('th')).textContent = sourceType;
+            types.forEach(targetType => {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = rules.isAllowed(sourceType, targetType);
+                checkbox.title = `${sourceType} → ${targetType}`;
+                checkbox.addEventListener('change', () => {
+                    this.connectionManager.setRuleAllowed(sourceType, targetType, checkbox.checked);
+                });
+                row.insertCell().appendChild(checkbox);
+            });
+        });
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * DataFlowChecker.js
+ *
+ * Defines the DataFlowChecker class: verifies the Event Modeling "information
+ * completeness" rule on element attributes. Every Read Model field must come
+ * from an Event connected to it, and every Event field must be provided by
+ * the Command connected to it. Offending elements get a badge on the canvas
+ * and the issues are listed in a panel.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { CHANGE_TYPES } from './ChangeNotifier.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("DataFlowChecker");
+
+/**
+ * Kinds of data-flow issues.
+ * @readonly
+ * @enum {string}
+ */
+export const DATA_FLOW_ISSUES = {
+    MISSING: 'missing', // Field has no upstream source
+    ORPHAN: 'orphan'    // Command field that none of its events records
+};
+
+/**
+ * Delay before re-checking after a change, so bursts of changes run one check.
+ */
+const CHECK_DELAY_MS = 100;
+
+/**
+ * Radius of the issue badge drawn in an element's top-right corner.
+ */
+const BADGE_RADIUS = 8;
+
+/**
+ * Event-like element types that can feed a read model.
+ */
+const EVENT_TYPES = [ELEMENT_TYPES.EVENT, ELEMENT_TYPES.EXTERNAL_EVENT];
+
+/**
+ * Elements directly connected to `element` in the given direction, filtered by type.
+ * @param {Element} element
+ * @param {'upstream'|'downstream'} direction
+ * @param {Array<string>} types - Element types to keep.
+ * @returns {Array<Element>}
+ */
+function connectedElements(element, direction, types) {
+    return element.connections
+        .filter(connection => (direction === 'upstream' ? connection.targetElement : connection.sourceElement) === element)
+        .map(connection => (direction === 'upstream' ? connection.sourceElement : connection.targetElement))
+        .filter(other => types.includes(other.type));
+}
+
+/**
+ * Names of all attributes of the given elements.
+ * @param {Array<Element>} elements
+ * @returns {Set<string>}
+ */
+function fieldNames(elements) {
+    return new Set(elements.flatMap(element => element.attributes.map(attribute => attribute.name)));
+}
+
+/**
+ * Check the information completeness of a model.
+ * @param {Array<Element>} elements - All elements of the model.
+ * @returns {Array<{element: Element, field: string, kind: string, message: string}>} - The issues found.
+ */
+export function checkDataFlow(elements) {
+    const issues = [];
+    const report = (element, field, kind, message) => issues.push({ element, field, kind, message });
+
+    elements.forEach(element => {
+        if (element.type === ELEMENT_TYPES.READ_MODEL) {
+            const events = connectedElements(element, 'upstream', EVENT_TYPES);
+            const available = fieldNames(events);
+            element.attributes.forEach(({ name }) => {
+                if (!available.has(name)) {
+                    report(element, name, DATA_FLOW_ISSUES.MISSING, events.length === 0
+                        ? `Read model field "${name}" has no source: no event is connected`
+                        : `Read model field "${name}" is not provided by any connected event`);
+                }
+            });
+        } else if (element.type === ELEMENT_TYPES.EVENT) {
+            const commands = connectedElements(element, 'upstream', [ELEMENT_TYPES.COMMAND]);
+            const available = fieldNames(commands);
+            element.attributes.forEach(({ name }) => {
+                if (!available.has(name)) {
+                    report(element, name, DATA_FLOW_ISSUES.MISSING, commands.length === 0
+                        ? `Event field "${name}" has no source: no command is connected`
+                        : `Event field "${name}" is not provided by its command`);
+                }
+            });
+        } else if (element.type === ELEMENT_TYPES.COMMAND) {
+            const events = connectedElements(element, 'downstream', [ELEMENT_TYPES.EVENT]);
+            if (events.length === 0) return; // Nothing recorded yet; not an orphan, just unfinished
+            const recorded = fieldNames(events);
+            element.attributes.forEach(({ name }) => {
+                if (!recorded.has(name)) {
+                    report(element, name, DATA_FLOW_ISSUES.ORPHAN, `Command field "${name}" is not recorded by any of its events`);
+                }
+            });
+        }
+    });
+    return issues;
+}
+
+/**
+ * DataFlowChecker - Keeps the data-flow badges and issue list up to date.
+ */
+export class DataFlowChecker {
+    /**
+     * Construct a DataFlowChecker.
+     * @param {SVG.Svg} canvas - The SVG canvas.
+     * @param {InteractionManager} interactionManager - Provides the managers and the selection.
+     */
+    constructor(canvas, interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = interactionManager.elementManager;
+
+        /**
+         * Issues found by the last check.
+         * @type {Array<{element: Element, field: string, kind: string, message: string}>}
+         */
+        this.issues = [];
+
+        /**
+         * The issue list panel.
+         * @type {HTMLElement|null}
+         */
+        this.panel = document.getElementById('dataflow-panel');
+
+        /**
+         * Pending re-check.
+         * @type {number|null}
+         */
+        this.checkTimeout = null;
+
+        const scheduleCheck = () => this.scheduleCheck();
+        this.elementManager.changes.subscribe(scheduleCheck);
+        interactionManager.connectionManager.changes.subscribe(change => {
+            if (change.type === CHANGE_TYPES.CONNECTION_CREATED || change.type === CHANGE_TYPES.CONNECTION_REMOVED) {
+                scheduleCheck();
+            }
+        });
+        // Groups re-created by viewport culling come without badges
+        this.elementManager.viewport?.changes.subscribe(() => this.renderBadges());
+
+        document.getElementById('check-dataflow')?.addEventListener('click', () => this.togglePanel());
+        document.getElementById('dataflow-close')?.addEventListener('click', () => this.togglePanel(false));
+    }
+
+    /**
+     * Re-check shortly, coalescing bursts of changes (loading a model, group moves).
+     */
+    scheduleCheck() {
+        if (this.checkTimeout) {
+            clearTimeout(this.checkTimeout);
+        }
+        this.checkTimeout = setTimeout(() => this.check(), CHECK_DELAY_MS);
+    }
+
+    /**
+     * Run the check now and refresh the badges and the panel.
+     * @returns {Array<{element: Element, field: string, kind: string, message: string}>}
+     */
+    check() {
+        this.checkTimeout = null;
+        this.issues = checkDataFlow(this.elementManager.elements);
+        this.renderBadges();
+        this.renderPanel();
+        return this.issues;
+    }
+
+    /**
+     * Show a badge with the issue count on every offending element.
+     * Badges live inside the element's group (within its bounds) so they move with it.
+     */
+    renderBadges() {
+        this.canvas.find('.dataflow-badge').forEach(badge => badge.remove());
+        const byElement = new Map();
+        this.issues.forEach(issue => {
+            if (!byElement.has(issue.element)) byElement.set(issue.element, []);
+            byElement.get(issue.element).push(issue);
+        });
+        byElement.forEach((issues, element) => {
+            const group = this.canvas.findOne(`#${element.id}`);
+            if (!group) return;
+            const missing = issues.some(issue => issue.kind === DATA_FLOW_ISSUES.MISSING);
+            const cx = element.x + element.width - BADGE_RADIUS - 2;
+            const cy = element.y + BADGE_RADIUS + 2;
+            const badge = group.group()
+                .addClass('dataflow-badge')
+                .addClass(missing ? 'dataflow-badge-missing' : 'dataflow-badge-orphan');
+            badge.circle(BADGE_RADIUS * 2).center(cx, cy);
+            badge.plain(String(issues.length))
+                .font({ family: 'Arial, sans-serif', size: 10, anchor: 'middle' })
+                .attr({ x: cx, y: cy + 3.5 });
+            badge.element('title').words(issues.map(issue => issue.message).join('\n'));
+        });
+    }
+
+    /**
+     * Show or hide the issue list.
+     * @param {boolean} [show] - Defaults to toggling.
+     */
+    togglePanel(show) {
+        if (!this.panel) return;
+        const visible = show ?? this.panel.style.display === 'none';
+        this.panel.style.display = visible ? 'flex' : 'none';
+        if (visible) {
+            this.check();
+        }
+    }
+
+    /**
+     * Fill the issue list; clicking an entry brings the element into view and selects it.
+     */
+    renderPanel() {
+        const list = document.getElementById('dataflow-list');
+        if (!list || this.panel?.style.display === 'none') return;
+        list.innerHTML = '';
+        if (this.issues.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'dataflow-empty';
+            empty.textContent = 'All fields have a source.';
+            list.appendChild(empty);
+            return;
+        }
+        this.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `dataflow-item dataflow-item-${issue.kind}`;
+            item.textContent = `${issue.element.name || issue.element.type}: ${issue.message}`;
+            item.addEventListener('click', () => {
+                const element = this.elementManager.getElementById(issue.element.id);
+                if (element) {
+                    this.interactionManager.focusElement(element);
+                }
+            });
+            list.appendChild(item);
+        });
+    }
+}
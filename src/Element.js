@@ -22,7 +22,7 @@ export const ELEMENT_TYPES = {
 };
 
 // Element colors mapped by type
-const ELEMENT_COLORS = {
+export const ELEMENT_COLORS = {
     [ELEMENT_TYPES.EVENT]: '#FF9800', // Orange
     [ELEMENT_TYPES.EXTERNAL_EVENT]: '#FFEB3B', // Yellow
     [ELEMENT_TYPES.COMMAND]: '#2196F3', // Blue
@@ -41,6 +41,21 @@ const ELEMENT_SIZES = {
     SLICE_HEIGHT: 400
 };
 
+/**
+ * Suggested attribute types (any other type name may be typed in).
+ */
+export const ATTRIBUTE_TYPES = ['string', 'int', 'decimal', 'boolean', 'date', 'datetime', 'uuid', 'list'];
+
+// Layout of the attribute list drawn below the name
+const ATTRIBUTE_LAYOUT = {
+    NAME_HEIGHT: 36,       // Name area above the attribute list
+    ICON_NAME_TOP: 28,     // Name starts below the icon for PROCESSOR and GUI
+    ICON_NAME_HEIGHT: 28,  // Name area below the icon
+    LINE_HEIGHT: 14,
+    FONT_SIZE: 11,
+    PADDING: 8
+};
+
 // Counter for generating unique IDs (legacy, not used with uuidv4)
 let idCounter = 1;
 
@@ -54,13 +69,14 @@ export class Element {
      * @param {number} x - The x position of the element.
      * @param {number} y - The y position of the element.
      * @param {string} [name=''] - The display name of the element.
+     * @param {string|null} [id=null] - Existing identifier to reuse (e.g. when loading a model).
      */
-    constructor(type, x, y, name = '') {
+    constructor(type, x, y, name = '', id = null) {
         /**
          * Unique identifier for this element.
          * @type {string}
          */
-        this.id = `element-${uuidv4()}`;
+        this.id = id || `element-${uuidv4()}`;
 
         /**
          * The type of this element.
@@ -92,6 +108,24 @@ export class Element {
          */
         this.connections = [];
 
+        /**
+         * Id of the lane this element lies in (maintained by LaneManager), or null.
+         * @type {string|null}
+         */
+        this.laneId = null;
+
+        /**
+         * Typed fields of the element (command/event payload, read model columns).
+         * @type {Array<{name: string, type: string}>}
+         */
+        this.attributes = [];
+
+        /**
+         * Given/When/Then specifications (slices only; see Scenarios.js).
+         * @type {Array<{id: string, name: string, given: Array<string>, when: string|null, then: Array<string>, error: string}>}
+         */
+        this.scenarios = [];
+
         /**
          * Width of the element.
          * @type {number}
@@ -111,6 +145,50 @@ export class Element {
         }
     }
 
+    /**
+     * True if the element shows an icon (PROCESSOR, GUI).
+     * @returns {boolean}
+     */
+    hasIcon() {
+        return this.type === ELEMENT_TYPES.PROCESSOR || this.type === ELEMENT_TYPES.GUI;
+    }
+
+    /**
+     * True if an attribute list is drawn inside the element (slices have none).
+     * @returns {boolean}
+     */
+    showsAttributes() {
+        return this.type !== ELEMENT_TYPES.SLICE && this.attributes.length > 0;
+    }
+
+    /**
+     * Vertical area of the name label, relative to the element's top.
+     * Without attributes the name is centered in the whole box.
+     * @returns {{y: number, height: number}}
+     */
+    getNameArea() {
+        if (!this.showsAttributes()) {
+            return { y: 0, height: this.height };
+        }
+        return this.hasIcon()
+            ? { y: ATTRIBUTE_LAYOUT.ICON_NAME_TOP, height: ATTRIBUTE_LAYOUT.ICON_NAME_HEIGHT }
+            : { y: 0, height: ATTRIBUTE_LAYOUT.NAME_HEIGHT };
+    }
+
+    /**
+     * Grow (or shrink back) the height so the attribute list fits.
+     */
+    fitToAttributes() {
+        if (this.type === ELEMENT_TYPES.SLICE) return;
+        let needed = ELEMENT_SIZES.HEIGHT;
+        if (this.showsAttributes()) {
+            const nameArea = this.getNameArea();
+            needed = Math.max(needed, nameArea.y + nameArea.height +
+                this.attributes.length * ATTRIBUTE_LAYOUT.LINE_HEIGHT + ATTRIBUTE_LAYOUT.PADDING);
+        }
+        this.height = needed;
+    }
+
     /**
      * Check if this element overlaps with another element (simple AABB check).
      * Slices are allowed to overlap with other elements.
@@ -178,45 +256,31 @@ export class Element {
     }
 
     /**
-     * Create an SVG representation of this element.
-     * Adds icons for PROCESSOR and GUI types, and sets up drag and interaction logic.
-     * @param {SVG.Container} canvas - The SVG canvas to draw on.
-     * @param {InteractionManager} interactionManager - Reference to handle interactions.
-     * @returns {SVG.G} - The SVG group containing the element.
+     * Draw the icon, the HTML name label and the field list into the element's group.
+     * @param {SVG.G} group - The element's group.
      */
-    createSVG(canvas, interactionManager) {
-        // Create a group for the element
-        const group = canvas.group().attr('id', this.id).addClass('element');
-
-        // Draw the main rectangle
-        const rect = group.rect(this.width, this.height)
-            .attr({
-                fill: ELEMENT_COLORS[this.type],
-                rx: 5,
-                ry: 5
-            })
-            .addClass('element-rect');
-
-        // Add icons if applicable
+    drawDetails(group) {
+        // Add icons if applicable (kept at the top when the element grows)
         if (this.type === ELEMENT_TYPES.PROCESSOR) {
             // Add gear icon for processor
             group.text('⚙️').font({
                 size: 20,
                 anchor: 'middle',
                 'dominant-baseline': 'middle'
-            }).center(this.width / 2, this.height * 0.20);
+            }).center(this.width / 2, ELEMENT_SIZES.HEIGHT * 0.20);
         } else if (this.type === ELEMENT_TYPES.GUI) {
             // Add monitor icon for GUI
             group.text('🖥️').font({
                 size: 20,
                 anchor: 'middle',
                 'dominant-baseline': 'middle'
-            }).center(this.width / 2, this.height * 0.20);
+            }).center(this.width / 2, ELEMENT_SIZES.HEIGHT * 0.20);
         }
 
         // Create ForeignObject for HTML content (for editable name, etc.)
-        const foreignObject = group.foreignObject(this.width, this.height)
-            .attr({ x: 0, y: 0 })
+        const nameArea = this.getNameArea();
+        const foreignObject = group.foreignObject(this.width, nameArea.height)
+            .attr({ x: 0, y: nameArea.y })
             .addClass('element-editor-fobj')
             .attr('visibility', 'visible')
             .attr('pointer-events', 'none');
@@ -229,6 +293,53 @@ export class Element {
 
         foreignObject.node.appendChild(contentDiv);
 
+        // Compact field list below the name
+        if (this.showsAttributes()) {
+            const top = nameArea.y + nameArea.height;
+            group.line(ATTRIBUTE_LAYOUT.PADDING / 2, top, this.width - ATTRIBUTE_LAYOUT.PADDING / 2, top)
+                .addClass('element-attributes-divider');
+            this.attributes.forEach((attribute, index) => {
+                group.plain(attribute.type ? `${attribute.name}: ${attribute.type}` : attribute.name)
+                    .font({ family: 'Arial, sans-serif', size: ATTRIBUTE_LAYOUT.FONT_SIZE })
+                    .attr({
+                        x: ATTRIBUTE_LAYOUT.PADDING,
+                        y: top + (index + 1) * ATTRIBUTE_LAYOUT.LINE_HEIGHT,
+                        'pointer-events': 'none'
+                    })
+                    .addClass('element-attribute');
+            });
+        }
+    }
+
+    /**
+     * Create an SVG representation of this element.
+     * Adds icons for PROCESSOR and GUI types, and sets up drag and interaction logic.
+     * @param {SVG.Container} canvas - The SVG canvas to draw on.
+     * @param {InteractionManager} interactionManager - Reference to handle interactions.
+     * @param {Object} [options]
+     * @param {boolean} [options.simplified=false] - Draw only the colored rectangle (no icon, HTML label or fields), for low zoom levels.
+     * @returns {SVG.G} - The SVG group containing the element.
+     */
+    createSVG(canvas, interactionManager, { simplified = false } = {}) {
+        // Create a group for the element
+        const group = canvas.group().attr('id', this.id).addClass('element');
+        if (simplified) {
+            group.addClass('element-simplified');
+        }
+
+        // Draw the main rectangle
+        const rect = group.rect(this.width, this.height)
+            .attr({
+                fill: ELEMENT_COLORS[this.type],
+                rx: 5,
+                ry: 5
+            })
+            .addClass('element-rect');
+
+        if (!simplified) {
+            this.drawDetails(group);
+        }
+
         // Position the group at the element's coordinates
         group.move(this.x, this.y);
 
@@ -239,11 +350,23 @@ export class Element {
                 'stroke-dasharray': '5,5',
                 stroke: '#888'
             });
+            group.addClass('slice-element');
+            // Slices contain other elements, so draw them behind everything but the lanes
+            const lanesLayer = canvas.findOne('.lanes-layer');
+            if (lanesLayer) {
+                group.insertAfter(lanesLayer);
+            } else {
+                group.back();
+            }
         }
 
+        // Position at drag start, used to record the move for undo
+        let dragStartPosition = null;
+
         // Add Draggable behavior and drag event handlers
         group.draggable().on('dragstart.namespace', (e) => {
             e.preventDefault();
+            dragStartPosition = { x: this.x, y: this.y };
             if (interactionManager) {
                 interactionManager.currentDraggingElement = this;
 
@@ -263,28 +386,35 @@ export class Element {
 
                 // Always hide context menus when a drag starts
                 interactionManager.hideAllContextMenus();
+                interactionManager.handleElementDragStart(this);
             }
             group.addClass('dragging');
         }).on('dragmove.namespace', (e) => {
             e.preventDefault();
             const { handler, box } = e.detail;
+            // Snap to the grid / neighbours (Alt held: free placement)
+            const position = interactionManager?.snapper?.snapDrag(this, box.x, box.y, e.detail.event) ?? box;
+            const dx = position.x - this.x;
+            const dy = position.y - this.y;
             // Update element's position
-            this.x = box.x;
-            this.y = box.y;
-            handler.move(box.x, box.y);
+            this.x = position.x;
+            this.y = position.y;
+            handler.move(position.x, position.y);
+            interactionManager?.elementManager.refreshBounds(this);
 
             // Update connections visually as the element moves
             if (interactionManager?.connectionManager) {
                 interactionManager.connectionManager.updateConnectionsForElement(this);
             }
+            // Drag the rest of a multi-selection along
+            interactionManager?.handleElementDragMove(this, dx, dy);
         }).on('dragend.namespace', (e) => {
             e.preventDefault();
-            const { handler, box } = e.detail;
             group.removeClass('dragging');
-            this.x = box.x;
-            this.y = box.y;
+            // this.x/this.y already hold the (snapped) position applied by dragmove
             if (interactionManager) {
                 interactionManager.currentDraggingElement = null;
+                interactionManager.handleElementDragEnd(this, dragStartPosition);
             }
         });
 
@@ -1,7 +1,30 @@
 import { Element, ELEMENT_TYPES } from './Element.js'; // Element class and ELEMENT_TYPES constant
+import { ChangeNotifier, CHANGE_TYPES } from './ChangeNotifier.js';
+import { normalizeScenario } from './Scenarios.js';
+import { SpatialIndex } from './SpatialIndex.js';
+import { PlacementService } from './PlacementService.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger("ElementManager");
+
+/**
+ * Canvas content that is drawn above the elements. Element groups are inserted
+ * before the first of these, so their stacking doesn't depend on when (e.g. after
+ * which pan) they were created.
+ */
+const ABOVE_ELEMENTS_SELECTOR = '.connection-path, .connection-handles, .temp-connection';
+
+/**
+ * Copy an attribute list into clean {name, type} records, dropping unnamed entries.
+ * @param {Array<{name: string, type: string}>} attributes
+ * @returns {Array<{name: string, type: string}>}
+ */
+function normalizeAttributes(attributes) {
+    return attributes
+        .map(attribute => ({ name: String(attribute?.name ?? '').trim(), type: String(attribute?.type ?? '').trim() }))
+        .filter(attribute => attribute.name);
+}
+
 /**
  * ElementManager - Manages element creation, deletion, collision, and updates.
  */
@@ -24,11 +47,43 @@ export class ElementManager {
          */
         this.elements = [];
 
+        /**
+         * The same elements keyed by id, for constant-time lookups.
+         * @type {Map<string, Element>}
+         */
+        this.elementsById = new Map();
+
         /**
          * Reference to the InteractionManager (set externally).
          * @type {InteractionManager|null}
          */
         this.interactionManager = null; // Reference set by initApp
+
+        /**
+         * Announces element mutations (used by autosave and history).
+         * @type {ChangeNotifier}
+         */
+        this.changes = new ChangeNotifier();
+
+        /**
+         * Bounds of every element, for collision, placement, lasso and routing queries.
+         * Kept current while elements are dragged (see refreshBounds).
+         * @type {SpatialIndex}
+         */
+        this.spatialIndex = new SpatialIndex();
+
+        /**
+         * Finds collision-free positions for new and dropped elements.
+         * @type {PlacementService}
+         */
+        this.placement = new PlacementService(this);
+
+        /**
+         * Viewport culling (set by ViewportRenderer): decides which elements get an SVG group
+         * and which are drawn simplified. Null draws every element in full.
+         * @type {ViewportRenderer|null}
+         */
+        this.viewport = null;
     }
 
     /**
@@ -45,37 +100,48 @@ export class ElementManager {
      * @param {number} x - Initial X position.
      * @param {number} y - Initial Y position.
      * @param {string} name - Optional initial element name.
+     * @param {Object} [options] - Extra creation options.
+     * @param {string} [options.id] - Reuse an existing id instead of generating one.
+     * @param {number} [options.width] - Override the default width for the type.
+     * @param {number} [options.height] - Override the default height for the type.
+     * @param {boolean} [options.avoidCollision=true] - Move the element to the nearest free spot if it overlaps another.
+     * @param {Array<{name: string, type: string}>} [options.attributes] - Typed fields of the element.
+     * @param {Array<Object>} [options.scenarios] - Given/When/Then specifications (slices only).
      * @returns {Element | null} - Created element or null if failed.
      */
-    createElement(type, x, y, name = '') {
+    createElement(type, x, y, name = '', options = {}) {
         logger.info(">createElement");
-        const element = new Element(type, x, y, name);
-
-        // Basic collision avoidance: Check and offset slightly if needed.
-        // Note: This is a simple strategy and may not be robust for many overlaps.
-        let attempts = 0;
-        const maxAttempts = 5; // Prevent potential infinite loops
-        while (this.hasCollision(element) && attempts < maxAttempts) {
-            element.x += 20; // Offset position to try to avoid collision
-            element.y += 20;
-            attempts++;
+        const { id = null, width, height, avoidCollision = true, attributes, scenarios } = options;
+        const element = new Element(type, x, y, name, id);
+        if (Number.isFinite(width)) element.width = width;
+        if (Number.isFinite(height)) element.height = height;
+        if (Array.isArray(attributes) && attributes.length > 0) {
+            element.attributes = normalizeAttributes(attributes);
+            element.fitToAttributes();
         }
-        if (this.hasCollision(element)) {
-            log.warn(`Could not place element ${element.id} without collision after ${attempts} attempts.`);
-            // Optionally: element = null; // Example: fail to create if still colliding
+        if (Array.isArray(scenarios) && type === ELEMENT_TYPES.SLICE) {
+            element.scenarios = scenarios.map(normalizeScenario);
+        }
+
+        // Collision avoidance: move to the nearest free spot
+        if (avoidCollision) {
+            const spot = this.placement.findFreeSpot(element);
+            element.x = spot.x;
+            element.y = spot.y;
         }
 
         if (element) {
             // Add to elements list
             this.elements.push(element);
+            this.elementsById.set(element.id, element);
+            this.spatialIndex.insert(element, element);
             // Create SVG representation (needs interactionManager ref for draggable events)
-            if (this.interactionManager) {
-                element.createSVG(this.canvas, this.interactionManager);
-            } else {
+            if (!this.interactionManager) {
                 console.error("InteractionManager not set when creating element SVG!");
                 // Handle error? Maybe create SVG later? For now, proceed but draggable might fail.
-                element.createSVG(this.canvas, null);
             }
+            this.renderElement(element);
+            this.changes.notify({ type: CHANGE_TYPES.ELEMENT_CREATED, element });
         }
         return element;
     }
@@ -86,17 +152,7 @@ export class ElementManager {
      * @returns {boolean} - True if collision exists.
      */
     hasCollision(element) {
-        if (element.type === ELEMENT_TYPES.SLICE)
-            return false; // Slices don't collide
-        for (const other of this.elements) {
-            // Don't check against self, and ignore slices
-            if (other.id !== element.id && other.type !== ELEMENT_TYPES.SLICE) {
-                if (element.overlaps(other)) { // Use the Element's overlap method
-                    return true;
-                }
-            }
-        }
-        return false;
+        return this.placement.collidesAt(element, element.x, element.y);
     }
 
     /**
@@ -106,7 +162,7 @@ export class ElementManager {
     removeElement(element) {
         logger.info("removeElement")
         if (!element) {
-            log.warn("   Incorrect value for element");
+            logger.warn("   Incorrect value for element");
             return;
         }
 
@@ -119,6 +175,7 @@ export class ElementManager {
             connectionsToRemove.forEach(conn => {
                 connectionManager.removeConnection(conn);
             });
+            connectionManager.forgetElement(element);
         } else {
             console.error("Cannot remove connections: ConnectionManager not accessible from ElementManager.");
         }
@@ -134,9 +191,21 @@ export class ElementManager {
         const index = this.elements.findIndex(e => e.id === element.id);
         if (index > -1) {
             this.elements.splice(index, 1);
+            this.elementsById.delete(element.id);
+            this.spatialIndex.remove(element);
         } else {
             console.warn(`Element ${element.id} not found in elements list during removal.`);
         }
+        this.changes.notify({ type: CHANGE_TYPES.ELEMENT_REMOVED, element });
+    }
+
+    /**
+     * Remove every element (and, through removeElement, every connection).
+     */
+    clear() {
+        logger.info(">clear");
+        // Iterate over a copy, as removeElement modifies the original array
+        [...this.elements].forEach(element => this.removeElement(element));
     }
 
     /**
@@ -151,15 +220,164 @@ export class ElementManager {
             const contentDiv = svgGroup.findOne('.element-content-div');
             if (contentDiv && contentDiv.node) {
                 contentDiv.node.textContent = element.name || element.type;
-            } else {
+            } else if (!svgGroup.hasClass('element-simplified')) { // Simplified groups show no name
                 console.warn(`Content div not found for element ${element.id}`);
                 // Fallback to full recreate if necessary
                 svgGroup.remove();
-                element.createSVG(this.canvas, this.interactionManager);
+                this.renderElement(element);
             }
         } else {
-            element.createSVG(this.canvas, this.interactionManager);
+            this.renderElement(element);
         }
+        this.changes.notify({ type: CHANGE_TYPES.ELEMENT_UPDATED, element });
+    }
+
+    /**
+     * Announce that an element finished moving (called at drag end).
+     * @param {Element} element - The element that moved.
+     */
+    elementMoved(element) {
+        this.refreshBounds(element);
+        this.changes.notify({ type: CHANGE_TYPES.ELEMENT_MOVED, element });
+    }
+
+    /**
+     * Update the spatial index after an element's position or size changed without
+     * a change notification (e.g. on every step of a drag).
+     * @param {Element} element - The element whose bounds changed.
+     */
+    refreshBounds(element) {
+        this.spatialIndex.update(element, element);
+    }
+
+    /**
+     * Elements whose bounds intersect a box.
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     * @returns {Array<Element>}
+     */
+    getElementsInBounds(bounds) {
+        return this.spatialIndex.search(bounds);
+    }
+
+    /**
+     * Move an element to a new position, updating its SVG and connections.
+     * @param {Element} element - Element to move.
+     * @param {number} x - New X position.
+     * @param {number} y - New Y position.
+     */
+    moveElement(element, x, y) {
+        element.x = x;
+        element.y = y;
+        this.refreshBounds(element);
+        this.canvas.findOne(`#${element.id}`)?.move(x, y);
+        this.interactionManager?.connectionManager?.updateConnectionsForElement(element);
+        this.elementMoved(element);
+    }
+
+    /**
+     * Replace an element's attribute list, grow it to fit, and redraw it.
+     * @param {Element} element - Element to change.
+     * @param {Array<{name: string, type: string}>} attributes - New attribute list.
+     */
+    setAttributes(element, attributes) {
+        element.attributes = normalizeAttributes(attributes);
+        element.fitToAttributes();
+        this.refreshBounds(element);
+        this.redrawElement(element);
+        this.interactionManager?.connectionManager?.updateConnectionsForElement(element);
+        this.changes.notify({ type: CHANGE_TYPES.ELEMENT_UPDATED, element });
+    }
+
+    /**
+     * Replace a slice's Given/When/Then scenarios.
+     * @param {Element} element - The slice.
+     * @param {Array<Object>} scenarios - New scenario list.
+     */
+    setScenarios(element, scenarios) {
+        element.scenarios = scenarios.map(normalizeScenario);
+        this.changes.notify({ type: CHANGE_TYPES.ELEMENT_UPDATED, element });
+    }
+
+    /**
+     * Change an element's bounds (e.g. resizing a slice) and redraw it.
+     * @param {Element} element - Element to resize.
+     * @param {{x: number, y: number, width: number, height: number}} bounds - New bounds.
+     */
+    resizeElement(element, bounds) {
+        element.x = bounds.x;
+        element.y = bounds.y;
+        element.width = bounds.width;
+        element.height = bounds.height;
+        this.refreshBounds(element);
+        this.redrawElement(element);
+        this.interactionManager?.connectionManager?.updateConnectionsForElement(element);
+        this.changes.notify({ type: CHANGE_TYPES.ELEMENT_UPDATED, element });
+    }
+
+    /**
+     * Create an element's SVG group, unless the viewport culls it. Non-slice groups go
+     * below the connections (slices place themselves behind everything but the lanes).
+     * @param {Element} element - Element to draw.
+     * @returns {SVG.G|null} - The new SVG group, or null when the element is off-screen.
+     */
+    renderElement(element) {
+        if (this.viewport && !this.viewport.isElementVisible(element)) {
+            return null;
+        }
+        const simplified = Boolean(this.viewport) && !this.viewport.isElementDetailed(element);
+        const group = element.createSVG(this.canvas, this.interactionManager, { simplified });
+        if (element.type !== ELEMENT_TYPES.SLICE) {
+            const firstAbove = this.canvas.findOne(ABOVE_ELEMENTS_SELECTOR);
+            if (firstAbove) {
+                group.insertBefore(firstAbove);
+            }
+        }
+        return group;
+    }
+
+    /**
+     * Re-create an element's SVG group from its current state, keeping its selection highlight.
+     * @param {Element} element - Element to redraw.
+     * @returns {SVG.G|null} - The new SVG group, or null when the element is off-screen.
+     */
+    redrawElement(element) {
+        const oldGroup = this.canvas.findOne(`#${element.id}`);
+        const wasSelected = oldGroup?.hasClass('element-selected');
+        oldGroup?.remove();
+        const group = this.renderElement(element);
+        if (group && wasSelected) {
+            group.addClass('element-selected');
+        }
+        return group;
+    }
+
+    /**
+     * Get the elements contained in a slice (their center lies within the slice bounds).
+     * @param {Element} slice - A slice element.
+     * @returns {Array<Element>} - Contained non-slice elements.
+     */
+    getSliceMembers(slice) {
+        if (slice?.type !== ELEMENT_TYPES.SLICE) return [];
+        return this.getElementsInBounds(slice).filter(element => {
+            if (element.type === ELEMENT_TYPES.SLICE) return false;
+            const centerX = element.x + element.width / 2;
+            const centerY = element.y + element.height / 2;
+            return centerX >= slice.x && centerX <= slice.x + slice.width &&
+                centerY >= slice.y && centerY <= slice.y + slice.height;
+        });
+    }
+
+    /**
+     * Get the slices that contain an element.
+     * @param {Element} element - A non-slice element.
+     * @returns {Array<Element>} - Slices containing the element.
+     */
+    getSlicesForElement(element) {
+        if (element.type === ELEMENT_TYPES.SLICE) return [];
+        const centerX = element.x + element.width / 2;
+        const centerY = element.y + element.height / 2;
+        return this.getElementsInBounds({ x: centerX, y: centerY, width: 0, height: 0 })
+            .filter(slice => slice.type === ELEMENT_TYPES.SLICE);
     }
 
     /**
@@ -168,6 +386,6 @@ export class ElementManager {
      * @returns {Element|null} - The found element or null if not found.
      */
     getElementById(id) {
-        return this.elements.find(e => e.id === id) || null;
+        return this.elementsById.get(id) || null;
     }
 }
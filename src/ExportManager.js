@@ -0,0 +1,365 @@
+/**
+ * ExportManager.js
+ *
+ * Defines the ExportManager class: export of the board (or the selection) as a
+ * self-contained SVG for wikis and slide decks, and as a PNG rasterized from it.
+ * The exported SVG carries its own styles and marker definition and replaces the
+ * HTML `foreignObject` labels with plain SVG text so it renders outside browsers.
+ */
+import { ErrorHandler } from './ErrorHandler.js';
+import { downloadBlob } from './download.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ExportManager");
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Space left around the exported diagram.
+ */
+const EXPORT_MARGIN = 20;
+
+/**
+ * Text settings matching `.element-content-div` in style.css.
+ */
+const LABEL_FONT_SIZE = 12;
+const LABEL_LINE_HEIGHT = 14;
+const LABEL_PADDING = 5;
+const LABEL_FONT_FAMILY = 'Arial, sans-serif';
+const LABEL_COLOR = '#333';
+
+/**
+ * Canvas decorations that are only meaningful while editing.
+ */
+const EDITING_ONLY_SELECTOR = '.slice-handle, .temp-connection, .lasso-rect, .lane-resize-handle, .dataflow-badge, .connection-handles, .alignment-guides, .grid-background';
+
+/**
+ * 2D context used to measure label text for wrapping.
+ * @type {CanvasRenderingContext2D|null}
+ */
+let measureContext = null;
+
+/**
+ * Break a label into lines no wider than `maxWidth`, the way the HTML label wraps.
+ * @param {string} text
+ * @param {number} maxWidth
+ * @returns {Array<string>}
+ */
+function wrapText(text, maxWidth) {
+    measureContext ??= document.createElement('canvas').getContext('2d');
+    measureContext.font = `${LABEL_FONT_SIZE}px ${LABEL_FONT_FAMILY}`;
+    const fits = candidate => measureContext.measureText(candidate).width <= maxWidth;
+
+    const lines = [];
+    text.split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (fits(candidate) || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+            // Break words that are wider than the box on their own (word-break: break-word)
+            while (!fits(line) && line.length > 1) {
+                let cut = line.length - 1;
+                while (cut > 1 && !fits(line.slice(0, cut))) cut--;
+                lines.push(line.slice(0, cut));
+                line = line.slice(cut);
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+/**
+ * ExportManager - Exports the board as SVG or PNG.
+ */
+export class ExportManager {
+    /**
+     * Construct an ExportManager.
+     * @param {SVG.Svg} canvas - The SVG canvas.
+     * @param {InteractionManager} interactionManager - Provides the selection and the managers.
+     */
+    constructor(canvas, interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * The export dialog element.
+         * @type {HTMLElement|null}
+         */
+        this.dialog = document.getElementById('export-dialog');
+
+        this.initEvents();
+    }
+
+    /**
+     * Wire the toolbar button and the dialog buttons.
+     */
+    initEvents() {
+        document.getElementById('export-model')?.addEventListener('click', () => this.open());
+        document.getElementById('export-close')?.addEventListener('click', () => this.close());
+        document.getElementById('export-svg')?.addEventListener('click', () => {
+            this.exportSvg(this.isSelectionOnly());
+        });
+        document.getElementById('export-png')?.addEventListener('click', () => {
+            const scale = Number(document.getElementById('export-scale')?.value) || 1;
+            this.exportPng(this.isSelectionOnly(), scale);
+        });
+    }
+
+    /**
+     * Show the export dialog; "selection only" is offered when something is selected.
+     */
+    open() {
+        if (!this.dialog) return;
+        const selectionOnly = document.getElementById('export-selection-only');
+        if (selectionOnly) {
+            const hasSelection = this.interactionManager.getSelectedElements().length > 0;
+            selectionOnly.disabled = !hasSelection;
+            selectionOnly.checked = selectionOnly.checked && hasSelection;
+        }
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * Hide the export dialog.
+     */
+    close() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * @returns {boolean} - True if the user asked to export only the selection.
+     */
+    isSelectionOnly() {
+        return Boolean(document.getElementById('export-selection-only')?.checked);
+    }
+
+    /**
+     * Download the diagram as an SVG file.
+     * @param {boolean} [selectionOnly=false] - Export only the selected elements.
+     */
+    exportSvg(selectionOnly = false) {
+        const exported = this.buildExport(selectionOnly);
+        if (!exported) return;
+        downloadBlob(new Blob([exported.markup], { type: 'image/svg+xml' }), 'model.svg');
+    }
+
+    /**
+     * Download the diagram as a PNG file.
+     * @param {boolean} [selectionOnly=false] - Export only the selected elements.
+     * @param {number} [scale=1] - Pixels per diagram unit.
+     */
+    async exportPng(selectionOnly = false, scale = 1) {
+        const exported = this.buildExport(selectionOnly);
+        if (!exported) return;
+        const url = URL.createObjectURL(new Blob([exported.markup], { type: 'image/svg+xml' }));
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error("The exported SVG could not be rendered."));
+                img.src = url;
+            });
+            const raster = document.createElement('canvas');
+            raster.width = Math.ceil(exported.width * scale);
+            raster.height = Math.ceil(exported.height * scale);
+            const context = raster.getContext('2d');
+            context.fillStyle = '#fff'; // Slides and wikis expect an opaque background
+            context.fillRect(0, 0, raster.width, raster.height);
+            context.drawImage(image, 0, 0, raster.width, raster.height);
+            const blob = await new Promise(resolve => raster.toBlob(resolve, 'image/png'));
+            if (!blob) {
+                throw new Error("The image is too large; try a smaller scale.");
+            }
+            downloadBlob(blob, 'model.png');
+        } catch (error) {
+            ErrorHandler.handle(error, "ExportManager.exportPng", `PNG export failed: ${error.message}`);
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Build the standalone SVG document for the diagram or the selection.
+     * @param {boolean} selectionOnly
+     * @returns {{markup: string, width: number, height: number}|null} - Null if there is nothing to export.
+     */
+    buildExport(selectionOnly) {
+        const { elementManager, connectionManager } = this.interactionManager;
+        // Off-screen parts of a large model have no SVG to copy until everything is rendered
+        if (elementManager.viewport?.enabled) {
+            return elementManager.viewport.withEverythingRendered(() => this.buildExport(selectionOnly));
+        }
+        const elements = selectionOnly ? this.interactionManager.getSelectedElements() : elementManager.elements;
+        if (elements.length === 0) {
+            ErrorHandler.handle(new Error("Nothing to export"), "ExportManager.buildExport", "There is nothing to export.");
+            return null;
+        }
+        const ids = new Set(elements.map(element => element.id));
+        const connections = connectionManager.connections.filter(connection =>
+            ids.has(connection.sourceElement.id) && ids.has(connection.targetElement.id)
+        );
+        connections.forEach(connection => ids.add(connection.id));
+
+        const box = this.computeBounds(elements, connections);
+        const svg = this.canvas.node.cloneNode(true);
+
+        // Keep only what is exported (plus lanes and defs), without editing decorations
+        svg.querySelectorAll('.element, .connection-path').forEach(node => {
+            if (!ids.has(node.id)) node.remove();
+        });
+        svg.querySelectorAll('.connection-label').forEach(node => {
+            if (!ids.has(node.id.replace(/-label$/, ''))) node.remove();
+        });
+        svg.querySelectorAll(EDITING_ONLY_SELECTOR).forEach(node => node.remove());
+        svg.querySelectorAll('.element-selected').forEach(node => node.classList.remove('element-selected'));
+        svg.querySelectorAll('.connection-selected').forEach(node => node.classList.remove('connection-selected'));
+
+        this.convertElementLabels(svg);
+        this.convertLaneHeaders(svg, box);
+        this.inlineStyles(svg);
+
+        svg.setAttribute('xmlns', SVG_NS);
+        svg.setAttribute('viewBox', `${box.x} ${box.y} ${box.width} ${box.height}`);
+        svg.setAttribute('width', box.width);
+        svg.setAttribute('height', box.height);
+        svg.removeAttribute('style');
+
+        const markup = '<?xml version="1.0" encoding="UTF-8"?>\n' + new XMLSerializer().serializeToString(svg);
+        return { markup, width: box.width, height: box.height };
+    }
+
+    /**
+     * Bounding box (plus margin) of the exported elements and connections, in canvas coordinates.
+     * @param {Array<Element>} elements
+     * @param {Array<Connection>} connections
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    computeBounds(elements, connections) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        const include = (x, y, width, height) => {
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x + width);
+            maxY = Math.max(maxY, y + height);
+        };
+        elements.forEach(element => include(element.x, element.y, element.width, element.height));
+        connections.forEach(connection => {
+            const path = this.canvas.findOne(`#${connection.id}`);
+            if (path) {
+                const bbox = path.bbox();
+                include(bbox.x, bbox.y, bbox.width, bbox.height);
+            }
+        });
+        return {
+            x: Math.floor(minX - EXPORT_MARGIN),
+            y: Math.floor(minY - EXPORT_MARGIN),
+            width: Math.ceil(maxX - minX + 2 * EXPORT_MARGIN),
+            height: Math.ceil(maxY - minY + 2 * EXPORT_MARGIN)
+        };
+    }
+
+    /**
+     * Replace each element's HTML label with wrapped, centered SVG text.
+     * @param {SVGSVGElement} svg - The cloned canvas.
+     */
+    convertElementLabels(svg) {
+        svg.querySelectorAll('.element-editor-fobj').forEach(fobj => {
+            const x = Number(fobj.getAttribute('x')) || 0;
+            const y = Number(fobj.getAttribute('y')) || 0;
+            const width = Number(fobj.getAttribute('width')) || 0;
+            const height = Number(fobj.getAttribute('height')) || 0;
+            const label = fobj.querySelector('.element-content-div')?.textContent || '';
+            const lines = wrapText(label, width - 2 * LABEL_PADDING);
+
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('class', 'element-label');
+            text.setAttribute('text-anchor', 'middle');
+            text.setAttribute('font-family', LABEL_FONT_FAMILY);
+            text.setAttribute('font-size', LABEL_FONT_SIZE);
+            text.setAttribute('fill', LABEL_COLOR);
+            // Vertically centered like the flex layout of the HTML label
+            const firstBaseline = y + height / 2 - (lines.length - 1) * LABEL_LINE_HEIGHT / 2 + LABEL_FONT_SIZE * 0.35;
+            lines.forEach((line, index) => {
+                const tspan = document.createElementNS(SVG_NS, 'tspan');
+                tspan.setAttribute('x', x + width / 2);
+                tspan.setAttribute('y', firstBaseline + index * LABEL_LINE_HEIGHT);
+                tspan.textContent = line;
+                text.appendChild(tspan);
+            });
+            fobj.replaceWith(text);
+        });
+    }
+
+    /**
+     * Replace the lane headers (HTML with buttons) with the lane names, at the left of the export.
+     * @param {SVGSVGElement} svg - The cloned canvas.
+     * @param {{x: number}} box - The exported area.
+     */
+    convertLaneHeaders(svg, box) {
+        svg.querySelectorAll('.lane-header-fobj').forEach(fobj => {
+            const text = document.createElementNS(SVG_NS, 'text');
+            text.setAttribute('class', 'lane-label');
+            text.setAttribute('x', box.x + LABEL_PADDING);
+            text.setAttribute('y', (Number(fobj.getAttribute('y')) || 0) + LABEL_FONT_SIZE + LABEL_PADDING);
+            text.setAttribute('font-family', LABEL_FONT_FAMILY);
+            text.setAttribute('font-size', LABEL_FONT_SIZE);
+            text.setAttribute('font-weight', 'bold');
+            text.setAttribute('fill', '#666');
+            text.textContent = fobj.querySelector('.lane-name')?.textContent || '';
+            fobj.replaceWith(text);
+        });
+    }
+
+    /**
+     * Copy the page's CSS rules that apply to the exported nodes into a <style> in the SVG's defs.
+     * @param {SVGSVGElement} svg - The cloned canvas (must already contain its defs).
+     */
+    inlineStyles(svg) {
+        const rules = [];
+        Array.from(document.styleSheets).forEach(sheet => {
+            let cssRules;
+            try {
+                cssRules = sheet.cssRules;
+            } catch {
+                return; // Cross-origin stylesheet; not ours
+            }
+            Array.from(cssRules).forEach(rule => {
+                if (!rule.selectorText) return;
+                try {
+                    if (svg.querySelector(rule.selectorText)) {
+                        rules.push(rule.cssText);
+                    }
+                } catch {
+                    // Selector not supported by querySelector (e.g. pseudo-elements)
+                }
+            });
+        });
+
+        let defs = svg.querySelector('defs');
+        if (!defs) {
+            defs = document.createElementNS(SVG_NS, 'defs');
+            svg.prepend(defs);
+        }
+        const style = document.createElementNS(SVG_NS, 'style');
+        style.textContent = rules.join('\n');
+        defs.prepend(style);
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * HistoryManager.js
+ *
+ * Defines the HistoryManager class: a bounded undo/redo stack of commands
+ * (see Commands.js).
+ */
+import { createLogger } from './logger.js';
+
+const logger = createLogger("HistoryManager");
+
+/**
+ * Default maximum number of undo steps kept.
+ */
+const DEFAULT_HISTORY_DEPTH = 100;
+
+/**
+ * Commands recorded within this window may be merged into the previous step
+ * (e.g. repeated moves of the same element).
+ */
+const COALESCE_WINDOW_MS = 1000;
+
+/**
+ * HistoryManager - Records executed commands and undoes/redoes them.
+ * A command is any object with `execute()` and `undo()` methods, and optionally
+ * `mergeWith(next)` returning true if it absorbed the following command.
+ */
+export class HistoryManager {
+    /**
+     * Construct a HistoryManager.
+     * @param {number} [maxDepth] - Maximum number of undo steps kept.
+     */
+    constructor(maxDepth = DEFAULT_HISTORY_DEPTH) {
+        logger.info(">Constructor");
+        /**
+         * Commands that can be undone, oldest first.
+         * @type {Array<Object>}
+         */
+        this.undoStack = [];
+
+        /**
+         * Commands that can be redone, most recently undone last.
+         * @type {Array<Object>}
+         */
+        this.redoStack = [];
+
+        /**
+         * Maximum number of undo steps kept.
+         * @type {number}
+         */
+        this.maxDepth = maxDepth;
+
+        /**
+         * True while undo/redo is running, so nested mutations are not recorded again.
+         * @type {boolean}
+         */
+        this.isApplying = false;
+
+        /**
+         * True while an animated change is running (e.g. Arrange); undo and redo are
+         * ignored until it has been recorded.
+         * @type {boolean}
+         */
+        this.locked = false;
+
+        /**
+         * Time the last command was recorded (for coalescing).
+         * @type {number}
+         */
+        this.lastRecordedAt = 0;
+    }
+
+    /**
+     * Execute a command and record it.
+     * @param {Object} command
+     */
+    execute(command) {
+        command.execute();
+        this.record(command);
+    }
+
+    /**
+     * Record a command whose effect has already been applied (e.g. a finished drag).
+     * @param {Object} command
+     */
+    record(command) {
+        if (this.isApplying) {
+            return;
+        }
+        const now = Date.now();
+        const previous = this.undoStack[this.undoStack.length - 1];
+        const canMerge = previous && now - this.lastRecordedAt < COALESCE_WINDOW_MS &&
+            typeof previous.mergeWith === 'function';
+
+        if (!(canMerge && previous.mergeWith(command))) {
+            this.undoStack.push(command);
+            if (this.undoStack.length > this.maxDepth) {
+                this.undoStack.shift(); // Drop the oldest step
+            }
+        }
+        this.redoStack = [];
+        this.lastRecordedAt = now;
+    }
+
+    /**
+     * Undo the most recent command.
+     * @returns {boolean} - True if a command was undone.
+     */
+    undo() {
+        if (this.locked) {
+            return false;
+        }
+        const command = this.undoStack.pop();
+        if (!command) {
+            return false;
+        }
+        logger.info(`Undo: ${command.label}`);
+        this.apply(() => command.undo());
+        this.redoStack.push(command);
+        return true;
+    }
+
+    /**
+     * Redo the most recently undone command.
+     * @returns {boolean} - True if a command was redone.
+     */
+    redo() {
+        if (this.locked) {
+            return false;
+        }
+        const command = this.redoStack.pop();
+        if (!command) {
+            return false;
+        }
+        logger.info(`Redo: ${command.label}`);
+        this.apply(() => command.execute());
+        this.undoStack.push(command);
+        return true;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all history (e.g. after opening another model).
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.lastRecordedAt = 0;
+    }
+
+    /**
+     * Run an undo/redo action with recording suspended.
+     * Resets the coalescing window so the next recorded command starts a new step.
+     * @param {function(): void} action
+     */
+    apply(action) {
+        this.isApplying = true;
+        try {
+            action();
+        } finally {
+            this.isApplying = false;
+            this.lastRecordedAt = 0;
+        }
+    }
+}
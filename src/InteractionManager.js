@@ -6,6 +6,20 @@
  */
 
 import { ELEMENT_TYPES } from './Element.js';
+import { CONNECTION_ROUTINGS } from './Connection.js';
+import { ChangeNotifier, CHANGE_TYPES } from './ChangeNotifier.js';
+import {
+    CompositeCommand,
+    CreateElementCommand,
+    DeleteElementCommand,
+    MoveElementCommand,
+    RenameElementCommand,
+    ConnectCommand,
+    DisconnectCommand,
+    SetConnectionRoutingCommand,
+    UpdateConnectionGeometryCommand
+} from './Commands.js';
+import { serializeElement, serializeConnection } from './ModelSerializer.js';
 import { createLogger } from './logger.js';
 
 const logger = createLogger("InteractionManager")
@@ -19,17 +33,30 @@ export class InteractionManager {
      * @param {SVG.Container} canvas - The SVG canvas.
      * @param {ElementManager} elementManager - The element manager.
      * @param {ConnectionManager} connectionManager - The connection manager.
+     * @param {HistoryManager} historyManager - The undo/redo history.
      */
-    constructor(canvas, elementManager, connectionManager) {
+    constructor(canvas, elementManager, connectionManager, historyManager) {
         logger.info(">Constructor")
         this.canvas = canvas;
         this.elementManager = elementManager;
         this.connectionManager = connectionManager;
+        this.history = historyManager;
 
         // State tracking for selection, editing, and panning
-        this.selectedElement = null;
+        this.selectedElement = null; // Primary selection (context menu, editing)
+        this.selectedElements = new Set(); // Full selection, always includes selectedElement
+        this.groupDragStartPositions = null; // Map of element id -> {x, y} during a group drag
+        this.groupDragWaypoints = null; // Map of connection -> bend points at drag start, for connections inside the group
+        this.snapper = null; // Grid/guide snapping of dragged and dropped elements, installed by AlignmentManager
+        this.lassoStart = null; // Canvas point where the rubber-band lasso started
+        this.lassoRect = null; // SVG rect drawn while lasso-selecting
+        this.suppressClickUntil = 0; // Ignore the click that follows a drag or lasso
+
+        // Announces selection changes (slice handles, panels)
+        this.selectionChanges = new ChangeNotifier();
         this.currentDraggingElement = null;
         this.currentEditingDiv = null;
+        this.editingElement = null; // Element whose name is edited inline; drawn in full detail at any zoom
         this.isPanning = false;
         this.panStartX = 0;
         this.panStartY = 0;
@@ -46,6 +73,8 @@ export class InteractionManager {
         }
         this.connectionContextMenu = document.getElementById('connection-context-menu');
         this.contextTargetConnection = null; // Store connection when its menu is shown
+        this.selectedConnection = null; // Connection showing its path handles (see ConnectionEditor)
+        this.sliceContextMenu = document.getElementById('slice-context-menu');
 
         // Bind 'this' context for event handlers that need it
         this.handleInlineEditorKeyDown = this.handleInlineEditorKeyDown.bind(this);
@@ -103,9 +132,7 @@ export class InteractionManager {
                 this.cancelInlineEdit(false);
             }
             if (this.selectedElement) {
-                const elementToRemove = this.selectedElement;
-                this.selectElement(null); // Deselect BEFORE removing, ensures menus are hidden
-                this.elementManager.removeElement(elementToRemove);
+                this.deleteSelection();
             }
         });
 
@@ -123,8 +150,28 @@ export class InteractionManager {
         });
 
         // Edit Action 
-        document.getElementById('ctx-el-edit')?.addEventListener('click', () => {
-            logger.info(">ctx-el-edit on click");
+        // ctx-el-edit opens the properties panel (see PropertiesPanel)
+
+        // Context menu actions for slices
+        // Delete the slice only; its contents stay on the canvas
+        document.getElementById('ctx-sl-delete')?.addEventListener('click', () => {
+            logger.info(">ctx-sl-delete on click");
+            if (this.selectedElement?.type === ELEMENT_TYPES.SLICE) {
+                this.deleteSlice(this.selectedElement, false);
+            }
+        });
+
+        // Delete the slice together with the elements inside it
+        document.getElementById('ctx-sl-delete-all')?.addEventListener('click', () => {
+            logger.info(">ctx-sl-delete-all on click");
+            if (this.selectedElement?.type === ELEMENT_TYPES.SLICE) {
+                this.deleteSlice(this.selectedElement, true);
+            }
+        });
+
+        // Rename the slice
+        document.getElementById('ctx-sl-edit')?.addEventListener('click', () => {
+            logger.info(">ctx-sl-edit on click");
             if (this.selectedElement) {
                 this.showNameEditor(this.selectedElement);
             } else {
@@ -136,13 +183,27 @@ export class InteractionManager {
         document.getElementById('ctx-conn-delete')?.addEventListener('click', () => {
             logger.info("ctx-conn-delete on click");
             if (this.contextTargetConnection) {
-                this.connectionManager.removeConnection(this.contextTargetConnection);
+                this.history.execute(new DisconnectCommand(this.elementManager, this.connectionManager, this.contextTargetConnection));
                 this.hideAllContextMenus();
             } else {
                 this.hideAllContextMenus();
             }
         });
 
+        // Switch the connection between curved and orthogonal routing
+        document.getElementById('ctx-conn-routing')?.addEventListener('click', () => {
+            logger.info("ctx-conn-routing on click");
+            const connection = this.contextTargetConnection;
+            if (connection) {
+                const current = this.connectionManager.getEffectiveRouting(connection);
+                const toggled = current === CONNECTION_ROUTINGS.ORTHOGONAL ? CONNECTION_ROUTINGS.CURVED : CONNECTION_ROUTINGS.ORTHOGONAL;
+                // Matching the default again means following it from now on
+                const routing = toggled === this.connectionManager.defaultRouting ? null : toggled;
+                this.history.execute(new SetConnectionRoutingCommand(this.connectionManager, connection.id, connection.routing, routing));
+            }
+            this.hideAllContextMenus();
+        });
+
         // Helper for actions that should save edit, then deselect
         const globalUiActionHandler = () => {
             logger.info(">globalUiActionHand")
@@ -225,6 +286,10 @@ export class InteractionManager {
                 this.panStartY = e.clientY;
                 this.canvas.node.style.cursor = 'grabbing';
                 e.preventDefault(); // Prevent text selection during pan, etc.
+            } else if (e.button === 0 && !this.connectionManager.connectionMode && !this.findConnectionId(target)) {
+                // Plain left drag on empty canvas: rubber-band lasso selection
+                this.lassoStart = this.getCanvasPoint(e.clientX, e.clientY);
+                e.preventDefault();
             }
         }
     }
@@ -245,17 +310,28 @@ export class InteractionManager {
             this.canvas.viewbox(newX, newY, viewbox.width, viewbox.height);
             this.panStartX = e.clientX;
             this.panStartY = e.clientY;
+        } else if (this.lassoStart) {
+            if (e.buttons === 0) {
+                // Button was released outside the canvas
+                this.finishLasso(false);
+                return;
+            }
+            this.updateLasso(this.getCanvasPoint(e.clientX, e.clientY));
         } else if (this.connectionManager.connectionMode) {
             const point = this.getCanvasPoint(e.clientX, e.clientY);
-            this.connectionManager.updateTempConnection(point.x, point.y);
+            const hoverElement = this.elementManager.getElementById(this.findElementId(e.target));
+            this.connectionManager.updateTempConnection(point.x, point.y, hoverElement);
         }
     }
 
     /**
-     * Mouseup on canvas: End panning.
+     * Mouseup on canvas: End panning or lasso selection.
      * @param {MouseEvent} e
      */
     handleCanvasMouseUp(e) {
+        if (this.lassoStart) {
+            this.finishLasso(e.shiftKey || e.ctrlKey || e.metaKey);
+        }
         if (this.isPanning) {
             this.isPanning = false;
             // Reset cursor only if space isn't still held down
@@ -271,8 +347,12 @@ export class InteractionManager {
      * @param {MouseEvent} e
      */
     handleCanvasClick(e) {
+        if (Date.now() < this.suppressClickUntil) {
+            return; // This click just ends a drag or lasso
+        }
         const target = e.target;
         const elementId = this.findElementId(target);
+        const additive = e.shiftKey || e.ctrlKey || e.metaKey;
 
         // --- Click on an Element ---
         if (elementId) {
@@ -297,7 +377,16 @@ export class InteractionManager {
                         const oldSelectedSvg = this.canvas.findOne(`#${this.selectedElement.id}`);
                         oldSelectedSvg?.removeClass('element-selected');
                     }
-                    this.connectionManager.completeConnection(clickedElement);
+                    const connection = this.connectionManager.completeConnection(clickedElement);
+                    if (connection) {
+                        this.history.record(new ConnectCommand(this.elementManager, this.connectionManager, serializeConnection(connection)));
+                    }
+                    return;
+                }
+
+                // Shift/Ctrl-click toggles membership in a multi-selection
+                if (additive && !this.currentEditingDiv) {
+                    this.toggleElementSelection(clickedElement);
                     return;
                 }
 
@@ -316,7 +405,7 @@ export class InteractionManager {
                 }
 
                 // Toggle selection
-                if (this.selectedElement === clickedElement) {
+                if (this.selectedElement === clickedElement && this.selectedElements.size === 1) {
                     this.selectElement(null);
                 } else {
                     this.selectElement(clickedElement);
@@ -335,7 +424,7 @@ export class InteractionManager {
         }
         const connectionId = this.findConnectionId(target);
         if (connectionId) {
-            const connection = this.connectionManager.connections.find(c => c.id === connectionId);
+            const connection = this.connectionManager.getConnectionById(connectionId);
             if (connection) {
                 if (this.currentEditingDiv && this.selectedElement) {
                     this.handleSaveName(false);
@@ -351,7 +440,9 @@ export class InteractionManager {
         if (this.currentEditingDiv && this.selectedElement) {
             this.handleSaveName(false);
         }
-        this.selectElement(null);
+        if (!additive) {
+            this.selectElement(null);
+        }
         if (this.connectionManager.connectionMode) {
             this.connectionManager.cancelConnection();
         }
@@ -404,9 +495,24 @@ export class InteractionManager {
             // For other keys, defer to the div's handler.
             return;
         }
-        if (e.key === 'Delete' && this.selectedElement) {
-            this.elementManager.removeElement(this.selectedElement);
-            this.selectElement(null);
+        if (this.isTextInputTarget(e.target)) {
+            return; // Typing in a lane name, panel field, etc.
+        }
+        if (this.history.locked) {
+            return; // An animated change (Arrange) is running
+        }
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
+            e.preventDefault();
+            this.redo();
+        } else if (e.key === 'Delete' && this.selectedElement) {
+            this.deleteSelection();
         } else if (e.key === 'Escape') {
             if (this.connectionManager.connectionMode) {
                 this.connectionManager.cancelConnection();
@@ -450,10 +556,12 @@ export class InteractionManager {
             logger.warn("Invalid type dropped:", type);
             return;
         }
-        const point = this.getCanvasPoint(e.clientX, e.clientY);
+        const dropPoint = this.getCanvasPoint(e.clientX, e.clientY);
+        const point = this.snapper?.snapPoint(dropPoint.x, dropPoint.y) ?? dropPoint;
         const element = this.elementManager.createElement(type, point.x, point.y);
 
         if (element) {
+            this.history.record(new CreateElementCommand(this.elementManager, serializeElement(element)));
             this.selectElement(element);
             this.showNameEditor(element);
         } else {
@@ -461,6 +569,233 @@ export class InteractionManager {
         }
     }
 
+    /**
+     * Finish an element drag: resolve overlaps, announce the move and record it for undo.
+     * Called from the element's dragend handler.
+     * @param {Element} element - The dragged element.
+     * @param {{x: number, y: number}|null} startPosition - Position at drag start.
+     */
+    handleElementDragEnd(element, startPosition) {
+        const groupStartPositions = this.groupDragStartPositions;
+        const groupStartWaypoints = this.groupDragWaypoints;
+        this.groupDragStartPositions = null;
+        this.groupDragWaypoints = null;
+        this.snapper?.endDrag();
+        if (!startPosition || (startPosition.x === element.x && startPosition.y === element.y)) {
+            return; // Plain click, nothing moved
+        }
+        this.suppressClickUntil = Date.now() + this.MAX_DBL_CLICK_TIME;
+
+        const { placement } = this.elementManager;
+        if (!groupStartPositions) {
+            // Dropped on another element: push it to the nearest free spot, or back where it came from
+            const position = placement.resolveDrop(element, startPosition);
+            this.elementManager.moveElement(element, position.x, position.y);
+            if (position.x !== startPosition.x || position.y !== startPosition.y) {
+                this.history.record(new MoveElementCommand(this.elementManager, element.id, startPosition, element));
+            }
+            return;
+        }
+
+        // Group drag: if anything landed on an element outside the group, the whole group goes back
+        const group = [...groupStartPositions.keys()]
+            .map(id => this.elementManager.getElementById(id))
+            .filter(Boolean);
+        const groupSet = new Set(group);
+        if (group.some(moved => placement.collidesAt(moved, moved.x, moved.y, groupSet))) {
+            group.forEach(moved => {
+                const start = groupStartPositions.get(moved.id);
+                this.elementManager.moveElement(moved, start.x, start.y);
+            });
+            groupStartWaypoints.forEach((waypoints, connection) => {
+                this.connectionManager.setConnectionGeometry(connection, { waypoints });
+            });
+            return;
+        }
+
+        // One undo step for every element that moved along, and the bend points between them
+        const moves = [];
+        group.forEach(moved => {
+            this.elementManager.elementMoved(moved);
+            moves.push(new MoveElementCommand(this.elementManager, moved.id, groupStartPositions.get(moved.id), moved));
+        });
+        groupStartWaypoints.forEach((waypoints, connection) => {
+            const to = { waypoints: connection.waypoints, sourceSide: connection.sourceSide, targetSide: connection.targetSide };
+            moves.push(new UpdateConnectionGeometryCommand(this.connectionManager, connection.id, { ...to, waypoints }, to));
+        });
+        this.history.record(new CompositeCommand('Move selection', moves));
+    }
+
+    /**
+     * Start of an element drag: if the element is part of a multi-selection or
+     * is a slice, remember where every element that moves along started.
+     * Called from the element's dragstart handler.
+     * @param {Element} element - The element being dragged.
+     */
+    handleElementDragStart(element) {
+        this.groupDragStartPositions = null;
+        this.groupDragWaypoints = null;
+        const dragged = this.selectedElements.size > 1 && this.selectedElements.has(element)
+            ? this.getSelectedElements()
+            : [element];
+
+        // Slices carry the elements inside them along
+        const moving = new Set(dragged);
+        dragged.filter(item => item.type === ELEMENT_TYPES.SLICE).forEach(slice => {
+            this.elementManager.getSliceMembers(slice).forEach(member => moving.add(member));
+        });
+
+        if (moving.size > 1) {
+            this.groupDragStartPositions = new Map();
+            moving.forEach(item => {
+                this.groupDragStartPositions.set(item.id, { x: item.x, y: item.y });
+            });
+            // Bend points of connections inside the group move along with it
+            this.groupDragWaypoints = new Map(this.connectionManager.getBentConnectionsWithin(moving)
+                .map(connection => [connection, connection.waypoints.map(point => ({ ...point }))]));
+        }
+    }
+
+    /**
+     * Move the rest of a group drag (selection, slice contents, bend points between them)
+     * along with the element being dragged.
+     * Called from the element's dragmove handler with the step just applied.
+     * @param {Element} element - The element being dragged.
+     * @param {number} dx - Horizontal step.
+     * @param {number} dy - Vertical step.
+     */
+    handleElementDragMove(element, dx, dy) {
+        if (!this.groupDragStartPositions || (dx === 0 && dy === 0)) {
+            return;
+        }
+        // Before the members below redraw their connections
+        this.groupDragWaypoints.forEach((_, connection) => {
+            connection.waypoints = connection.waypoints.map(point => ({ x: point.x + dx, y: point.y + dy }));
+        });
+        this.groupDragStartPositions.forEach((start, id) => {
+            const moving = this.elementManager.getElementById(id);
+            if (!moving || moving === element) return;
+            moving.x += dx;
+            moving.y += dy;
+            this.canvas.findOne(`#${moving.id}`)?.move(moving.x, moving.y);
+            this.elementManager.refreshBounds(moving);
+            this.connectionManager.updateConnectionsForElement(moving);
+        });
+    }
+
+    /**
+     * Delete an element (and its connections) as an undoable step.
+     * @param {Element} element
+     */
+    deleteElement(element) {
+        this.history.execute(new DeleteElementCommand(this.elementManager, this.connectionManager, element));
+    }
+
+    /**
+     * Delete every selected element (and their connections) as a single undoable step.
+     */
+    deleteSelection() {
+        if (this.currentEditingDiv && this.selectedElement) {
+            this.cancelInlineEdit(false);
+        }
+        const elementsToRemove = this.getSelectedElements();
+        this.selectElement(null); // Deselect BEFORE removing, ensures menus are hidden
+        if (elementsToRemove.length === 1) {
+            this.deleteElement(elementsToRemove[0]);
+        } else if (elementsToRemove.length > 1) {
+            this.history.execute(new CompositeCommand('Delete selection', elementsToRemove.map(element =>
+                new DeleteElementCommand(this.elementManager, this.connectionManager, element))));
+        }
+    }
+
+    /**
+     * Delete a slice as one undoable step, optionally together with its contents.
+     * @param {Element} slice
+     * @param {boolean} withContents - Also delete the elements inside the slice.
+     */
+    deleteSlice(slice, withContents) {
+        if (this.currentEditingDiv && this.selectedElement) {
+            this.cancelInlineEdit(false);
+        }
+        const members = withContents ? this.elementManager.getSliceMembers(slice) : [];
+        this.selectElement(null);
+        if (members.length === 0) {
+            this.deleteElement(slice);
+            return;
+        }
+        this.history.execute(new CompositeCommand('Delete slice with contents', [slice, ...members].map(element =>
+            new DeleteElementCommand(this.elementManager, this.connectionManager, element))));
+    }
+
+    /**
+     * Grow the lasso rectangle to the current pointer position.
+     * @param {{x: number, y: number}} point - Current pointer position in canvas coordinates.
+     */
+    updateLasso(point) {
+        const x = Math.min(this.lassoStart.x, point.x);
+        const y = Math.min(this.lassoStart.y, point.y);
+        const width = Math.abs(point.x - this.lassoStart.x);
+        const height = Math.abs(point.y - this.lassoStart.y);
+        if (!this.lassoRect) {
+            this.lassoRect = this.canvas.rect(0, 0).addClass('lasso-rect');
+        }
+        this.lassoRect.size(width, height).move(x, y);
+    }
+
+    /**
+     * End a lasso drag: select every element fully inside the rectangle.
+     * @param {boolean} additive - Add to the current selection instead of replacing it.
+     */
+    finishLasso(additive) {
+        const rect = this.lassoRect;
+        this.lassoStart = null;
+        this.lassoRect = null;
+        if (!rect) {
+            return; // Mouse never moved: a plain click, handled by handleCanvasClick
+        }
+        const x = rect.x();
+        const y = rect.y();
+        const width = rect.width();
+        const height = rect.height();
+        rect.remove();
+        this.suppressClickUntil = Date.now() + this.MAX_DBL_CLICK_TIME;
+
+        const enclosed = this.elementManager.getElementsInBounds({ x, y, width, height }).filter(element =>
+            element.x >= x && element.y >= y &&
+            element.x + element.width <= x + width &&
+            element.y + element.height <= y + height
+        );
+        const selection = additive ? [...this.getSelectedElements(), ...enclosed] : enclosed;
+        this.setSelection(selection);
+    }
+
+    /**
+     * Undo the last editing step.
+     */
+    undo() {
+        this.resetForHistoryChange();
+        this.history.undo();
+    }
+
+    /**
+     * Redo the last undone editing step.
+     */
+    redo() {
+        this.resetForHistoryChange();
+        this.history.redo();
+    }
+
+    /**
+     * Clear selection and transient modes before undo/redo replaces objects on the canvas.
+     */
+    resetForHistoryChange() {
+        if (this.connectionManager.connectionMode) {
+            this.connectionManager.cancelConnection();
+        }
+        this.hideAllContextMenus();
+        this.selectElement(null);
+    }
+
     /**
      * Hide both element and connection context menus.
      */
@@ -471,6 +806,9 @@ export class InteractionManager {
         if (this.connectionContextMenu && this.connectionContextMenu.style.display !== 'none') {
             this.connectionContextMenu.style.display = 'none';
         }
+        if (this.sliceContextMenu && this.sliceContextMenu.style.display !== 'none') {
+            this.sliceContextMenu.style.display = 'none';
+        }
         this.contextTargetConnection = null;
     }
 
@@ -491,10 +829,11 @@ export class InteractionManager {
      * @param {Element} element
      */
     showElementContextMenu(element) {
-        if (!element || !this.elementContextMenu) return;
-        // Hide the other menu first
-        if (this.connectionContextMenu) this.connectionContextMenu.style.display = 'none';
-        this.contextTargetConnection = null;
+        // Slices have their own menu
+        const menu = element?.type === ELEMENT_TYPES.SLICE ? this.sliceContextMenu : this.elementContextMenu;
+        if (!element || !menu) return;
+        // Hide the other menus first
+        this.hideAllContextMenus();
 
         const svgGroup = this.canvas.findOne(`#${element.id}`);
         if (!svgGroup) return;
@@ -510,16 +849,16 @@ export class InteractionManager {
 
             const screenPoint = svgPoint.matrixTransform(ctm);
 
-            this.elementContextMenu.style.left = `${screenPoint.x}px`;
-            this.elementContextMenu.style.top = `${screenPoint.y}px`;
-            this.elementContextMenu.style.display = 'block';
+            menu.style.left = `${screenPoint.x}px`;
+            menu.style.top = `${screenPoint.y}px`;
+            menu.style.display = 'block';
 
         } catch (err) {
             logger.error("Error calculating element context menu position:", err);
             // Fallback: Show near element origin (less accurate)
-            this.elementContextMenu.style.left = `${element.x + element.width}px`;
-            this.elementContextMenu.style.top = `${element.y}px`;
-            this.elementContextMenu.style.display = 'block';
+            menu.style.left = `${element.x + element.width}px`;
+            menu.style.top = `${element.y}px`;
+            menu.style.display = 'block';
         }
     }
 
@@ -535,6 +874,8 @@ export class InteractionManager {
         // Hide the other menu first
         if (this.elementContextMenu) this.elementContextMenu.style.display = 'none';
         this.selectedElement = null; // Ensure no element seems selected
+        this.selectedElements.clear();
+        this.selectConnection(connection);
 
         // Store the target connection for the delete handler
         this.contextTargetConnection = connection;
@@ -564,9 +905,14 @@ export class InteractionManager {
         }
 
         // Ensure element is selected 
-        const shouldSelect = this.selectedElement !== element;
+        const shouldSelect = this.selectedElement !== element || this.selectedElements.size > 1;
         if (shouldSelect) {
+            this.selectedElements.forEach(selected => {
+                this.canvas.findOne(`#${selected.id}`)?.removeClass('element-selected');
+            });
+            this.selectedElements = new Set([element]);
             this.selectedElement = element;
+            this.notifySelectionChanged();
             const svgElem = this.canvas.findOne(`#${element.id}`);
             if (svgElem) {
                 svgElem.addClass('element-selected');
@@ -575,15 +921,22 @@ export class InteractionManager {
             }
         }
 
-        const svgGroup = this.canvas.findOne(`#${element.id}`);
+        // Zoomed out, elements are drawn without their label: show this one in full while editing
+        this.editingElement = element;
+        let svgGroup = this.canvas.findOne(`#${element.id}`);
+        if (svgGroup?.hasClass('element-simplified')) {
+            svgGroup = this.elementManager.redrawElement(element);
+        }
         if (!svgGroup) {
             logger.error(`FAILED to find SVG Group for #${element.id}`);
+            this.releaseEditingElement();
             return;
         }
 
         const foreignObjectWrapper = svgGroup.findOne('.element-editor-fobj');
         if (!foreignObjectWrapper || !foreignObjectWrapper.node) {
             logger.error(`FAILED to find .element-editor-fobj or node inside #${element.id}`);
+            this.releaseEditingElement();
             return;
         }
 
@@ -645,6 +998,14 @@ export class InteractionManager {
         this.currentEditingDiv = contentDivNode;
     }
 
+    /**
+     * Forget the element being edited inline, so viewport culling may simplify it again.
+     */
+    releaseEditingElement() {
+        this.editingElement = null;
+        this.elementManager.viewport?.scheduleSync();
+    }
+
     /**
      * Cancel inline editing for the current element.
      * @param {boolean} showMenuAfter - Whether to show the context menu after cancel.
@@ -660,6 +1021,7 @@ export class InteractionManager {
         if (!svgGroup) {
             logger.error("cancelInlineEdit: SVG group not found for", element.id);
             this.currentEditingDiv = null;
+            this.releaseEditingElement();
             return;
         }
 
@@ -676,6 +1038,7 @@ export class InteractionManager {
         foreignObjectWrapper?.attr('pointer-events', 'none');
 
         this.currentEditingDiv = null;
+        this.releaseEditingElement();
 
         if (showMenuAfter) {
             this.showElementContextMenu(element);
@@ -705,6 +1068,7 @@ export class InteractionManager {
             divToSaveFrom.removeEventListener('keydown', this.handleInlineEditorKeyDown);
             divToSaveFrom.removeEventListener('blur', this.handleInlineEditorBlur);
             this.currentEditingDiv = null;
+            this.releaseEditingElement();
             return;
         }
 
@@ -718,10 +1082,16 @@ export class InteractionManager {
         divToSaveFrom.removeEventListener('keydown', this.handleInlineEditorKeyDown);
         divToSaveFrom.removeEventListener('blur', this.handleInlineEditorBlur);
 
+        const oldName = elementToSave.name;
         elementToSave.name = newName || elementToSave.type;
         divToSaveFrom.innerText = elementToSave.name;
+        if (elementToSave.name !== oldName) {
+            this.elementManager.updateElement(elementToSave); // Announce the rename
+            this.history.record(new RenameElementCommand(this.elementManager, elementToSave.id, oldName, elementToSave.name));
+        }
 
         this.currentEditingDiv = null;
+        this.releaseEditingElement();
 
         if (showMenuAfter) {
             this.showElementContextMenu(elementToSave);
@@ -805,6 +1175,9 @@ export class InteractionManager {
 
         const previousSelectedElement = this.selectedElement;
 
+        // Selecting elements (or nothing) ends a connection selection
+        this.deselectConnection();
+
         // If an edit is active on the previous element, and we are now selecting a different element or null, finalize edit
         if (this.currentEditingDiv && previousSelectedElement && previousSelectedElement !== element) {
             if (this.currentEditingDiv.closest('.element')?.id === previousSelectedElement.id) {
@@ -812,13 +1185,13 @@ export class InteractionManager {
             }
         }
 
-        // Visually deselect the previously selected element if it's different from the new one
-        if (previousSelectedElement && previousSelectedElement !== element) {
-            const oldSvgElement = this.canvas.findOne(`#${previousSelectedElement.id}`);
-            if (oldSvgElement) {
-                oldSvgElement.removeClass('element-selected');
+        // Visually deselect the previously selected element(s) other than the new one
+        this.selectedElements.forEach(selected => {
+            if (selected !== element) {
+                this.canvas.findOne(`#${selected.id}`)?.removeClass('element-selected');
             }
-        }
+        });
+        this.selectedElements = new Set(element ? [element] : []);
 
         // Hide all menus if selection is changing or being cleared
         if (element !== previousSelectedElement) {
@@ -837,6 +1210,7 @@ export class InteractionManager {
                 }
             }
         }
+        this.notifySelectionChanged();
     }
 
     /**
@@ -866,6 +1240,114 @@ export class InteractionManager {
         return elementNode ? elementNode.id : null;
     }
 
+    /**
+     * Check whether a keyboard event target is a text input (so shortcuts must not fire).
+     * @param {EventTarget} target
+     * @returns {boolean}
+     */
+    isTextInputTarget(target) {
+        return Boolean(target?.isContentEditable) || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName);
+    }
+
+    /**
+     * Get all currently selected elements.
+     * @returns {Array<Element>}
+     */
+    getSelectedElements() {
+        return [...this.selectedElements];
+    }
+
+    /**
+     * Replace the selection with a set of elements. With more than one element
+     * no context menu is shown; the last element becomes the primary selection.
+     * @param {Array<Element>} elements
+     */
+    setSelection(elements) {
+        const unique = [...new Set(elements)];
+        if (unique.length <= 1) {
+            this.selectElement(unique[0] || null);
+            return;
+        }
+        this.selectElement(null);
+        this.hideAllContextMenus();
+        unique.forEach(element => {
+            this.canvas.findOne(`#${element.id}`)?.addClass('element-selected');
+        });
+        this.selectedElements = new Set(unique);
+        this.selectedElement = unique[unique.length - 1];
+        this.notifySelectionChanged();
+    }
+
+    /**
+     * Select a connection (elements are deselected by the caller) and announce it.
+     * @param {Connection|null} connection
+     */
+    selectConnection(connection) {
+        this.deselectConnection();
+        this.selectedConnection = connection;
+        if (connection) {
+            this.canvas.findOne(`#${connection.id}`)?.addClass('connection-selected');
+        }
+        this.notifySelectionChanged();
+    }
+
+    /**
+     * Clear the connection selection without announcing it.
+     */
+    deselectConnection() {
+        if (this.selectedConnection) {
+            this.canvas.findOne(`#${this.selectedConnection.id}`)?.removeClass('connection-selected');
+            this.selectedConnection = null;
+        }
+    }
+
+    /**
+     * Announce that the selection changed.
+     */
+    notifySelectionChanged() {
+        this.selectionChanges.notify({
+            type: CHANGE_TYPES.SELECTION_CHANGED,
+            elements: this.getSelectedElements(),
+            connection: this.selectedConnection
+        });
+    }
+
+    /**
+     * Add an element to, or remove it from, the selection (Shift/Ctrl-click).
+     * @param {Element} element
+     */
+    toggleElementSelection(element) {
+        const selection = this.getSelectedElements();
+        if (this.selectedElements.has(element)) {
+            this.setSelection(selection.filter(selected => selected !== element));
+        } else {
+            this.setSelection([...selection, element]);
+        }
+    }
+
+    /**
+     * Pan the view so the element is centered (zooming out if it does not fit) and select it.
+     * @param {Element} element
+     */
+    focusElement(element) {
+        const FOCUS_MARGIN = 100; // Space kept around the element
+        const viewbox = this.canvas.viewbox();
+        const fit = Math.max(
+            (element.width + 2 * FOCUS_MARGIN) / viewbox.width,
+            (element.height + 2 * FOCUS_MARGIN) / viewbox.height,
+            1
+        );
+        const width = viewbox.width * fit;
+        const height = viewbox.height * fit;
+        this.canvas.viewbox(
+            element.x + element.width / 2 - width / 2,
+            element.y + element.height / 2 - height / 2,
+            width,
+            height
+        );
+        this.setSelection([element]);
+    }
+
     /**
      * Find the connection path's ID from a clicked DOM target.
      * @param {EventTarget} target
@@ -0,0 +1,76 @@
+/**
+ * Lane.js
+ *
+ * Defines the Lane class: a named horizontal band (swimlane) of the board.
+ */
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Role of a lane in an Event Modeling board, used to pick the default lanes.
+ * @readonly
+ * @enum {string}
+ */
+export const LANE_KINDS = {
+    UI: 'ui',                   // GUI / actor lanes on top
+    INTERACTION: 'interaction', // Commands and read models in the middle
+    STREAM: 'stream',           // Events (aggregates / streams) at the bottom
+    CUSTOM: 'custom'
+};
+
+/**
+ * Default lane height.
+ */
+export const LANE_DEFAULT_HEIGHT = 200;
+
+/**
+ * Lane class - A horizontal band; its vertical position follows from its order.
+ */
+export class Lane {
+    /**
+     * Create a new Lane.
+     * @param {string} name - Display name.
+     * @param {number} [height=LANE_DEFAULT_HEIGHT] - Height of the band.
+     * @param {string} [kind=LANE_KINDS.CUSTOM] - Role of the lane.
+     * @param {string|null} [id=null] - Existing identifier to reuse (e.g. when loading a model).
+     */
+    constructor(name, height = LANE_DEFAULT_HEIGHT, kind = LANE_KINDS.CUSTOM, id = null) {
+        /**
+         * Unique identifier for this lane.
+         * @type {string}
+         */
+        this.id = id || `lane-${uuidv4()}`;
+
+        /**
+         * Display name of the lane.
+         * @type {string}
+         */
+        this.name = name;
+
+        /**
+         * Height of the band.
+         * @type {number}
+         */
+        this.height = height;
+
+        /**
+         * Role of the lane (see LANE_KINDS).
+         * @type {string}
+         */
+        this.kind = kind;
+
+        /**
+         * Top of the band; maintained by LaneManager from the lane order.
+         * @type {number}
+         */
+        this.y = 0;
+    }
+
+    /**
+     * Check whether a vertical coordinate falls inside this lane.
+     * @param {number} y
+     * @returns {boolean}
+     */
+    containsY(y) {
+        return y >= this.y && y < this.y + this.height;
+    }
+}
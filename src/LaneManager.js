@@ -0,0 +1,501 @@
+/**
+ * LaneManager.js
+ *
+ * Defines the LaneManager class: the swimlanes rendered behind the elements
+ * (GUI/actor lanes on top, commands and read models in the middle, event
+ * streams at the bottom), element-to-lane assignment, and lane reordering
+ * and resizing that carry the lane contents along (undoable as one step).
+ */
+import { Lane, LANE_KINDS, LANE_DEFAULT_HEIGHT } from './Lane.js';
+import { ELEMENT_TYPES } from './Element.js';
+import { ChangeNotifier, CHANGE_TYPES } from './ChangeNotifier.js';
+import { CompositeCommand, MoveElementCommand, SetLanesCommand } from './Commands.js';
+import { ErrorHandler } from './ErrorHandler.js';
+import { registerModelSection } from './ModelSerializer.js';
+import { observeViewbox } from './viewport.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("LaneManager");
+
+/**
+ * Horizontal extent of the lane bands (they behave as if infinitely wide).
+ */
+const LANE_EXTENT = 100000;
+
+/**
+ * Vertical position of the top of the first lane.
+ */
+const LANES_TOP = 0;
+
+/**
+ * Smallest height a lane can be resized to.
+ */
+const LANE_MIN_HEIGHT = 60;
+
+/**
+ * Size of the lane header (name and buttons), pinned to the left edge of the view.
+ */
+const LANE_HEADER_WIDTH = 180;
+const LANE_HEADER_HEIGHT = 28;
+
+/**
+ * Lanes created for a new board.
+ */
+const DEFAULT_LANES = [
+    { name: 'Actors / UI', kind: LANE_KINDS.UI },
+    { name: 'Commands & Read Models', kind: LANE_KINDS.INTERACTION },
+    { name: 'Events', kind: LANE_KINDS.STREAM }
+];
+
+/**
+ * LaneManager - Manages the horizontal swimlanes of the board.
+ */
+export class LaneManager {
+    /**
+     * Construct a LaneManager.
+     * @param {SVG.Svg} canvas - The SVG canvas.
+     * @param {ElementManager} elementManager - Owner of the elements placed in lanes.
+     * @param {HistoryManager} history - Undo/redo history lane edits are recorded in.
+     */
+    constructor(canvas, elementManager, history) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = elementManager;
+
+        /**
+         * Undo/redo history lane edits are recorded in.
+         * @type {HistoryManager}
+         */
+        this.history = history;
+
+        /**
+         * Lanes, top to bottom.
+         * @type {Array<Lane>}
+         */
+        this.lanes = [];
+
+        /**
+         * Group holding the lane bands; kept behind everything else.
+         * @type {SVG.G}
+         */
+        this.layer = canvas.group().addClass('lanes-layer').back();
+
+        /**
+         * Announces lane changes (used by autosave).
+         * @type {ChangeNotifier}
+         */
+        this.changes = new ChangeNotifier();
+
+        // Place every new or moved element into the lane it lands in
+        elementManager.changes.subscribe(change => {
+            if (change.type === CHANGE_TYPES.ELEMENT_CREATED || change.type === CHANGE_TYPES.ELEMENT_MOVED) {
+                this.assignElement(change.element);
+            }
+        });
+
+        // Keep lane headers pinned to the left edge of the view
+        observeViewbox(canvas, () => this.positionHeaders());
+
+        // Lanes are part of the saved model
+        registerModelSection('lanes', {
+            serialize: () => this.serialize(),
+            deserialize: data => this.deserialize(data)
+        });
+
+        document.getElementById('add-lane')?.addEventListener('click', () => {
+            this.addLane(`Lane ${this.lanes.length + 1}`);
+        });
+
+        this.createDefaultLanes();
+    }
+
+    /**
+     * Replace all lanes with the default Event Modeling lanes.
+     */
+    createDefaultLanes() {
+        this.lanes = DEFAULT_LANES.map(({ name, kind }) => new Lane(name, LANE_DEFAULT_HEIGHT, kind));
+        this.layout();
+        this.render();
+    }
+
+    /**
+     * Append a new lane at the bottom.
+     * @param {string} name - Display name.
+     * @param {number} [height] - Band height.
+     * @returns {Lane}
+     */
+    addLane(name, height = LANE_DEFAULT_HEIGHT) {
+        const lane = new Lane(name, height);
+        this.lanes.push(lane);
+        this.layout();
+        this.render();
+        this.notifyChange();
+        return lane;
+    }
+
+    /**
+     * Remove a lane. Only empty lanes can be removed, so no element is left
+     * floating where the following lanes move up.
+     * @param {Lane} lane
+     * @returns {boolean} - True if the lane was removed.
+     */
+    removeLane(lane) {
+        const members = this.getLaneElements(lane);
+        if (members.length > 0) {
+            ErrorHandler.handle(new Error(`Lane ${lane.id} is not empty`), "LaneManager.removeLane",
+                `Lane "${lane.name}" still contains ${members.length} element(s). Move them out first.`);
+            return false;
+        }
+        const before = this.captureLayout();
+        this.lanes = this.lanes.filter(l => l !== lane);
+        this.relayoutMovingContents();
+        this.recordLayoutChange('Remove lane', before);
+        this.notifyChange();
+        return true;
+    }
+
+    /**
+     * Move a lane up or down by one position, moving all lane contents along.
+     * @param {Lane} lane
+     * @param {number} offset - -1 to move up, +1 to move down.
+     */
+    moveLane(lane, offset) {
+        const index = this.lanes.indexOf(lane);
+        const newIndex = index + offset;
+        if (index < 0 || newIndex < 0 || newIndex >= this.lanes.length) {
+            return;
+        }
+        const before = this.captureLayout();
+        this.lanes.splice(index, 1);
+        this.lanes.splice(newIndex, 0, lane);
+        this.relayoutMovingContents();
+        this.recordLayoutChange('Move lane', before);
+        this.notifyChange();
+    }
+
+    /**
+     * Change a lane's height; the lanes below (and their contents) shift accordingly.
+     * @param {Lane} lane
+     * @param {number} height - New height (clamped to LANE_MIN_HEIGHT).
+     */
+    resizeLane(lane, height) {
+        lane.height = Math.max(LANE_MIN_HEIGHT, Math.round(height));
+        this.relayoutMovingContents();
+    }
+
+    /**
+     * Rename a lane.
+     * @param {Lane} lane
+     * @param {string} name
+     */
+    renameLane(lane, name) {
+        lane.name = name || lane.name;
+        this.render();
+        this.notifyChange();
+    }
+
+    /**
+     * Recompute lane positions from their order and heights.
+     */
+    layout() {
+        let y = LANES_TOP;
+        this.lanes.forEach(lane => {
+            lane.y = y;
+            y += lane.height;
+        });
+    }
+
+    /**
+     * Recompute lane positions and move every lane's elements by the distance its lane moved.
+     */
+    relayoutMovingContents() {
+        const membersByLane = new Map(this.lanes.map(lane => [lane, this.getLaneElements(lane)]));
+        const oldY = new Map(this.lanes.map(lane => [lane, lane.y]));
+        this.layout();
+        membersByLane.forEach((members, lane) => {
+            const dy = lane.y - oldY.get(lane);
+            if (dy === 0) return;
+            members.forEach(element => {
+                this.elementManager.moveElement(element, element.x, element.y + dy);
+            });
+        });
+        this.render();
+    }
+
+    /**
+     * Snapshot of the lanes and of the positions of the elements in them, taken before a lane edit.
+     * @returns {{lanes: Array<Object>, positions: Map<Element, {x: number, y: number}>}}
+     */
+    captureLayout() {
+        return {
+            lanes: this.serialize(),
+            positions: new Map(this.elementManager.elements
+                .filter(element => element.laneId)
+                .map(element => [element, { x: element.x, y: element.y }]))
+        };
+    }
+
+    /**
+     * Record a finished lane edit, and the element moves it caused, as one undo step.
+     * @param {string} label - Description of the step.
+     * @param {{lanes: Array<Object>, positions: Map<Element, {x: number, y: number}>}} before - See captureLayout.
+     */
+    recordLayoutChange(label, before) {
+        const after = this.serialize();
+        if (JSON.stringify(after) === JSON.stringify(before.lanes)) return;
+        const commands = [new SetLanesCommand(this, before.lanes, after)];
+        before.positions.forEach((from, element) => {
+            if (element.x !== from.x || element.y !== from.y) {
+                commands.push(new MoveElementCommand(this.elementManager, element.id, from, element));
+            }
+        });
+        this.history?.record(new CompositeCommand(label, commands));
+    }
+
+    /**
+     * Set the lanes from records without moving any element (undo/redo of a lane edit;
+     * the element moves are separate commands), then re-assign every element to the
+     * lane it lies in. Lanes that still exist keep their objects.
+     * @param {Array<{id: string, name: string, height: number, kind: string}>} records - See serialize.
+     */
+    restoreLanes(records) {
+        this.lanes = records.map(record => {
+            const lane = this.getLaneById(record.id) || new Lane(record.name, record.height, record.kind, record.id);
+            lane.name = record.name;
+            lane.height = record.height;
+            return lane;
+        });
+        this.layout();
+        this.render();
+        this.elementManager.elements.forEach(element => this.assignElement(element));
+        this.notifyChange();
+    }
+
+    /**
+     * Find the lane containing a vertical coordinate.
+     * @param {number} y
+     * @returns {Lane|null}
+     */
+    getLaneAt(y) {
+        return this.lanes.find(lane => lane.containsY(y)) || null;
+    }
+
+    /**
+     * Get a lane by its unique ID.
+     * @param {string} id
+     * @returns {Lane|null}
+     */
+    getLaneById(id) {
+        return this.lanes.find(lane => lane.id === id) || null;
+    }
+
+    /**
+     * Get the elements assigned to a lane.
+     * @param {Lane} lane
+     * @returns {Array<Element>}
+     */
+    getLaneElements(lane) {
+        return this.elementManager.elements.filter(element => element.laneId === lane.id);
+    }
+
+    /**
+     * Assign an element to the lane its vertical center lies in (slices span lanes and stay unassigned).
+     * @param {Element} element
+     */
+    assignElement(element) {
+        if (!element) return;
+        if (element.type === ELEMENT_TYPES.SLICE) {
+            element.laneId = null;
+            return;
+        }
+        element.laneId = this.getLaneAt(element.y + element.height / 2)?.id || null;
+    }
+
+    /**
+     * Redraw all lane bands and headers.
+     */
+    render() {
+        this.layer.clear();
+        this.lanes.forEach((lane, index) => {
+            const group = this.layer.group().attr('id', lane.id).addClass('lane');
+            group.rect(LANE_EXTENT, lane.height)
+                .move(-LANE_EXTENT / 2, lane.y)
+                .addClass('lane-band')
+                .addClass(index % 2 ? 'lane-band-odd' : 'lane-band-even');
+            this.renderResizeHandle(group, lane);
+            this.renderHeader(group, lane, index);
+        });
+        this.positionHeaders();
+    }
+
+    /**
+     * Draw the draggable bottom edge used to resize a lane.
+     * @param {SVG.G} group - The lane's group.
+     * @param {Lane} lane
+     */
+    renderResizeHandle(group, lane) {
+        const handle = group.rect(LANE_EXTENT, 6)
+            .move(-LANE_EXTENT / 2, lane.y + lane.height - 3)
+            .addClass('lane-resize-handle');
+
+        handle.node.addEventListener('mousedown', (e) => {
+            if (e.button !== 0) return;
+            e.stopPropagation(); // Not a lasso or pan
+            e.preventDefault();
+            const startY = this.canvas.point(e.clientX, e.clientY).y;
+            const startHeight = lane.height;
+            const before = this.captureLayout();
+
+            const onMove = (moveEvent) => {
+                const y = this.canvas.point(moveEvent.clientX, moveEvent.clientY).y;
+                this.resizeLane(lane, startHeight + (y - startY));
+            };
+            const onUp = () => {
+                document.removeEventListener('mousemove', onMove);
+                document.removeEventListener('mouseup', onUp);
+                this.recordLayoutChange('Resize lane', before);
+                this.notifyChange();
+            };
+            document.addEventListener('mousemove', onMove);
+            document.addEventListener('mouseup', onUp);
+        });
+    }
+
+    /**
+     * Draw the lane header: editable name plus move up/down and delete buttons.
+     * @param {SVG.G} group - The lane's group.
+     * @param {Lane} lane
+     * @param {number} index - Position of the lane (top is 0).
+     */
+    renderHeader(group, lane, index) {
+        const header = group.foreignObject(LANE_HEADER_WIDTH, LANE_HEADER_HEIGHT)
+            .attr({ y: lane.y })
+            .addClass('lane-header-fobj');
+
+        const div = document.createElementNS('http://www.w3.org/1999/xhtml', 'div');
+        div.setAttribute('class', 'lane-header');
+
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'lane-name';
+        nameSpan.textContent = lane.name;
+        nameSpan.title = 'Double-click to rename';
+        nameSpan.addEventListener('dblclick', (e) => {
+            e.stopPropagation();
+            this.editLaneName(lane, nameSpan);
+        });
+        div.appendChild(nameSpan);
+
+        const buttons = [
+            { label: '▲', title: 'Move lane up', disabled: index === 0, action: () => this.moveLane(lane, -1) },
+            { label: '▼', title: 'Move lane down', disabled: index === this.lanes.length - 1, action: () => this.moveLane(lane, 1) },
+            { label: '✕', title: 'Remove lane', disabled: false, action: () => this.removeLane(lane) }
+        ];
+        buttons.forEach(({ label, title, disabled, action }) => {
+            const button = document.createElement('button');
+            button.className = 'lane-button';
+            button.textContent = label;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                action();
+            });
+            div.appendChild(button);
+        });
+
+        // Keep header interactions from starting a lasso, a pan, or deselecting
+        ['mousedown', 'click', 'dblclick'].forEach(type => {
+            div.addEventListener(type, e => e.stopPropagation());
+        });
+
+        header.node.appendChild(div);
+    }
+
+    /**
+     * Turn a lane name into an inline editor; Enter or blur saves, Escape cancels.
+     * @param {Lane} lane
+     * @param {HTMLElement} nameSpan
+     */
+    editLaneName(lane, nameSpan) {
+        nameSpan.contentEditable = 'true';
+        nameSpan.focus();
+        document.getSelection()?.selectAllChildren(nameSpan);
+
+        const finish = (save) => {
+            nameSpan.removeEventListener('keydown', onKeyDown);
+            nameSpan.removeEventListener('blur', onBlur);
+            nameSpan.contentEditable = 'false';
+            if (save) {
+                this.renameLane(lane, nameSpan.textContent.trim());
+            } else {
+                nameSpan.textContent = lane.name;
+            }
+        };
+        const onKeyDown = (e) => {
+            e.stopPropagation(); // Keep Delete/Escape away from the canvas shortcuts
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        };
+        const onBlur = () => finish(true);
+        nameSpan.addEventListener('keydown', onKeyDown);
+        nameSpan.addEventListener('blur', onBlur);
+    }
+
+    /**
+     * Pin the lane headers to the left edge of the current view.
+     */
+    positionHeaders() {
+        const viewbox = this.canvas.viewbox();
+        this.layer.find('.lane-header-fobj').forEach(header => {
+            header.attr('x', viewbox.x);
+        });
+    }
+
+    /**
+     * Announce a lane change.
+     */
+    notifyChange() {
+        this.changes.notify({ type: CHANGE_TYPES.LANES_CHANGED });
+    }
+
+    /**
+     * Build the lanes section of the model document.
+     * @returns {Array<{id: string, name: string, height: number, kind: string}>}
+     */
+    serialize() {
+        return this.lanes.map(({ id, name, height, kind }) => ({ id, name, height, kind }));
+    }
+
+    /**
+     * Restore lanes from the model document; `null` (documents from before lanes existed) means defaults.
+     * Runs before the elements are restored, so they are assigned to the loaded lanes.
+     * @param {Array<Object>|null|undefined} data
+     */
+    deserialize(data) {
+        if (!Array.isArray(data)) {
+            this.createDefaultLanes();
+            return;
+        }
+        this.lanes = data.map(record => new Lane(
+            record.name || 'Lane',
+            Math.max(LANE_MIN_HEIGHT, Number(record.height) || LANE_DEFAULT_HEIGHT),
+            Object.values(LANE_KINDS).includes(record.kind) ? record.kind : LANE_KINDS.CUSTOM,
+            record.id
+        ));
+        this.layout();
+        this.render();
+    }
+}
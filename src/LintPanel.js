@@ -0,0 +1,166 @@
+/**
+ * LintPanel.js
+ *
+ * Defines the LintPanel class: a dockable panel listing the model lint issues
+ * (see ModelLinter.js). Clicking an issue brings the element into view and
+ * selects it. The list is refreshed while the panel is open.
+ */
+import { lintModel } from './ModelLinter.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("LintPanel");
+
+/**
+ * Sides the panel can be docked to, in the order the dock button cycles through.
+ */
+const DOCK_POSITIONS = ['right', 'bottom', 'left'];
+
+/**
+ * localStorage key remembering where the panel is docked.
+ */
+const DOCK_STORAGE_KEY = 'svgjs-em-editor.lint-dock';
+
+/**
+ * Delay before re-linting after a change, so bursts of changes run one lint.
+ */
+const LINT_DELAY_MS = 200;
+
+/**
+ * LintPanel - Shows the lint issues of the model.
+ */
+export class LintPanel {
+    /**
+     * Construct a LintPanel.
+     * @param {InteractionManager} interactionManager - Provides the managers and focusing of elements.
+     */
+    constructor(interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * The panel element.
+         * @type {HTMLElement|null}
+         */
+        this.panel = document.getElementById('lint-panel');
+
+        /**
+         * Side the panel is docked to.
+         * @type {string}
+         */
+        this.dock = DOCK_POSITIONS.includes(localStorage.getItem(DOCK_STORAGE_KEY))
+            ? localStorage.getItem(DOCK_STORAGE_KEY)
+            : DOCK_POSITIONS[0];
+
+        /**
+         * Issues found by the last run.
+         * @type {Array<{ruleId: string, severity: string, element: Element, message: string}>}
+         */
+        this.issues = [];
+
+        /**
+         * Pending re-lint.
+         * @type {number|null}
+         */
+        this.lintTimeout = null;
+
+        const scheduleLint = () => this.scheduleLint();
+        interactionManager.elementManager.changes.subscribe(scheduleLint);
+        interactionManager.connectionManager.changes.subscribe(scheduleLint);
+
+        document.getElementById('lint-model')?.addEventListener('click', () => this.toggle());
+        document.getElementById('lint-close')?.addEventListener('click', () => this.toggle(false));
+        document.getElementById('lint-dock')?.addEventListener('click', () => {
+            const next = DOCK_POSITIONS[(DOCK_POSITIONS.indexOf(this.dock) + 1) % DOCK_POSITIONS.length];
+            this.setDock(next);
+        });
+        this.setDock(this.dock);
+    }
+
+    /**
+     * True while the panel is shown.
+     * @returns {boolean}
+     */
+    isOpen() {
+        return Boolean(this.panel) && this.panel.style.display !== 'none';
+    }
+
+    /**
+     * Show or hide the panel.
+     * @param {boolean} [show] - Defaults to toggling.
+     */
+    toggle(show) {
+        if (!this.panel) return;
+        const visible = show ?? !this.isOpen();
+        this.panel.style.display = visible ? 'flex' : 'none';
+        if (visible) {
+            this.lint();
+        }
+    }
+
+    /**
+     * Dock the panel to a side of the workspace.
+     * @param {string} position - One of DOCK_POSITIONS.
+     */
+    setDock(position) {
+        if (!this.panel) return;
+        DOCK_POSITIONS.forEach(side => this.panel.classList.toggle(`dock-${side}`, side === position));
+        this.dock = position;
+        localStorage.setItem(DOCK_STORAGE_KEY, position);
+    }
+
+    /**
+     * Re-lint shortly if the panel is open.
+     */
+    scheduleLint() {
+        if (!this.isOpen()) return;
+        if (this.lintTimeout) {
+            clearTimeout(this.lintTimeout);
+        }
+        this.lintTimeout = setTimeout(() => this.lint(), LINT_DELAY_MS);
+    }
+
+    /**
+     * Run the linter now and refresh the list.
+     * @returns {Array<{ruleId: string, severity: string, element: Element, message: string}>}
+     */
+    lint() {
+        this.lintTimeout = null;
+        const { elementManager, connectionManager } = this.interactionManager;
+        this.issues = lintModel(elementManager, connectionManager);
+        this.render();
+        return this.issues;
+    }
+
+    /**
+     * Fill the issue list and the summary.
+     */
+    render() {
+        const summary = document.getElementById('lint-summary');
+        if (summary) {
+            summary.textContent = this.issues.length === 0
+                ? 'No issues'
+                : `${this.issues.length} issue${this.issues.length === 1 ? '' : 's'}`;
+        }
+        const list = document.getElementById('lint-list');
+        if (!list) return;
+        list.innerHTML = '';
+        this.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `lint-item lint-item-${issue.severity}`;
+            item.title = issue.ruleId;
+            item.textContent = `${issue.element.name || issue.element.type}: ${issue.message}`;
+            item.addEventListener('click', () => {
+                // The element may have been deleted since the last lint
+                const element = this.interactionManager.elementManager.getElementById(issue.element.id);
+                if (element) {
+                    this.interactionManager.focusElement(element);
+                }
+            });
+            list.appendChild(item);
+        });
+    }
+}
@@ -0,0 +1,255 @@
+/**
+ * Minimap.js
+ *
+ * Defines the Minimap class: an overview panel with a scaled drawing of every
+ * element (in its ELEMENT_COLORS color) and the current view as a rectangle.
+ * Dragging the rectangle pans the canvas, clicking elsewhere jumps there, and
+ * panning/zooming the canvas moves the rectangle.
+ */
+import { ELEMENT_COLORS, ELEMENT_TYPES } from './Element.js';
+import { observeViewbox } from './viewport.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("Minimap");
+
+/**
+ * Space kept around the drawing, as a fraction of the shown area.
+ */
+const MINIMAP_PADDING_RATIO = 0.05;
+
+/**
+ * localStorage key remembering whether the minimap is shown.
+ */
+const MINIMAP_STORAGE_KEY = 'svgjs-em-editor.minimap';
+
+/**
+ * Minimap - Overview of the whole model with a draggable view rectangle.
+ */
+export class Minimap {
+    /**
+     * Construct a Minimap.
+     * @param {SVG.Svg} canvas - The SVG canvas (with the panzoom plugin).
+     * @param {ElementManager} elementManager - Provides the elements and their extent.
+     */
+    constructor(canvas, elementManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = elementManager;
+
+        /**
+         * The minimap panel.
+         * @type {HTMLElement|null}
+         */
+        this.panel = document.getElementById('minimap');
+
+        /**
+         * The 2D canvas the overview is drawn on.
+         * @type {HTMLCanvasElement|null}
+         */
+        this.surface = document.getElementById('minimap-canvas');
+
+        /**
+         * Mapping from canvas coordinates to minimap pixels, as of the last draw.
+         * @type {{x: number, y: number, scale: number, offsetX: number, offsetY: number}|null}
+         */
+        this.transform = null;
+
+        /**
+         * Grab offset (canvas units from the view's top-left corner) while the view rectangle is dragged.
+         * @type {{x: number, y: number}|null}
+         */
+        this.grab = null;
+
+        /**
+         * Pending animation frame of a scheduled draw, or null.
+         * @type {number|null}
+         */
+        this.frame = null;
+
+        if (!this.panel || !this.surface) {
+            logger.warn("Minimap markup not found.");
+            return;
+        }
+
+        observeViewbox(canvas, () => this.scheduleDraw());
+        elementManager.changes.subscribe(() => this.scheduleDraw());
+        window.addEventListener('resize', () => this.scheduleDraw());
+        this.initEvents();
+        this.setVisible(localStorage.getItem(MINIMAP_STORAGE_KEY) !== 'hidden');
+    }
+
+    /**
+     * Wire the toggle button and the pointer interaction on the minimap.
+     */
+    initEvents() {
+        document.getElementById('toggle-minimap')?.addEventListener('click', () => {
+            this.setVisible(this.panel.style.display === 'none');
+        });
+
+        this.surface.addEventListener('mousedown', (e) => {
+            if (e.button !== 0 || !this.transform) return;
+            e.preventDefault();
+            const point = this.toCanvasPoint(e);
+            const viewbox = this.canvas.viewbox();
+            const inside = point.x >= viewbox.x && point.x <= viewbox.x + viewbox.width &&
+                point.y >= viewbox.y && point.y <= viewbox.y + viewbox.height;
+            // Outside the view rectangle: jump there (centered), then keep dragging from the center
+            this.grab = inside
+                ? { x: point.x - viewbox.x, y: point.y - viewbox.y }
+                : { x: viewbox.width / 2, y: viewbox.height / 2 };
+            this.panel.classList.add('dragging');
+            this.moveView(point);
+
+            const onMouseMove = (moveEvent) => this.moveView(this.toCanvasPoint(moveEvent));
+            const onMouseUp = () => {
+                document.removeEventListener('mousemove', onMouseMove);
+                document.removeEventListener('mouseup', onMouseUp);
+                this.grab = null;
+                this.panel.classList.remove('dragging');
+                this.scheduleDraw(); // Re-fit now that the drag is over
+            };
+            document.addEventListener('mousemove', onMouseMove);
+            document.addEventListener('mouseup', onMouseUp);
+        });
+    }
+
+    /**
+     * Show or hide the minimap, remembering the choice.
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.panel.style.display = visible ? 'block' : 'none';
+        localStorage.setItem(MINIMAP_STORAGE_KEY, visible ? 'shown' : 'hidden');
+        document.getElementById('toggle-minimap')?.classList.toggle('active', visible);
+        if (visible) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Canvas coordinates of a pointer event on the minimap.
+     * @param {MouseEvent} e
+     * @returns {{x: number, y: number}}
+     */
+    toCanvasPoint(e) {
+        const rect = this.surface.getBoundingClientRect();
+        const { x, y, scale, offsetX, offsetY } = this.transform;
+        return {
+            x: x + (e.clientX - rect.left - offsetX) / scale,
+            y: y + (e.clientY - rect.top - offsetY) / scale
+        };
+    }
+
+    /**
+     * Pan the canvas so the grabbed point of the view is at `point` (zoom is kept).
+     * @param {{x: number, y: number}} point - Canvas coordinates.
+     */
+    moveView(point) {
+        const viewbox = this.canvas.viewbox();
+        this.canvas.viewbox(point.x - this.grab.x, point.y - this.grab.y, viewbox.width, viewbox.height);
+    }
+
+    /**
+     * Draw on the next animation frame (several changes in one frame draw once).
+     */
+    scheduleDraw() {
+        if (this.frame !== null || this.panel.style.display === 'none') return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Draw the elements and the view rectangle, fitting the model and the view into the minimap.
+     */
+    draw() {
+        const width = this.surface.clientWidth;
+        const height = this.surface.clientHeight;
+        if (width === 0 || height === 0) return;
+        const ratio = window.devicePixelRatio || 1;
+        if (this.surface.width !== Math.round(width * ratio) || this.surface.height !== Math.round(height * ratio)) {
+            this.surface.width = Math.round(width * ratio);
+            this.surface.height = Math.round(height * ratio);
+        }
+        const context = this.surface.getContext('2d');
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        const viewbox = this.canvas.viewbox();
+        // While the view rectangle is dragged the scale stays put, so it follows the pointer
+        if (!this.grab) {
+            this.transform = this.computeTransform(viewbox, width, height);
+        }
+        const { x, y, scale, offsetX, offsetY } = this.transform;
+        const toMinimap = (box) => [
+            offsetX + (box.x - x) * scale,
+            offsetY + (box.y - y) * scale,
+            Math.max(1, box.width * scale),
+            Math.max(1, box.height * scale)
+        ];
+
+        // Slices first, so the elements inside them stay visible
+        const elements = this.elementManager.elements;
+        const slices = elements.filter(element => element.type === ELEMENT_TYPES.SLICE);
+        const others = elements.filter(element => element.type !== ELEMENT_TYPES.SLICE);
+        context.lineWidth = 0.5;
+        context.strokeStyle = 'rgba(0, 0, 0, 0.3)';
+        [...slices, ...others].forEach(element => {
+            const rect = toMinimap(element);
+            context.fillStyle = ELEMENT_COLORS[element.type];
+            context.fillRect(...rect);
+            context.strokeRect(...rect);
+        });
+
+        context.lineWidth = 1.5;
+        context.strokeStyle = '#1565C0';
+        context.fillStyle = 'rgba(21, 101, 192, 0.1)';
+        const view = toMinimap(viewbox);
+        context.fillRect(...view);
+        context.strokeRect(...view);
+    }
+
+    /**
+     * Scale and offset that fit the model's extent and the view into a width x height area.
+     * @param {SVG.Box} viewbox - The current view.
+     * @param {number} width - Minimap width in pixels.
+     * @param {number} height - Minimap height in pixels.
+     * @returns {{x: number, y: number, scale: number, offsetX: number, offsetY: number}}
+     */
+    computeTransform(viewbox, width, height) {
+        const extent = this.elementManager.spatialIndex.getExtent();
+        let minX = viewbox.x, minY = viewbox.y;
+        let maxX = viewbox.x + viewbox.width, maxY = viewbox.y + viewbox.height;
+        if (extent) {
+            minX = Math.min(minX, extent.x);
+            minY = Math.min(minY, extent.y);
+            maxX = Math.max(maxX, extent.x + extent.width);
+            maxY = Math.max(maxY, extent.y + extent.height);
+        }
+        const paddingX = (maxX - minX) * MINIMAP_PADDING_RATIO;
+        const paddingY = (maxY - minY) * MINIMAP_PADDING_RATIO;
+        minX -= paddingX;
+        minY -= paddingY;
+        maxX += paddingX;
+        maxY += paddingY;
+
+        const scale = Math.min(width / (maxX - minX), height / (maxY - minY));
+        return {
+            x: minX,
+            y: minY,
+            scale,
+            offsetX: (width - (maxX - minX) * scale) / 2,
+            offsetY: (height - (maxY - minY) * scale) / 2
+        };
+    }
+}
@@ -0,0 +1,136 @@
+/**
+ * ModelLinter.js
+ *
+ * Lint rules over the whole model graph, beyond the connection grammar:
+ * unnamed elements, dangling events/commands/read models, elements outside
+ * any slice and overlapping boxes.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+
+/**
+ * Severity of a lint issue.
+ * @readonly
+ * @enum {string}
+ */
+export const LINT_SEVERITIES = {
+    ERROR: 'error',
+    WARNING: 'warning',
+    INFO: 'info'
+};
+
+/**
+ * True if an element has an incoming connection from one of the given types.
+ * @param {Element} element
+ * @param {Array<string>} sourceTypes
+ * @returns {boolean}
+ */
+function hasIncomingFrom(element, sourceTypes) {
+    return element.connections.some(connection =>
+        connection.targetElement === element && sourceTypes.includes(connection.sourceElement.type)
+    );
+}
+
+/**
+ * True if an element has an outgoing connection to one of the given types.
+ * @param {Element} element
+ * @param {Array<string>} targetTypes
+ * @returns {boolean}
+ */
+function hasOutgoingTo(element, targetTypes) {
+    return element.connections.some(connection =>
+        connection.sourceElement === element && targetTypes.includes(connection.targetElement.type)
+    );
+}
+
+/**
+ * True if two boxes share interior area (touching edges do not count).
+ * @param {Element} a
+ * @param {Element} b
+ * @returns {boolean}
+ */
+function boxesOverlap(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * The lint rules. Each `check` receives the managers and returns `{element, message}` findings.
+ * @type {Array<{id: string, severity: string, description: string, check: function({elementManager: ElementManager, connectionManager: ConnectionManager}): Array<{element: Element, message: string}>}>}
+ */
+export const LINT_RULES = [
+    {
+        id: 'unnamed-element',
+        severity: LINT_SEVERITIES.WARNING,
+        description: 'Elements should be given a name',
+        check: ({ elementManager }) => elementManager.elements
+            .filter(element => {
+                const name = element.name.trim().toLowerCase();
+                return !name || name === element.type;
+            })
+            .map(element => ({ element, message: `Unnamed ${element.type}` }))
+    },
+    {
+        id: 'event-without-producer',
+        severity: LINT_SEVERITIES.WARNING,
+        description: 'Every event should be produced by a command (or an external event)',
+        check: ({ elementManager }) => elementManager.elements
+            .filter(element => element.type === ELEMENT_TYPES.EVENT &&
+                !hasIncomingFrom(element, [ELEMENT_TYPES.COMMAND, ELEMENT_TYPES.EXTERNAL_EVENT]))
+            .map(element => ({ element, message: 'Event is not produced by any command' }))
+    },
+    {
+        id: 'command-without-event',
+        severity: LINT_SEVERITIES.WARNING,
+        description: 'Every command should emit at least one event',
+        check: ({ elementManager }) => elementManager.elements
+            .filter(element => element.type === ELEMENT_TYPES.COMMAND && !hasOutgoingTo(element, [ELEMENT_TYPES.EVENT]))
+            .map(element => ({ element, message: 'Command emits no event' }))
+    },
+    {
+        id: 'unread-read-model',
+        severity: LINT_SEVERITIES.WARNING,
+        description: 'Every read model should be read by a screen or a processor',
+        check: ({ elementManager }) => elementManager.elements
+            .filter(element => element.type === ELEMENT_TYPES.READ_MODEL &&
+                !hasOutgoingTo(element, [ELEMENT_TYPES.GUI, ELEMENT_TYPES.PROCESSOR]))
+            .map(element => ({ element, message: 'Read model is not read by any screen or processor' }))
+    },
+    {
+        id: 'outside-slice',
+        severity: LINT_SEVERITIES.INFO,
+        description: 'Elements should belong to a slice',
+        check: ({ elementManager }) => elementManager.elements
+            .filter(element => element.type !== ELEMENT_TYPES.SLICE && element.type !== ELEMENT_TYPES.COMMENT &&
+                elementManager.getSlicesForElement(element).length === 0)
+            .map(element => ({ element, message: 'Element is not inside any slice' }))
+    },
+    {
+        id: 'overlapping-elements',
+        severity: LINT_SEVERITIES.WARNING,
+        description: 'Element boxes should not overlap',
+        check: ({ elementManager }) => {
+            const boxes = elementManager.elements.filter(element => element.type !== ELEMENT_TYPES.SLICE);
+            const findings = [];
+            boxes.forEach((element, index) => {
+                boxes.slice(index + 1).forEach(other => {
+                    if (boxesOverlap(element, other)) {
+                        findings.push({ element, message: `Overlaps "${other.name || other.type}"` });
+                    }
+                });
+            });
+            return findings;
+        }
+    }
+];
+
+/**
+ * Run every lint rule over the model.
+ * @param {ElementManager} elementManager
+ * @param {ConnectionManager} connectionManager
+ * @returns {Array<{ruleId: string, severity: string, element: Element, message: string}>}
+ */
+export function lintModel(elementManager, connectionManager) {
+    const context = { elementManager, connectionManager };
+    return LINT_RULES.flatMap(rule =>
+        rule.check(context).map(({ element, message }) => ({ ruleId: rule.id, severity: rule.severity, element, message }))
+    );
+}
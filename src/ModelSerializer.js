@@ -0,0 +1,289 @@
+/**
+ * ModelSerializer.js
+ *
+ * Converts the model held by ElementManager and ConnectionManager to and from
+ * a versioned JSON document (the `.emodel.json` file format).
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { CONNECTION_ROUTINGS, CONNECTION_KINDS } from './Connection.js';
+import { CYCLE_POLICIES } from './ConnectionManager.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ModelSerializer");
+
+/**
+ * Identifies a document as an Event Modeling model written by this editor.
+ */
+export const MODEL_FORMAT = 'svgjs-em-editor/model';
+
+/**
+ * Current schema version. Bump it whenever the document shape changes and
+ * register a migration from the previous version.
+ */
+export const MODEL_SCHEMA_VERSION = 7;
+
+/**
+ * Migrations keyed by the version they upgrade FROM.
+ * Each migration receives a document at version N and returns it at version N + 1.
+ * @type {Object<number, function(Object): Object>}
+ */
+const migrations = {};
+
+/**
+ * Additional top-level sections of the document, owned by other managers (e.g. lanes).
+ * @type {Map<string, {serialize: function(): *, deserialize: function(*): void}>}
+ */
+const sections = new Map();
+
+/**
+ * Register a migration that upgrades a document from `fromVersion` to `fromVersion + 1`.
+ * @param {number} fromVersion - The schema version the migration accepts.
+ * @param {function(Object): Object} migrate - Returns the upgraded document.
+ */
+export function registerMigration(fromVersion, migrate) {
+    if (!Number.isInteger(fromVersion) || typeof migrate !== 'function') {
+        throw new Error("registerMigration: expected an integer version and a function.");
+    }
+    migrations[fromVersion] = migrate;
+}
+
+/**
+ * Register an extra top-level section of the model document.
+ * `deserialize` receives the stored value (undefined if absent) and runs after the
+ * model is cleared but before elements are restored.
+ * @param {string} name - Key of the section in the document.
+ * @param {{serialize: function(): *, deserialize: function(*): void}} section
+ */
+export function registerModelSection(name, section) {
+    sections.set(name, section);
+}
+
+/**
+ * Bring a parsed document up to MODEL_SCHEMA_VERSION, running migrations in order.
+ * @param {Object} doc - Parsed model document.
+ * @returns {Object} - The document at the current schema version.
+ */
+export function migrateModel(doc) {
+    if (!doc || typeof doc !== 'object' || doc.format !== MODEL_FORMAT) {
+        throw new Error("Not an Event Modeling model document.");
+    }
+    let version = doc.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid schema version: ${version}`);
+    }
+    if (version > MODEL_SCHEMA_VERSION) {
+        throw new Error(`Model was saved by a newer editor (schema ${version}, supported ${MODEL_SCHEMA_VERSION}).`);
+    }
+    let migrated = doc;
+    while (version < MODEL_SCHEMA_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            throw new Error(`No migration registered from schema version ${version}.`);
+        }
+        logger.info(`Migrating model from schema ${version} to ${version + 1}`);
+        migrated = migrate(migrated);
+        version++;
+        migrated.schemaVersion = version;
+    }
+    return migrated;
+}
+
+/**
+ * Build the plain record stored for an element.
+ * @param {Element} element
+ * @returns {{id: string, type: string, x: number, y: number, width: number, height: number, name: string, laneId: string|null, attributes: Array<{name: string, type: string}>, scenarios: Array<Object>}}
+ */
+export function serializeElement(element) {
+    return {
+        id: element.id,
+        type: element.type,
+        x: element.x,
+        y: element.y,
+        width: element.width,
+        height: element.height,
+        name: element.name,
+        laneId: element.laneId ?? null,
+        attributes: element.attributes.map(attribute => ({ ...attribute })),
+        scenarios: element.scenarios.map(scenario => ({ ...scenario, given: [...scenario.given], then: [...scenario.then] }))
+    };
+}
+
+/**
+ * Build the plain record stored for a connection.
+ * @param {Connection} connection
+ * @returns {{id: string, sourceId: string, targetId: string, label: string, kind: string, routing: string|null, waypoints: Array<{x: number, y: number}>, sourceSide: string|null, targetSide: string|null}}
+ */
+export function serializeConnection(connection) {
+    return {
+        id: connection.id,
+        sourceId: connection.sourceElement.id,
+        targetId: connection.targetElement.id,
+        label: connection.label,
+        kind: connection.kind,
+        routing: connection.routing ?? null,
+        waypoints: connection.waypoints.map(point => ({ ...point })),
+        sourceSide: connection.sourceSide ?? null,
+        targetSide: connection.targetSide ?? null
+    };
+}
+
+/**
+ * Serialize the whole model into a JSON-ready document.
+ * @param {ElementManager} elementManager
+ * @param {ConnectionManager} connectionManager
+ * @returns {Object} - The model document.
+ */
+export function serializeModel(elementManager, connectionManager) {
+    const doc = {
+        format: MODEL_FORMAT,
+        schemaVersion: MODEL_SCHEMA_VERSION,
+        savedAt: new Date().toISOString(),
+        elements: elementManager.elements.map(serializeElement),
+        connections: connectionManager.connections.map(serializeConnection),
+        connectionRules: connectionManager.rules.getOverrides(),
+        connectionPolicy: {
+            cycles: connectionManager.cyclePolicy,
+            allowParallel: connectionManager.allowParallelConnections,
+            routing: connectionManager.defaultRouting
+        }
+    };
+    sections.forEach((section, name) => {
+        doc[name] = section.serialize();
+    });
+    return doc;
+}
+
+/**
+ * Re-create an element (including its SVG) from a stored record.
+ * @param {ElementManager} elementManager
+ * @param {Object} record - As produced by serializeElement.
+ * @returns {Element|null}
+ */
+export function restoreElement(elementManager, record) {
+    if (!Object.values(ELEMENT_TYPES).includes(record?.type)) {
+        logger.warn("Skipping element with unknown type:", record);
+        return null;
+    }
+    // The lane is not restored from the record: LaneManager assigns it from the position
+    return elementManager.createElement(record.type, Number(record.x) || 0, Number(record.y) || 0, record.name || '', {
+        id: record.id,
+        width: record.width,
+        height: record.height,
+        attributes: Array.isArray(record.attributes) ? record.attributes : [],
+        scenarios: Array.isArray(record.scenarios) ? record.scenarios : [],
+        avoidCollision: false
+    });
+}
+
+/**
+ * Re-create a connection (including its SVG) from a stored record.
+ * @param {ElementManager} elementManager
+ * @param {ConnectionManager} connectionManager
+ * @param {Object} record - As produced by serializeConnection.
+ * @returns {Connection|null}
+ */
+export function restoreConnection(elementManager, connectionManager, record) {
+    const source = elementManager.getElementById(record?.sourceId);
+    const target = elementManager.getElementById(record?.targetId);
+    if (!source || !target) {
+        logger.warn("Skipping connection with missing endpoint:", record);
+        return null;
+    }
+    // Restored connections reproduce saved state, so they bypass the connection rules
+    const routing = Object.values(CONNECTION_ROUTINGS).includes(record.routing) ? record.routing : null;
+    return connectionManager.createConnection(source, target, {
+        id: record.id,
+        skipValidation: true,
+        routing,
+        waypoints: Array.isArray(record.waypoints) ? record.waypoints : [],
+        sourceSide: record.sourceSide ?? null,
+        targetSide: record.targetSide ?? null,
+        label: typeof record.label === 'string' ? record.label : '',
+        kind: record.kind ?? CONNECTION_KINDS.FLOW
+    });
+}
+
+/**
+ * Replace the current model with the contents of a document.
+ * @param {Object} doc - Parsed model document (any supported schema version).
+ * @param {ElementManager} elementManager
+ * @param {ConnectionManager} connectionManager
+ * @returns {{elements: number, connections: number}} - Counts of restored items.
+ */
+export function deserializeModel(doc, elementManager, connectionManager) {
+    const model = migrateModel(doc);
+    if (!Array.isArray(model.elements) || !Array.isArray(model.connections)) {
+        throw new Error("Model document is missing its elements or connections list.");
+    }
+
+    connectionManager.cancelConnection();
+    elementManager.clear();
+    connectionManager.setRuleOverrides(model.connectionRules || {});
+    connectionManager.setCyclePolicy(model.connectionPolicy?.cycles || CYCLE_POLICIES.WARN);
+    connectionManager.setAllowParallelConnections(model.connectionPolicy?.allowParallel ?? false);
+    connectionManager.setDefaultRouting(model.connectionPolicy?.routing || CONNECTION_ROUTINGS.CURVED);
+    sections.forEach((section, name) => section.deserialize(model[name]));
+
+    const elements = model.elements.map(record => restoreElement(elementManager, record)).filter(Boolean);
+    const connections = model.connections
+        .map(record => restoreConnection(elementManager, connectionManager, record))
+        .filter(Boolean);
+
+    logger.info(`Loaded ${elements.length} elements and ${connections.length} connections`);
+    return { elements: elements.length, connections: connections.length };
+}
+
+// --- Schema migrations ---
+
+// v1 -> v2: lanes were introduced. `null` tells the lane manager to create its defaults.
+registerMigration(1, doc => ({ ...doc, lanes: null }));
+
+// v2 -> v3: elements gained typed attributes.
+registerMigration(2, doc => ({
+    ...doc,
+    elements: Array.isArray(doc.elements)
+        ? doc.elements.map(element => ({ ...element, attributes: element.attributes ?? [] }))
+        : doc.elements
+}));
+
+// v3 -> v4: slices gained Given/When/Then scenarios.
+registerMigration(3, doc => ({
+    ...doc,
+    elements: Array.isArray(doc.elements)
+        ? doc.elements.map(element => ({ ...element, scenarios: element.scenarios ?? [] }))
+        : doc.elements
+}));
+
+// v4 -> v5: connections can be routed orthogonally, per connection or by default.
+registerMigration(4, doc => ({
+    ...doc,
+    connections: Array.isArray(doc.connections)
+        ? doc.connections.map(connection => ({ ...connection, routing: connection.routing ?? null }))
+        : doc.connections,
+    connectionPolicy: { ...doc.connectionPolicy, routing: doc.connectionPolicy?.routing ?? CONNECTION_ROUTINGS.CURVED }
+}));
+
+// v5 -> v6: connections gained bend points and pinned anchor sides.
+registerMigration(5, doc => ({
+    ...doc,
+    connections: Array.isArray(doc.connections)
+        ? doc.connections.map(connection => ({
+            ...connection,
+            waypoints: connection.waypoints ?? [],
+            sourceSide: connection.sourceSide ?? null,
+            targetSide: connection.targetSide ?? null
+        }))
+        : doc.connections
+}));
+
+// v6 -> v7: connections gained a label and a kind.
+registerMigration(6, doc => ({
+    ...doc,
+    connections: Array.isArray(doc.connections)
+        ? doc.connections.map(connection => ({
+            ...connection,
+            label: connection.label ?? '',
+            kind: connection.kind ?? CONNECTION_KINDS.FLOW
+        }))
+        : doc.connections
+}));
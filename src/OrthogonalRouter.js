@@ -0,0 +1,289 @@
+/**
+ * OrthogonalRouter.js
+ *
+ * Orthogonal (Manhattan) connection routing around element boxes.
+ * Builds a sparse grid from the obstacle edges around the two endpoints and
+ * searches it for the shortest route with the fewest bends, then draws the
+ * route with rounded corners.
+ */
+
+/**
+ * Clearance kept between a route and the boxes it avoids.
+ */
+const OBSTACLE_MARGIN = 12;
+
+/**
+ * Length of the straight segment leaving/entering an element side.
+ */
+const STUB_LENGTH = 24;
+
+/**
+ * Extra space around the endpoints searched for a detour.
+ */
+const SEARCH_MARGIN = 240;
+
+/**
+ * How far beyond its stops (endpoints and bend points) a route may run;
+ * obstacles farther away never affect it.
+ */
+export const ROUTING_REACH = SEARCH_MARGIN + STUB_LENGTH + OBSTACLE_MARGIN;
+
+/**
+ * Cost of one bend, in units of route length.
+ */
+const BEND_PENALTY = 40;
+
+/**
+ * Default radius of the rounded corners.
+ */
+export const CORNER_RADIUS = 8;
+
+/**
+ * Unit direction leaving each element side.
+ */
+const SIDE_DIRECTIONS = {
+    top: { x: 0, y: -1 },
+    right: { x: 1, y: 0 },
+    bottom: { x: 0, y: 1 },
+    left: { x: -1, y: 0 }
+};
+
+/**
+ * Minimal binary heap keyed by `cost`.
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].cost <= items[i].cost) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].cost < items[smallest].cost) smallest = left;
+                if (right < items.length && items[right].cost < items[smallest].cost) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+/**
+ * Point one stub length away from an endpoint, in the direction of its side
+ * (the point itself for a bend point, which has no side).
+ * @param {{x: number, y: number, side?: string}} point
+ * @returns {{x: number, y: number}}
+ */
+function stubPoint(point) {
+    const direction = SIDE_DIRECTIONS[point.side] || { x: 0, y: 0 };
+    return { x: point.x + direction.x * STUB_LENGTH, y: point.y + direction.y * STUB_LENGTH };
+}
+
+/**
+ * Drop points that do not change the direction of the route (reversals are kept).
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {Array<{x: number, y: number}>}
+ */
+function simplify(points) {
+    const result = [];
+    points.forEach(point => {
+        const last = result[result.length - 1];
+        if (last && last.x === point.x && last.y === point.y) return;
+        if (result.length >= 2) {
+            const before = result[result.length - 2];
+            const straight = (before.x === last.x && last.x === point.x) || (before.y === last.y && last.y === point.y);
+            const forward = (last.x - before.x) * (point.x - last.x) + (last.y - before.y) * (point.y - last.y) > 0;
+            if (straight && forward) {
+                result[result.length - 1] = point;
+                return;
+            }
+        }
+        result.push(point);
+    });
+    return result;
+}
+
+/**
+ * A simple route with one or two bends, used when the search finds nothing.
+ * @param {{x: number, y: number}} start
+ * @param {{x: number, y: number}} end
+ * @param {string} side - Side the route leaves from.
+ * @returns {Array<{x: number, y: number}>}
+ */
+function fallbackRoute(start, end, side) {
+    if (side === 'left' || side === 'right') {
+        const midX = (start.x + end.x) / 2;
+        return [start, { x: midX, y: start.y }, { x: midX, y: end.y }, end];
+    }
+    const midY = (start.y + end.y) / 2;
+    return [start, { x: start.x, y: midY }, { x: end.x, y: midY }, end];
+}
+
+/**
+ * Compute an orthogonal route between two element sides avoiding the obstacles.
+ * Either end may also be a free point without a side (a bend point).
+ * @param {{x: number, y: number, side?: string}} source - Start point on the source element's side.
+ * @param {{x: number, y: number, side?: string}} target - End point on the target element's side.
+ * @param {Array<{x: number, y: number, width: number, height: number}>} obstacles - Boxes to avoid (including both endpoints' elements).
+ * @returns {Array<{x: number, y: number}>} - Route corner points, from source to target.
+ */
+export function routeOrthogonal(source, target, obstacles) {
+    const start = stubPoint(source);
+    const end = stubPoint(target);
+
+    // Only consider the neighbourhood of the endpoints
+    const area = {
+        minX: Math.min(start.x, end.x) - SEARCH_MARGIN,
+        minY: Math.min(start.y, end.y) - SEARCH_MARGIN,
+        maxX: Math.max(start.x, end.x) + SEARCH_MARGIN,
+        maxY: Math.max(start.y, end.y) + SEARCH_MARGIN
+    };
+    const boxes = obstacles
+        .map(box => ({
+            minX: box.x - OBSTACLE_MARGIN,
+            minY: box.y - OBSTACLE_MARGIN,
+            maxX: box.x + box.width + OBSTACLE_MARGIN,
+            maxY: box.y + box.height + OBSTACLE_MARGIN
+        }))
+        .filter(box => box.maxX > area.minX && box.minX < area.maxX && box.maxY > area.minY && box.minY < area.maxY);
+    const blocked = (x, y) => boxes.some(box => x > box.minX && x < box.maxX && y > box.minY && y < box.maxY);
+
+    // Grid lines: endpoint stubs, obstacle edges, the midway lines and the search border
+    const xs = new Set([start.x, end.x, (start.x + end.x) / 2, area.minX, area.maxX]);
+    const ys = new Set([start.y, end.y, (start.y + end.y) / 2, area.minY, area.maxY]);
+    boxes.forEach(box => {
+        xs.add(box.minX); xs.add(box.maxX);
+        ys.add(box.minY); ys.add(box.maxY);
+    });
+    const gridX = [...xs].filter(x => x >= area.minX && x <= area.maxX).sort((a, b) => a - b);
+    const gridY = [...ys].filter(y => y >= area.minY && y <= area.maxY).sort((a, b) => a - b);
+
+    const startIndex = { i: gridX.indexOf(start.x), j: gridY.indexOf(start.y) };
+    const endIndex = { i: gridX.indexOf(end.x), j: gridY.indexOf(end.y) };
+    const width = gridX.length;
+    const key = (i, j, direction) => (j * width + i) * 4 + direction;
+    // Directions: 0 right, 1 down, 2 left, 3 up
+    const steps = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+    const initialDirection = { right: 0, bottom: 1, left: 2, top: 3 }[source.side] ?? -1; // -1: leave in any direction
+    const finalDirection = { right: 2, bottom: 3, left: 0, top: 1 }[target.side]; // Arrive moving into the target
+
+    const best = new Map();
+    const previous = new Map();
+    const heap = new MinHeap();
+    const heuristic = (i, j) => Math.abs(gridX[i] - end.x) + Math.abs(gridY[j] - end.y);
+    const startKey = key(startIndex.i, startIndex.j, Math.max(initialDirection, 0));
+    best.set(startKey, 0);
+    heap.push({ cost: heuristic(startIndex.i, startIndex.j), length: 0, i: startIndex.i, j: startIndex.j, direction: initialDirection, key: startKey });
+
+    let found = null;
+    while (heap.size > 0) {
+        const node = heap.pop();
+        if (node.length > best.get(node.key)) continue;
+        if (node.i === endIndex.i && node.j === endIndex.j) {
+            found = node;
+            break;
+        }
+        steps.forEach(([di, dj], direction) => {
+            if (node.direction >= 0 && Math.abs(direction - node.direction) === 2) return; // No U-turns
+            const i = node.i + di;
+            const j = node.j + dj;
+            if (i < 0 || j < 0 || i >= width || j >= gridY.length) return;
+            const x = gridX[i];
+            const y = gridY[j];
+            // Consecutive grid lines: the segment is free if its ends and middle are
+            if (blocked(x, y) || blocked((x + gridX[node.i]) / 2, (y + gridY[node.j]) / 2)) return;
+            const arrivingBend = i === endIndex.i && j === endIndex.j && finalDirection !== undefined && direction !== finalDirection;
+            const bends = (node.direction >= 0 && direction !== node.direction ? 1 : 0) + (arrivingBend ? 1 : 0);
+            const length = node.length + Math.abs(x - gridX[node.i]) + Math.abs(y - gridY[node.j]) + bends * BEND_PENALTY;
+            const nextKey = key(i, j, direction);
+            if (length >= (best.get(nextKey) ?? Infinity)) return;
+            best.set(nextKey, length);
+            previous.set(nextKey, node.key);
+            heap.push({ cost: length + heuristic(i, j), length, i, j, direction, key: nextKey });
+        });
+    }
+
+    let middle;
+    if (found) {
+        middle = [];
+        for (let current = found.key; current !== undefined; current = previous.get(current)) {
+            const cell = Math.floor(current / 4);
+            middle.unshift({ x: gridX[cell % width], y: gridY[Math.floor(cell / width)] });
+        }
+    } else {
+        middle = fallbackRoute(start, end, source.side);
+    }
+    return simplify([{ x: source.x, y: source.y }, ...middle, { x: target.x, y: target.y }]);
+}
+
+/**
+ * Compute an orthogonal route that passes through the given bend points, leg by leg.
+ * @param {{x: number, y: number, side: string}} source - Start point on the source element's side.
+ * @param {Array<{x: number, y: number}>} waypoints - Bend points to pass through, in order.
+ * @param {{x: number, y: number, side: string}} target - End point on the target element's side.
+ * @param {Array<{x: number, y: number, width: number, height: number}>} obstacles - Boxes to avoid.
+ * @returns {Array<{x: number, y: number}>} - Route corner points, from source to target.
+ */
+export function routeOrthogonalVia(source, waypoints, target, obstacles) {
+    const stops = [source, ...waypoints.map(({ x, y }) => ({ x, y })), target];
+    const points = [];
+    for (let k = 0; k < stops.length - 1; k++) {
+        points.push(...routeOrthogonal(stops[k], stops[k + 1], obstacles));
+    }
+    return simplify(points);
+}
+
+/**
+ * SVG path data for a polyline with rounded corners.
+ * @param {Array<{x: number, y: number}>} points
+ * @param {number} [radius=CORNER_RADIUS]
+ * @returns {string}
+ */
+export function roundedPathData(points, radius = CORNER_RADIUS) {
+    if (points.length === 0) return '';
+    const parts = [`M ${points[0].x} ${points[0].y}`];
+    for (let k = 1; k < points.length - 1; k++) {
+        const prev = points[k - 1];
+        const corner = points[k];
+        const next = points[k + 1];
+        const inLength = Math.hypot(corner.x - prev.x, corner.y - prev.y);
+        const outLength = Math.hypot(next.x - corner.x, next.y - corner.y);
+        const r = Math.min(radius, inLength / 2, outLength / 2);
+        if (r <= 0) {
+            parts.push(`L ${corner.x} ${corner.y}`);
+            continue;
+        }
+        const before = { x: corner.x - (corner.x - prev.x) / inLength * r, y: corner.y - (corner.y - prev.y) / inLength * r };
+        const after = { x: corner.x + (next.x - corner.x) / outLength * r, y: corner.y + (next.y - corner.y) / outLength * r };
+        parts.push(`L ${before.x} ${before.y}`, `Q ${corner.x} ${corner.y} ${after.x} ${after.y}`);
+    }
+    const last = points[points.length - 1];
+    parts.push(`L ${last.x} ${last.y}`);
+    return parts.join(' ');
+}
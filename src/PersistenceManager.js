@@ -0,0 +1,297 @@
+/**
+ * PersistenceManager.js
+ *
+ * Defines the PersistenceManager class, which saves the model to and opens it
+ * from `.emodel.json` files via the toolbar, and autosaves it to localStorage
+ * for crash recovery.
+ */
+import { serializeModel, deserializeModel } from './ModelSerializer.js';
+import { ErrorHandler } from './ErrorHandler.js';
+import { downloadBlob } from './download.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("PersistenceManager");
+
+/**
+ * File extension used for saved models.
+ */
+export const MODEL_FILE_EXTENSION = '.emodel.json';
+
+/**
+ * Default file name offered when saving.
+ */
+const DEFAULT_FILE_NAME = `model${MODEL_FILE_EXTENSION}`;
+
+/**
+ * localStorage key holding the ring of autosave snapshots.
+ */
+const AUTOSAVE_STORAGE_KEY = 'svgjs-em-editor.autosave';
+
+/**
+ * Quiet period after the last change before an autosave is written.
+ */
+const AUTOSAVE_DELAY_MS = 1000;
+
+/**
+ * Number of snapshots kept in the ring (oldest are dropped first).
+ */
+const AUTOSAVE_RING_SIZE = 8;
+
+/**
+ * Age after which the current session starts a fresh ring slot, so that a long
+ * session still leaves earlier states to go back to.
+ */
+const AUTOSAVE_SLOT_MAX_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * PersistenceManager - Handles saving/opening model files and autosave snapshots.
+ */
+export class PersistenceManager {
+    /**
+     * Construct a PersistenceManager.
+     * @param {ElementManager} elementManager - The element manager.
+     * @param {ConnectionManager} connectionManager - The connection manager.
+     * @param {HistoryManager|null} [historyManager] - Cleared whenever a model is loaded.
+     */
+    constructor(elementManager, connectionManager, historyManager = null) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = elementManager;
+
+        /**
+         * Reference to the connection manager.
+         * @type {ConnectionManager}
+         */
+        this.connectionManager = connectionManager;
+
+        /**
+         * Undo history, cleared when another model replaces the current one.
+         * @type {HistoryManager|null}
+         */
+        this.historyManager = historyManager;
+
+        /**
+         * Name of the last file opened or saved, reused for the next save.
+         * @type {string}
+         */
+        this.fileName = DEFAULT_FILE_NAME;
+
+        /**
+         * Pending debounced autosave timer.
+         * @type {number|null}
+         */
+        this.autosaveTimeout = null;
+
+        /**
+         * Id of the ring slot this session currently writes to (null until the first save).
+         * @type {string|null}
+         */
+        this.autosaveSlotId = null;
+
+        /**
+         * Time the current ring slot was started.
+         * @type {number}
+         */
+        this.autosaveSlotStartedAt = 0;
+
+        this.initEvents();
+        this.initAutosave();
+    }
+
+    /**
+     * Wire the toolbar Save/Open buttons and the hidden file input.
+     */
+    initEvents() {
+        document.getElementById('save-model')?.addEventListener('click', () => {
+            logger.info(">save-model on click");
+            this.saveToFile();
+        });
+
+        const fileInput = document.getElementById('open-model-input');
+        document.getElementById('open-model')?.addEventListener('click', () => {
+            logger.info(">open-model on click");
+            fileInput?.click();
+        });
+        fileInput?.addEventListener('change', () => {
+            const file = fileInput.files?.[0];
+            if (file) {
+                this.openFile(file);
+            }
+            fileInput.value = ''; // Allow re-opening the same file
+        });
+    }
+
+    /**
+     * Subscribe to model changes and flush pending autosaves when the page goes away.
+     */
+    initAutosave() {
+        const scheduleAutosave = () => this.scheduleAutosave();
+        this.elementManager.changes.subscribe(scheduleAutosave);
+        this.connectionManager.changes.subscribe(scheduleAutosave);
+
+        window.addEventListener('pagehide', () => {
+            if (this.autosaveTimeout) {
+                this.autosave();
+            }
+        });
+    }
+
+    /**
+     * (Re)start the debounce timer for the next autosave.
+     */
+    scheduleAutosave() {
+        if (this.autosaveTimeout) {
+            clearTimeout(this.autosaveTimeout);
+        }
+        this.autosaveTimeout = setTimeout(() => this.autosave(), AUTOSAVE_DELAY_MS);
+    }
+
+    /**
+     * Write the current model into this session's ring slot in localStorage.
+     */
+    autosave() {
+        if (this.autosaveTimeout) {
+            clearTimeout(this.autosaveTimeout);
+            this.autosaveTimeout = null;
+        }
+        const now = Date.now();
+        if (!this.autosaveSlotId || now - this.autosaveSlotStartedAt > AUTOSAVE_SLOT_MAX_AGE_MS) {
+            this.autosaveSlotId = `snapshot-${now}`;
+            this.autosaveSlotStartedAt = now;
+        }
+
+        const snapshot = {
+            id: this.autosaveSlotId,
+            savedAt: new Date(now).toISOString(),
+            elementCount: this.elementManager.elements.length,
+            model: serializeModel(this.elementManager, this.connectionManager)
+        };
+        const ring = this.readSnapshots().filter(entry => entry.id !== snapshot.id);
+        ring.unshift(snapshot);
+        this.writeSnapshots(ring.slice(0, AUTOSAVE_RING_SIZE));
+    }
+
+    /**
+     * Read the autosave ring, newest first.
+     * @returns {Array<{id: string, savedAt: string, elementCount: number, model: Object}>}
+     */
+    readSnapshots() {
+        try {
+            const ring = JSON.parse(localStorage.getItem(AUTOSAVE_STORAGE_KEY) || '[]');
+            return Array.isArray(ring) ? ring : [];
+        } catch (error) {
+            logger.warn("Discarding unreadable autosave data:", error);
+            return [];
+        }
+    }
+
+    /**
+     * Store the autosave ring, dropping the oldest snapshots if the storage quota is exceeded.
+     * @param {Array<Object>} ring - Snapshots, newest first.
+     */
+    writeSnapshots(ring) {
+        let entries = ring;
+        while (entries.length > 0) {
+            try {
+                localStorage.setItem(AUTOSAVE_STORAGE_KEY, JSON.stringify(entries));
+                return;
+            } catch (error) {
+                logger.warn(`Autosave did not fit with ${entries.length} snapshots, dropping the oldest.`, error);
+                entries = entries.slice(0, -1);
+            }
+        }
+        logger.error("Autosave failed: the current model does not fit into localStorage.");
+    }
+
+    /**
+     * If earlier sessions left snapshots behind, show the restore dialog listing them.
+     */
+    offerRestore() {
+        const snapshots = this.readSnapshots().filter(entry => entry.elementCount > 0);
+        const dialog = document.getElementById('restore-dialog');
+        const list = document.getElementById('restore-list');
+        if (snapshots.length === 0 || !dialog || !list) {
+            return;
+        }
+
+        list.replaceChildren();
+        snapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'restore-item';
+            button.textContent = `${new Date(snapshot.savedAt).toLocaleString()} — ${snapshot.elementCount} elements`;
+            button.addEventListener('click', () => {
+                dialog.style.display = 'none';
+                this.restoreSnapshot(snapshot);
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+
+        document.getElementById('restore-dismiss')?.addEventListener('click', () => {
+            dialog.style.display = 'none';
+        }, { once: true });
+        dialog.style.display = 'flex';
+    }
+
+    /**
+     * Replace the current model with an autosave snapshot.
+     * @param {{model: Object, savedAt: string}} snapshot
+     * @returns {boolean} - True if the snapshot was restored.
+     */
+    restoreSnapshot(snapshot) {
+        try {
+            this.resetInteractionState();
+            deserializeModel(snapshot.model, this.elementManager, this.connectionManager);
+            this.historyManager?.clear();
+            return true;
+        } catch (error) {
+            ErrorHandler.handle(error, "PersistenceManager.restoreSnapshot", `Could not restore the session from ${snapshot.savedAt}: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Download the current model as a `.emodel.json` file.
+     * @param {string} [fileName] - Name for the downloaded file.
+     */
+    saveToFile(fileName = this.fileName) {
+        const doc = serializeModel(this.elementManager, this.connectionManager);
+        downloadBlob(new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' }), fileName);
+
+        this.fileName = fileName;
+    }
+
+    /**
+     * Read a model file chosen by the user and replace the current model with it.
+     * @param {File} file - The uploaded file.
+     * @returns {Promise<boolean>} - True if the model was loaded.
+     */
+    async openFile(file) {
+        try {
+            const doc = JSON.parse(await file.text());
+            this.resetInteractionState();
+            deserializeModel(doc, this.elementManager, this.connectionManager);
+            this.historyManager?.clear();
+            this.fileName = file.name.endsWith(MODEL_FILE_EXTENSION) ? file.name : DEFAULT_FILE_NAME;
+            return true;
+        } catch (error) {
+            ErrorHandler.handle(error, "PersistenceManager.openFile", `Could not open "${file.name}": ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Finish any edit and clear selection so no UI state points at removed elements.
+     */
+    resetInteractionState() {
+        const interactionManager = this.elementManager.interactionManager;
+        if (!interactionManager) return;
+        interactionManager.cancelInlineEdit(false);
+        interactionManager.selectElement(null);
+        interactionManager.hideAllContextMenus();
+    }
+}
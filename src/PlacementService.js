@@ -0,0 +1,127 @@
+/**
+ * PlacementService.js
+ *
+ * Defines the PlacementService class: finds collision-free positions for
+ * elements, using the element manager's spatial index. Used when an element
+ * is created on top of another one and when a drag ends on top of another
+ * element (the element is pushed to the nearest free spot, or snapped back
+ * when that spot is too far away).
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("PlacementService");
+
+/**
+ * Distance between candidate positions. Matches the grid spacing, so elements
+ * placed on the grid stay on it.
+ */
+const PLACEMENT_STEP = 20;
+
+/**
+ * Space kept free around a placed element.
+ */
+const PLACEMENT_GAP = 10;
+
+/**
+ * Number of candidate rings searched around the requested position before giving up.
+ */
+const MAX_SEARCH_RINGS = 100;
+
+/**
+ * How far (in canvas units) a dropped element may be pushed; beyond that it snaps back.
+ */
+const MAX_PUSH_DISTANCE = 160;
+
+/**
+ * PlacementService - Nearest collision-free positions for elements.
+ */
+export class PlacementService {
+    /**
+     * Construct a PlacementService.
+     * @param {ElementManager} elementManager - Provides the elements and their spatial index.
+     */
+    constructor(elementManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = elementManager;
+    }
+
+    /**
+     * Whether an element placed at (x, y) would overlap (or come closer than `gap` to)
+     * a non-slice element. Slices never collide.
+     * @param {Element} element - The element to place.
+     * @param {number} x - Candidate left edge.
+     * @param {number} y - Candidate top edge.
+     * @param {Set<Element>} [ignore] - Elements not counted as obstacles (the element itself is always ignored).
+     * @param {number} [gap=0] - Clearance required around the element.
+     * @returns {boolean}
+     */
+    collidesAt(element, x, y, ignore = new Set(), gap = 0) {
+        if (element.type === ELEMENT_TYPES.SLICE) return false;
+        const box = { x: x - gap, y: y - gap, width: element.width + 2 * gap, height: element.height + 2 * gap };
+        return this.elementManager.spatialIndex.search(box).some(other =>
+            other !== element && other.type !== ELEMENT_TYPES.SLICE && !ignore.has(other));
+    }
+
+    /**
+     * Nearest position to (x, y) where the element overlaps nothing, searched on
+     * growing square rings of candidates. If nothing is free within reach, the
+     * element goes right of everything on the board.
+     * @param {Element} element - The element to place (its size is used).
+     * @param {number} [x=element.x] - Requested left edge.
+     * @param {number} [y=element.y] - Requested top edge.
+     * @param {Set<Element>} [ignore] - Elements not counted as obstacles.
+     * @returns {{x: number, y: number}}
+     */
+    findFreeSpot(element, x = element.x, y = element.y, ignore = new Set()) {
+        if (!this.collidesAt(element, x, y, ignore)) {
+            return { x, y };
+        }
+        let best = null;
+        let bestDistance = Infinity;
+        for (let ring = 1; ring <= MAX_SEARCH_RINGS; ring++) {
+            // Candidates on ring r are at least r steps away: nothing closer remains
+            if (ring * PLACEMENT_STEP > bestDistance) break;
+            for (let i = -ring; i <= ring; i++) {
+                const offsets = Math.abs(i) === ring
+                    ? Array.from({ length: 2 * ring + 1 }, (_, j) => [i, j - ring])
+                    : [[i, -ring], [i, ring]];
+                offsets.forEach(([col, row]) => {
+                    const candidateX = x + col * PLACEMENT_STEP;
+                    const candidateY = y + row * PLACEMENT_STEP;
+                    const distance = Math.hypot(candidateX - x, candidateY - y);
+                    if (distance < bestDistance && !this.collidesAt(element, candidateX, candidateY, ignore, PLACEMENT_GAP)) {
+                        best = { x: candidateX, y: candidateY };
+                        bestDistance = distance;
+                    }
+                });
+            }
+        }
+        if (best) {
+            return best;
+        }
+
+        const extent = this.elementManager.spatialIndex.getExtent();
+        logger.warn(`No free spot near (${x}, ${y}) for ${element.id}; placing it right of the board.`);
+        return { x: extent ? Math.ceil((extent.x + extent.width + PLACEMENT_GAP) / PLACEMENT_STEP) * PLACEMENT_STEP : x, y };
+    }
+
+    /**
+     * Where an element dropped on top of others should end up: the nearest free
+     * spot if it is close, otherwise back where the drag started.
+     * @param {Element} element - The dropped element (at its drop position).
+     * @param {{x: number, y: number}} startPosition - Position at drag start.
+     * @returns {{x: number, y: number}} - The drop position itself when it is free.
+     */
+    resolveDrop(element, startPosition) {
+        const spot = this.findFreeSpot(element);
+        if (Math.hypot(spot.x - element.x, spot.y - element.y) <= MAX_PUSH_DISTANCE) {
+            return spot;
+        }
+        return { x: startPosition.x, y: startPosition.y };
+    }
+}
@@ -0,0 +1,256 @@
+/**
+ * PropertiesPanel.js
+ *
+ * Defines the PropertiesPanel class: a side panel, opened from the element
+ * context menu (🔧), for editing an element's name and its list of typed
+ * attributes (command/event fields, read model columns).
+ */
+import { ATTRIBUTE_TYPES, ELEMENT_TYPES } from './Element.js';
+import { CHANGE_TYPES } from './ChangeNotifier.js';
+import { RenameElementCommand, UpdateAttributesCommand } from './Commands.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("PropertiesPanel");
+
+/**
+ * PropertiesPanel - Edits the properties of one element at a time.
+ */
+export class PropertiesPanel {
+    /**
+     * Construct a PropertiesPanel.
+     * @param {InteractionManager} interactionManager - Provides selection, managers and history.
+     */
+    constructor(interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = interactionManager.elementManager;
+
+        /**
+         * The panel element.
+         * @type {HTMLElement|null}
+         */
+        this.panel = document.getElementById('properties-panel');
+
+        /**
+         * Element shown in the panel, or null when closed.
+         * @type {Element|null}
+         */
+        this.element = null;
+
+        const typeList = document.getElementById('attribute-types');
+        if (typeList) {
+            typeList.innerHTML = ATTRIBUTE_TYPES.map(type => `<option value="${type}"></option>`).join('');
+        }
+
+        this.initEvents();
+    }
+
+    /**
+     * Wire the context menu entry, the panel controls, and model/selection changes.
+     */
+    initEvents() {
+        document.getElementById('ctx-el-edit')?.addEventListener('click', () => {
+            logger.info(">ctx-el-edit on click");
+            const element = this.interactionManager.selectedElement;
+            this.interactionManager.hideAllContextMenus();
+            if (element) {
+                this.open(element);
+            }
+        });
+        document.getElementById('properties-close')?.addEventListener('click', () => this.close());
+        document.getElementById('properties-add-attribute')?.addEventListener('click', () => this.addAttribute());
+        document.getElementById('properties-name')?.addEventListener('change', (e) => this.rename(e.target.value));
+
+        // Follow the selection while open
+        this.interactionManager.selectionChanges.subscribe(({ elements }) => {
+            if (this.element && elements.length === 1 && elements[0] !== this.element) {
+                this.open(elements[0]);
+            }
+        });
+
+        this.elementManager.changes.subscribe(change => {
+            if (!this.element) return;
+            if (change.type === CHANGE_TYPES.ELEMENT_REMOVED && change.element === this.element) {
+                this.close();
+            } else if (change.type === CHANGE_TYPES.ELEMENT_UPDATED && change.element === this.element) {
+                // Don't rebuild the inputs under the user's cursor
+                if (!this.panel?.contains(document.activeElement)) {
+                    this.render();
+                }
+            }
+        });
+    }
+
+    /**
+     * Show the panel for an element.
+     * @param {Element} element
+     */
+    open(element) {
+        if (!this.panel) return;
+        this.element = element;
+        this.render();
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Hide the panel.
+     */
+    close() {
+        this.element = null;
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Fill the panel from the current element.
+     */
+    render() {
+        const element = this.element;
+        if (!element) return;
+        const nameInput = document.getElementById('properties-name');
+        if (nameInput) nameInput.value = element.name;
+        const typeLabel = document.getElementById('properties-type');
+        if (typeLabel) typeLabel.textContent = element.type;
+
+        // Slices are containers; they have no fields
+        const attributesSection = document.getElementById('properties-attributes-section');
+        if (attributesSection) {
+            attributesSection.style.display = element.type === ELEMENT_TYPES.SLICE ? 'none' : '';
+        }
+
+        const list = document.getElementById('properties-attributes');
+        if (!list) return;
+        list.innerHTML = '';
+        element.attributes.forEach((attribute, index) => {
+            list.appendChild(this.createAttributeRow(attribute, index));
+        });
+    }
+
+    /**
+     * Build the inputs and buttons for one attribute.
+     * @param {{name: string, type: string}} attribute
+     * @param {number} index - Position in the attribute list.
+     * @returns {HTMLElement}
+     */
+    createAttributeRow(attribute, index) {
+        const row = document.createElement('div');
+        row.className = 'attribute-row';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'attribute-name';
+        nameInput.value = attribute.name;
+        nameInput.placeholder = 'name';
+        nameInput.addEventListener('change', () => this.updateAttribute(index, { name: nameInput.value }));
+
+        const typeInput = document.createElement('input');
+        typeInput.type = 'text';
+        typeInput.className = 'attribute-type';
+        typeInput.value = attribute.type;
+        typeInput.placeholder = 'type';
+        typeInput.setAttribute('list', 'attribute-types');
+        typeInput.addEventListener('change', () => this.updateAttribute(index, { type: typeInput.value }));
+
+        row.append(nameInput, typeInput);
+
+        const count = this.element.attributes.length;
+        const buttons = [
+            { label: '▲', title: 'Move up', disabled: index === 0, action: () => this.moveAttribute(index, -1) },
+            { label: '▼', title: 'Move down', disabled: index === count - 1, action: () => this.moveAttribute(index, 1) },
+            { label: '✕', title: 'Remove attribute', disabled: false, action: () => this.removeAttribute(index) }
+        ];
+        buttons.forEach(({ label, title, disabled, action }) => {
+            const button = document.createElement('button');
+            button.className = 'attribute-button';
+            button.textContent = label;
+            button.title = title;
+            button.disabled = disabled;
+            button.addEventListener('click', action);
+            row.appendChild(button);
+        });
+        return row;
+    }
+
+    /**
+     * Rename the element as one undoable step.
+     * @param {string} name
+     */
+    rename(name) {
+        const element = this.element;
+        if (!element || name === element.name) return;
+        this.interactionManager.history.execute(
+            new RenameElementCommand(this.elementManager, element.id, element.name, name)
+        );
+    }
+
+    /**
+     * Apply a new attribute list as one undoable step.
+     * @param {Array<{name: string, type: string}>} attributes
+     * @param {boolean} [rerender=true] - Rebuild the rows (not needed when only an input's value changed).
+     */
+    commitAttributes(attributes, rerender = true) {
+        const element = this.element;
+        if (!element) return;
+        if (JSON.stringify(attributes) !== JSON.stringify(element.attributes)) {
+            this.interactionManager.history.execute(
+                new UpdateAttributesCommand(this.elementManager, element.id, element.attributes, attributes)
+            );
+        }
+        if (rerender) {
+            this.render();
+        }
+    }
+
+    /**
+     * Append a new attribute and focus its name.
+     */
+    addAttribute() {
+        if (!this.element) return;
+        const name = `field${this.element.attributes.length + 1}`;
+        this.commitAttributes([...this.element.attributes, { name, type: ATTRIBUTE_TYPES[0] }]);
+        const inputs = this.panel?.querySelectorAll('.attribute-name');
+        inputs?.[inputs.length - 1]?.select();
+    }
+
+    /**
+     * Change one attribute (an emptied name removes it).
+     * @param {number} index
+     * @param {{name?: string, type?: string}} changes
+     */
+    updateAttribute(index, changes) {
+        const attributes = this.element.attributes.map(attribute => ({ ...attribute }));
+        Object.assign(attributes[index], changes);
+        const named = attributes.filter(attribute => attribute.name.trim());
+        this.commitAttributes(named, named.length !== attributes.length);
+    }
+
+    /**
+     * Move an attribute one position up (-1) or down (+1).
+     * @param {number} index
+     * @param {number} direction
+     */
+    moveAttribute(index, direction) {
+        const attributes = [...this.element.attributes];
+        const [attribute] = attributes.splice(index, 1);
+        attributes.splice(index + direction, 0, attribute);
+        this.commitAttributes(attributes);
+    }
+
+    /**
+     * Remove an attribute.
+     * @param {number} index
+     */
+    removeAttribute(index) {
+        this.commitAttributes(this.element.attributes.filter((_, i) => i !== index));
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Scenarios.js
+ *
+ * Given/When/Then specifications attached to slices, and their export as
+ * Gherkin `.feature` text. Scenarios refer to the canvas elements by id:
+ * Given lists events, When names a command, Then lists events or an error.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { ELEMENT_TYPES } from './Element.js';
+
+/**
+ * Element types that may be picked for each part of a scenario.
+ * @type {{given: Array<string>, when: Array<string>, then: Array<string>}}
+ */
+export const SCENARIO_STEP_TYPES = {
+    given: [ELEMENT_TYPES.EVENT, ELEMENT_TYPES.EXTERNAL_EVENT],
+    when: [ELEMENT_TYPES.COMMAND],
+    then: [ELEMENT_TYPES.EVENT, ELEMENT_TYPES.EXTERNAL_EVENT]
+};
+
+/**
+ * Create an empty scenario.
+ * @param {string} name
+ * @returns {{id: string, name: string, given: Array<string>, when: string|null, then: Array<string>, error: string}}
+ */
+export function createScenario(name) {
+    return { id: `scenario-${uuidv4()}`, name, given: [], when: null, then: [], error: '' };
+}
+
+/**
+ * Copy a stored scenario into a clean record (missing parts become empty).
+ * @param {Object} scenario
+ * @returns {{id: string, name: string, given: Array<string>, when: string|null, then: Array<string>, error: string}}
+ */
+export function normalizeScenario(scenario) {
+    const ids = value => (Array.isArray(value) ? value.filter(id => typeof id === 'string') : []);
+    return {
+        id: typeof scenario?.id === 'string' ? scenario.id : `scenario-${uuidv4()}`,
+        name: String(scenario?.name ?? ''),
+        given: ids(scenario?.given),
+        when: typeof scenario?.when === 'string' ? scenario.when : null,
+        then: ids(scenario?.then),
+        error: String(scenario?.error ?? '')
+    };
+}
+
+/**
+ * Render a slice's scenarios as a Gherkin feature.
+ * Steps whose element was deleted are kept as comments so nothing is silently lost.
+ * @param {Element} slice
+ * @param {ElementManager} elementManager - Resolves the element ids.
+ * @returns {string}
+ */
+export function scenariosToGherkin(slice, elementManager) {
+    const label = id => {
+        const element = elementManager.getElementById(id);
+        return element ? (element.name || element.type) : null;
+    };
+    const lines = [`Feature: ${slice.name || 'Unnamed slice'}`];
+
+    slice.scenarios.forEach(scenario => {
+        lines.push('', `  Scenario: ${scenario.name || 'Unnamed scenario'}`);
+        const steps = [];
+        const addStep = (keyword, text) => {
+            const previous = steps.length > 0 ? steps[steps.length - 1].keyword : null;
+            steps.push({ keyword, line: `    ${previous === keyword ? 'And' : keyword} ${text}` });
+        };
+        const addElementSteps = (keyword, ids) => ids.forEach(id => {
+            const name = label(id);
+            if (name) {
+                addStep(keyword, name);
+            } else {
+                steps.push({ keyword: null, line: `    # ${keyword}: missing element ${id}` });
+            }
+        });
+
+        if (scenario.given.length > 0) {
+            addElementSteps('Given', scenario.given);
+        } else {
+            addStep('Given', 'no prior events');
+        }
+        if (scenario.when) {
+            addElementSteps('When', [scenario.when]);
+        }
+        if (scenario.error) {
+            addStep('Then', `the command is rejected with "${scenario.error}"`);
+        } else if (scenario.then.length > 0) {
+            addElementSteps('Then', scenario.then);
+        } else {
+            addStep('Then', 'no events are recorded');
+        }
+        steps.forEach(step => lines.push(step.line));
+    });
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,198 @@
+/**
+ * SliceManager.js
+ *
+ * Defines the SliceManager class: resize handles for the selected slice.
+ * Slices are containers; the elements whose center lies inside a slice are
+ * its members (see ElementManager.getSliceMembers) and move along with it.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { CHANGE_TYPES } from './ChangeNotifier.js';
+import { ResizeElementCommand } from './Commands.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("SliceManager");
+
+/**
+ * Size of a resize handle square.
+ */
+const HANDLE_SIZE = 10;
+
+/**
+ * Smallest size a slice can be resized to.
+ */
+const SLICE_MIN_WIDTH = 100;
+const SLICE_MIN_HEIGHT = 80;
+
+/**
+ * Handle positions: which edges each handle moves (-1 left/top, 1 right/bottom, 0 none).
+ */
+const HANDLES = [
+    { name: 'nw', dx: -1, dy: -1 },
+    { name: 'n', dx: 0, dy: -1 },
+    { name: 'ne', dx: 1, dy: -1 },
+    { name: 'e', dx: 1, dy: 0 },
+    { name: 'se', dx: 1, dy: 1 },
+    { name: 's', dx: 0, dy: 1 },
+    { name: 'sw', dx: -1, dy: 1 },
+    { name: 'w', dx: -1, dy: 0 }
+];
+
+/**
+ * SliceManager - Shows resize handles on the selected slice.
+ */
+export class SliceManager {
+    /**
+     * Construct a SliceManager.
+     * @param {SVG.Svg} canvas - The SVG canvas.
+     * @param {InteractionManager} interactionManager - Provides selection, managers and history.
+     */
+    constructor(canvas, interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = interactionManager.elementManager;
+
+        /**
+         * Slice currently showing handles.
+         * @type {Element|null}
+         */
+        this.activeSlice = null;
+
+        /**
+         * Handles of the active slice, with the edges each one moves.
+         * @type {Array<{handle: SVG.Rect, dx: number, dy: number}>}
+         */
+        this.handles = [];
+
+        interactionManager.selectionChanges.subscribe(() => this.refresh());
+        this.elementManager.changes.subscribe(change => {
+            if (change.type === CHANGE_TYPES.ELEMENT_UPDATED || change.type === CHANGE_TYPES.ELEMENT_MOVED ||
+                change.type === CHANGE_TYPES.ELEMENT_REMOVED) {
+                this.refresh();
+            }
+        });
+        // Groups re-created by viewport culling come without handles
+        this.elementManager.viewport?.changes.subscribe(() => this.refresh());
+    }
+
+    /**
+     * Show handles if exactly one slice is selected, otherwise remove them.
+     */
+    refresh() {
+        this.canvas.find('.slice-handle').forEach(handle => handle.remove());
+        this.handles = [];
+        const selection = this.interactionManager.getSelectedElements();
+        const slice = selection.length === 1 && selection[0].type === ELEMENT_TYPES.SLICE ? selection[0] : null;
+        this.activeSlice = slice && this.elementManager.getElementById(slice.id) ? slice : null;
+        if (this.activeSlice) {
+            this.renderHandles(this.activeSlice);
+        }
+    }
+
+    /**
+     * Draw the handles inside the slice's group, inset so the group's bounding box
+     * (used by dragging) does not change.
+     * @param {Element} slice
+     */
+    renderHandles(slice) {
+        const group = this.canvas.findOne(`#${slice.id}`);
+        if (!group) return;
+        this.handles = HANDLES.map(({ name, dx, dy }) => {
+            const handle = group.rect(HANDLE_SIZE, HANDLE_SIZE)
+                .addClass('slice-handle')
+                .addClass(`slice-handle-${name}`);
+            handle.node.addEventListener('mousedown', (e) => this.startResize(e, slice, dx, dy));
+            return { handle, dx, dy };
+        });
+        this.positionHandles(slice);
+    }
+
+    /**
+     * Place the handles on the corners and edge midpoints of the given bounds.
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     */
+    positionHandles(bounds) {
+        this.handles.forEach(({ handle, dx, dy }) => {
+            handle.move(
+                bounds.x + (dx + 1) / 2 * (bounds.width - HANDLE_SIZE),
+                bounds.y + (dy + 1) / 2 * (bounds.height - HANDLE_SIZE)
+            );
+        });
+    }
+
+    /**
+     * Track the pointer while a handle is dragged. Only the outline and the handles
+     * follow the pointer; the slice is resized (redrawn, one undo step) on release.
+     * @param {MouseEvent} e - The mousedown on the handle.
+     * @param {Element} slice
+     * @param {number} dx - Horizontal edge moved by the handle.
+     * @param {number} dy - Vertical edge moved by the handle.
+     */
+    startResize(e, slice, dx, dy) {
+        if (e.button !== 0) return;
+        e.stopPropagation(); // Not a drag of the slice, nor a lasso
+        e.preventDefault();
+        const start = this.canvas.point(e.clientX, e.clientY);
+        const from = { x: slice.x, y: slice.y, width: slice.width, height: slice.height };
+        const outline = this.canvas.findOne(`#${slice.id}`)?.findOne('.element-rect');
+        let to = from;
+
+        const onMove = (moveEvent) => {
+            const point = this.canvas.point(moveEvent.clientX, moveEvent.clientY);
+            to = this.computeBounds(from, point.x - start.x, point.y - start.y, dx, dy);
+            outline?.size(to.width, to.height).move(to.x, to.y);
+            this.positionHandles(to);
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+            if (to.x !== from.x || to.y !== from.y || to.width !== from.width || to.height !== from.height) {
+                this.interactionManager.history.execute(new ResizeElementCommand(this.elementManager, slice.id, from, to));
+            }
+            // The mouseup is followed by a click on the canvas; don't let it clear the selection
+            this.interactionManager.suppressClickUntil = Date.now() + this.interactionManager.MAX_DBL_CLICK_TIME;
+        };
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Bounds after moving the handle's edges by the pointer offset, respecting the minimum size.
+     * @param {{x: number, y: number, width: number, height: number}} from - Bounds at the start.
+     * @param {number} offsetX
+     * @param {number} offsetY
+     * @param {number} dx
+     * @param {number} dy
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    computeBounds(from, offsetX, offsetY, dx, dy) {
+        const bounds = { ...from };
+        if (dx === 1) {
+            bounds.width = Math.max(SLICE_MIN_WIDTH, from.width + offsetX);
+        } else if (dx === -1) {
+            bounds.width = Math.max(SLICE_MIN_WIDTH, from.width - offsetX);
+            bounds.x = from.x + from.width - bounds.width;
+        }
+        if (dy === 1) {
+            bounds.height = Math.max(SLICE_MIN_HEIGHT, from.height + offsetY);
+        } else if (dy === -1) {
+            bounds.height = Math.max(SLICE_MIN_HEIGHT, from.height - offsetY);
+            bounds.y = from.y + from.height - bounds.height;
+        }
+        return bounds;
+    }
+}
@@ -0,0 +1,339 @@
+/**
+ * SlicePanel.js
+ *
+ * Defines the SlicePanel class: the slice detail panel listing the slice's
+ * Given/When/Then scenarios. Steps are filled by picking elements on the
+ * canvas; the scenarios can be downloaded as a Gherkin `.feature` file.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { CHANGE_TYPES } from './ChangeNotifier.js';
+import { UpdateScenariosCommand } from './Commands.js';
+import { SCENARIO_STEP_TYPES, createScenario, scenariosToGherkin } from './Scenarios.js';
+import { downloadBlob } from './download.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("SlicePanel");
+
+/**
+ * Labels of the scenario parts, in display order.
+ */
+const STEP_LABELS = { given: 'Given', when: 'When', then: 'Then' };
+
+/**
+ * SlicePanel - Shows and edits the scenarios of one slice.
+ */
+export class SlicePanel {
+    /**
+     * Construct a SlicePanel.
+     * @param {InteractionManager} interactionManager - Provides the managers and history.
+     */
+    constructor(interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = interactionManager.elementManager;
+
+        /**
+         * The panel element.
+         * @type {HTMLElement|null}
+         */
+        this.panel = document.getElementById('slice-panel');
+
+        /**
+         * Slice shown in the panel, or null when closed.
+         * @type {Element|null}
+         */
+        this.slice = null;
+
+        /**
+         * Scenario part waiting for an element to be picked on the canvas.
+         * @type {{scenarioId: string, step: string}|null}
+         */
+        this.picking = null;
+
+        this.handlePickClick = this.handlePickClick.bind(this);
+        this.handlePickKeyDown = this.handlePickKeyDown.bind(this);
+
+        this.initEvents();
+    }
+
+    /**
+     * Wire the slice context menu entry, the panel buttons and model changes.
+     */
+    initEvents() {
+        document.getElementById('ctx-sl-scenarios')?.addEventListener('click', () => {
+            logger.info(">ctx-sl-scenarios on click");
+            const slice = this.interactionManager.selectedElement;
+            this.interactionManager.hideAllContextMenus();
+            if (slice?.type === ELEMENT_TYPES.SLICE) {
+                this.open(slice);
+            }
+        });
+        document.getElementById('slice-panel-close')?.addEventListener('click', () => this.close());
+        document.getElementById('slice-add-scenario')?.addEventListener('click', () => {
+            if (!this.slice) return;
+            this.commit([...this.slice.scenarios, createScenario(`Scenario ${this.slice.scenarios.length + 1}`)]);
+        });
+        document.getElementById('slice-export-feature')?.addEventListener('click', () => this.exportFeature());
+
+        this.elementManager.changes.subscribe(change => {
+            if (!this.slice) return;
+            if (change.type === CHANGE_TYPES.ELEMENT_REMOVED && change.element === this.slice) {
+                this.close();
+            } else if (change.type !== CHANGE_TYPES.ELEMENT_MOVED && !this.panel?.contains(document.activeElement)) {
+                // Names of referenced elements may have changed
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * Show the panel for a slice.
+     * @param {Element} slice
+     */
+    open(slice) {
+        if (!this.panel) return;
+        this.stopPicking();
+        this.slice = slice;
+        this.render();
+        this.panel.style.display = 'flex';
+    }
+
+    /**
+     * Hide the panel.
+     */
+    close() {
+        this.stopPicking();
+        this.slice = null;
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Apply a new scenario list as one undoable step, then refresh.
+     * @param {Array<Object>} scenarios
+     */
+    commit(scenarios) {
+        const slice = this.slice;
+        if (!slice) return;
+        if (JSON.stringify(scenarios) !== JSON.stringify(slice.scenarios)) {
+            this.interactionManager.history.execute(
+                new UpdateScenariosCommand(this.elementManager, slice.id, slice.scenarios, scenarios)
+            );
+        }
+        this.render();
+    }
+
+    /**
+     * Apply a change to one scenario.
+     * @param {string} scenarioId
+     * @param {function(Object): void} change - Mutates a copy of the scenario.
+     */
+    updateScenario(scenarioId, change) {
+        const scenarios = structuredClone(this.slice.scenarios);
+        const scenario = scenarios.find(item => item.id === scenarioId);
+        if (!scenario) return;
+        change(scenario);
+        this.commit(scenarios);
+    }
+
+    /**
+     * Fill the panel from the current slice.
+     */
+    render() {
+        const slice = this.slice;
+        if (!slice) return;
+        const title = document.getElementById('slice-panel-title');
+        if (title) title.textContent = slice.name || 'Unnamed slice';
+
+        const list = document.getElementById('slice-scenarios');
+        if (!list) return;
+        list.innerHTML = '';
+        if (slice.scenarios.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'scenario-empty';
+            empty.textContent = 'No scenarios yet.';
+            list.appendChild(empty);
+        }
+        slice.scenarios.forEach(scenario => list.appendChild(this.createScenarioCard(scenario)));
+    }
+
+    /**
+     * Build the editor for one scenario.
+     * @param {Object} scenario
+     * @returns {HTMLElement}
+     */
+    createScenarioCard(scenario) {
+        const card = document.createElement('div');
+        card.className = 'scenario-card';
+
+        const header = document.createElement('div');
+        header.className = 'scenario-header';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = scenario.name;
+        nameInput.placeholder = 'Scenario name';
+        nameInput.addEventListener('change', () => {
+            this.updateScenario(scenario.id, item => { item.name = nameInput.value; });
+        });
+        const removeButton = document.createElement('button');
+        removeButton.textContent = '✕';
+        removeButton.title = 'Remove scenario';
+        removeButton.addEventListener('click', () => {
+            this.commit(this.slice.scenarios.filter(item => item.id !== scenario.id));
+        });
+        header.append(nameInput, removeButton);
+        card.appendChild(header);
+
+        Object.entries(STEP_LABELS).forEach(([step, label]) => {
+            card.appendChild(this.createStepRow(scenario, step, label));
+        });
+
+        // Then may be an error instead of events
+        const errorInput = document.createElement('input');
+        errorInput.type = 'text';
+        errorInput.className = 'scenario-error';
+        errorInput.value = scenario.error;
+        errorInput.placeholder = 'Then error (instead of events)';
+        errorInput.addEventListener('change', () => {
+            this.updateScenario(scenario.id, item => { item.error = errorInput.value.trim(); });
+        });
+        card.appendChild(errorInput);
+        return card;
+    }
+
+    /**
+     * Build one Given/When/Then row: chips for the picked elements plus a pick button.
+     * @param {Object} scenario
+     * @param {string} step - 'given', 'when' or 'then'.
+     * @param {string} label
+     * @returns {HTMLElement}
+     */
+    createStepRow(scenario, step, label) {
+        const row = document.createElement('div');
+        row.className = 'scenario-step';
+        const keyword = document.createElement('span');
+        keyword.className = 'scenario-keyword';
+        keyword.textContent = label;
+        row.appendChild(keyword);
+
+        const ids = step === 'when' ? (scenario.when ? [scenario.when] : []) : scenario[step];
+        ids.forEach((id, index) => {
+            const element = this.elementManager.getElementById(id);
+            const chip = document.createElement('span');
+            chip.className = `scenario-chip${element ? ` ${element.type}` : ' scenario-chip-missing'}`;
+            chip.textContent = element ? (element.name || element.type) : '(deleted)';
+            const remove = document.createElement('button');
+            remove.textContent = '×';
+            remove.title = 'Remove';
+            remove.addEventListener('click', () => {
+                this.updateScenario(scenario.id, item => {
+                    if (step === 'when') {
+                        item.when = null;
+                    } else {
+                        item[step].splice(index, 1);
+                    }
+                });
+            });
+            chip.appendChild(remove);
+            row.appendChild(chip);
+        });
+
+        const isPicking = this.picking?.scenarioId === scenario.id && this.picking.step === step;
+        const pickButton = document.createElement('button');
+        pickButton.className = `scenario-pick${isPicking ? ' active' : ''}`;
+        pickButton.textContent = isPicking ? 'Click an element…' : (step === 'when' ? '＋ Pick command' : '＋ Pick event');
+        pickButton.addEventListener('click', () => {
+            if (isPicking) {
+                this.stopPicking();
+            } else {
+                this.startPicking(scenario.id, step);
+            }
+            this.render();
+        });
+        row.appendChild(pickButton);
+        return row;
+    }
+
+    /**
+     * Let the next click on a canvas element fill a scenario part.
+     * @param {string} scenarioId
+     * @param {string} step
+     */
+    startPicking(scenarioId, step) {
+        this.stopPicking();
+        this.picking = { scenarioId, step };
+        const drawingArea = document.getElementById('drawing-area');
+        drawingArea?.classList.add('picking');
+        // Capture phase: the click must not reach the normal selection handling
+        drawingArea?.addEventListener('click', this.handlePickClick, true);
+        document.addEventListener('keydown', this.handlePickKeyDown);
+    }
+
+    /**
+     * Leave pick mode.
+     */
+    stopPicking() {
+        this.picking = null;
+        const drawingArea = document.getElementById('drawing-area');
+        drawingArea?.classList.remove('picking');
+        drawingArea?.removeEventListener('click', this.handlePickClick, true);
+        document.removeEventListener('keydown', this.handlePickKeyDown);
+    }
+
+    /**
+     * Take the clicked element for the scenario part being picked.
+     * @param {MouseEvent} e
+     */
+    handlePickClick(e) {
+        if (!this.picking) return;
+        e.stopPropagation();
+        e.preventDefault();
+        const group = e.target.closest?.('.element');
+        const element = group ? this.elementManager.getElementById(group.id) : null;
+        const { scenarioId, step } = this.picking;
+        if (!element || !SCENARIO_STEP_TYPES[step].includes(element.type)) {
+            logger.info(`Picked element is not allowed for ${step}`);
+            return; // Stay in pick mode until a suitable element or Escape
+        }
+        this.stopPicking();
+        this.updateScenario(scenarioId, item => {
+            if (step === 'when') {
+                item.when = element.id;
+            } else if (!item[step].includes(element.id)) {
+                item[step].push(element.id);
+            }
+        });
+    }
+
+    /**
+     * Escape leaves pick mode.
+     * @param {KeyboardEvent} e
+     */
+    handlePickKeyDown(e) {
+        if (e.key === 'Escape') {
+            this.stopPicking();
+            this.render();
+        }
+    }
+
+    /**
+     * Download the slice's scenarios as a Gherkin `.feature` file.
+     */
+    exportFeature() {
+        const slice = this.slice;
+        if (!slice) return;
+        const text = scenariosToGherkin(slice, this.elementManager);
+        const fileName = `${(slice.name || 'slice').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'slice'}.feature`;
+        downloadBlob(new Blob([text], { type: 'text/plain' }), fileName);
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * SpatialIndex.js
+ *
+ * Defines the SpatialIndex class: a quadtree over axis-aligned boxes that
+ * answers "which items intersect this box" without scanning every item.
+ * The covered area grows as items are added outside it, so the board has
+ * no fixed extent.
+ */
+
+/**
+ * Number of items a node holds before it splits into quadrants.
+ */
+const NODE_CAPACITY = 8;
+
+/**
+ * Depth below which nodes no longer split (items stack up instead).
+ */
+const MAX_DEPTH = 16;
+
+/**
+ * Side length of the initial root square.
+ */
+const INITIAL_SIZE = 1024;
+
+/**
+ * Whether two boxes intersect (touching edges count, as in Element.overlaps).
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {boolean}
+ */
+function intersects(a, b) {
+    return !(a.x + a.width < b.x || a.x > b.x + b.width || a.y + a.height < b.y || a.y > b.y + b.height);
+}
+
+/**
+ * One square of the quadtree. Items live in the deepest node whose square
+ * contains them entirely; items straddling a quadrant border stay in the parent.
+ */
+class QuadNode {
+    constructor(x, y, size, depth) {
+        this.x = x;
+        this.y = y;
+        this.size = size;
+        this.depth = depth;
+        this.items = new Map(); // item -> bounds
+        this.children = null;
+    }
+
+    contains(bounds) {
+        return bounds.x >= this.x && bounds.y >= this.y &&
+            bounds.x + bounds.width <= this.x + this.size && bounds.y + bounds.height <= this.y + this.size;
+    }
+
+    childFor(bounds) {
+        return this.children?.find(child => child.contains(bounds)) ?? null;
+    }
+
+    split() {
+        const half = this.size / 2;
+        this.children = [
+            new QuadNode(this.x, this.y, half, this.depth + 1),
+            new QuadNode(this.x + half, this.y, half, this.depth + 1),
+            new QuadNode(this.x, this.y + half, half, this.depth + 1),
+            new QuadNode(this.x + half, this.y + half, half, this.depth + 1)
+        ];
+    }
+}
+
+/**
+ * SpatialIndex - Quadtree of items keyed by their bounding boxes.
+ */
+export class SpatialIndex {
+    /**
+     * Construct an empty SpatialIndex.
+     */
+    constructor() {
+        /**
+         * Root of the quadtree, or null while empty.
+         * @type {QuadNode|null}
+         */
+        this.root = null;
+
+        /**
+         * Node and bounds of every indexed item.
+         * @type {Map<*, {node: QuadNode, bounds: Object}>}
+         */
+        this.entries = new Map();
+    }
+
+    /**
+     * Number of indexed items.
+     * @type {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add an item, or move it if already indexed.
+     * @param {*} item - Any object (e.g. an Element).
+     * @param {{x: number, y: number, width: number, height: number}} bounds - Its box; copied.
+     */
+    insert(item, bounds) {
+        if (this.entries.has(item)) {
+            this.remove(item);
+        }
+        const box = { x: bounds.x, y: bounds.y, width: bounds.width, height: bounds.height };
+        this.growToContain(box);
+
+        let node = this.root;
+        for (;;) {
+            if (!node.children && node.items.size >= NODE_CAPACITY && node.depth < MAX_DEPTH) {
+                this.splitNode(node);
+            }
+            const child = node.childFor(box);
+            if (!child) break;
+            node = child;
+        }
+        node.items.set(item, box);
+        this.entries.set(item, { node, bounds: box });
+    }
+
+    /**
+     * Update an item's bounds (same as insert).
+     * @param {*} item
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     */
+    update(item, bounds) {
+        this.insert(item, bounds);
+    }
+
+    /**
+     * Remove an item. Unknown items are ignored.
+     * @param {*} item
+     */
+    remove(item) {
+        const entry = this.entries.get(item);
+        if (!entry) return;
+        entry.node.items.delete(item);
+        this.entries.delete(item);
+    }
+
+    /**
+     * Remove every item.
+     */
+    clear() {
+        this.root = null;
+        this.entries.clear();
+    }
+
+    /**
+     * Bounds an item was indexed with.
+     * @param {*} item
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    getBounds(item) {
+        return this.entries.get(item)?.bounds ?? null;
+    }
+
+    /**
+     * Items whose box intersects the given box.
+     * @param {{x: number, y: number, width: number, height: number}} bounds
+     * @returns {Array<*>}
+     */
+    search(bounds) {
+        const found = [];
+        if (!this.root) return found;
+        const stack = [this.root];
+        while (stack.length > 0) {
+            const node = stack.pop();
+            node.items.forEach((box, item) => {
+                if (intersects(box, bounds)) found.push(item);
+            });
+            node.children?.forEach(child => {
+                if (intersects({ x: child.x, y: child.y, width: child.size, height: child.size }, bounds)) {
+                    stack.push(child);
+                }
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Box covering every indexed item, or null while empty.
+     * @returns {{x: number, y: number, width: number, height: number}|null}
+     */
+    getExtent() {
+        if (this.entries.size === 0) return null;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        this.entries.forEach(({ bounds }) => {
+            minX = Math.min(minX, bounds.x);
+            minY = Math.min(minY, bounds.y);
+            maxX = Math.max(maxX, bounds.x + bounds.width);
+            maxY = Math.max(maxY, bounds.y + bounds.height);
+        });
+        return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+    }
+
+    /**
+     * Create the root or double it (towards the box) until the box fits.
+     * @param {{x: number, y: number, width: number, height: number}} box
+     */
+    growToContain(box) {
+        if (!this.root) {
+            const size = Math.max(INITIAL_SIZE, box.width, box.height) * 2;
+            this.root = new QuadNode(box.x - size / 4, box.y - size / 4, size, 0);
+            return;
+        }
+        while (!this.root.contains(box)) {
+            const old = this.root;
+            const x = box.x < old.x ? old.x - old.size : old.x;
+            const y = box.y < old.y ? old.y - old.size : old.y;
+            const grown = new QuadNode(x, y, old.size * 2, 0);
+            grown.split();
+            const slot = grown.children.findIndex(child => child.x === old.x && child.y === old.y);
+            grown.children[slot] = old;
+            this.deepen(old);
+            this.root = grown;
+        }
+    }
+
+    /**
+     * Push a subtree one level down (after a new root was put above it).
+     * @param {QuadNode} node
+     */
+    deepen(node) {
+        node.depth += 1;
+        node.children?.forEach(child => this.deepen(child));
+    }
+
+    /**
+     * Split a full node and move down the items that fit in one quadrant.
+     * @param {QuadNode} node
+     */
+    splitNode(node) {
+        node.split();
+        node.items.forEach((box, item) => {
+            const child = node.childFor(box);
+            if (!child) return;
+            node.items.delete(item);
+            child.items.set(item, box);
+            this.entries.get(item).node = child;
+        });
+    }
+}
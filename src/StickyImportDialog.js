@@ -0,0 +1,227 @@
+/**
+ * StickyImportDialog.js
+ *
+ * Defines the StickyImportDialog class: imports sticky notes and arrows from a
+ * whiteboard export (see StickyImporter.js). A preview dialog lists every
+ * sticky with its guessed element type so the mapping can be fixed before the
+ * elements and connections are created.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { parseStickyBoard } from './StickyImporter.js';
+import { CompositeCommand, CreateElementCommand, ConnectCommand } from './Commands.js';
+import { serializeElement, serializeConnection } from './ModelSerializer.js';
+import { ErrorHandler } from './ErrorHandler.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("StickyImportDialog");
+
+/**
+ * Value of the type select meaning "don't import this sticky".
+ */
+const SKIP_TYPE = '';
+
+/**
+ * Width imported stickies are scaled to (the default element width).
+ */
+const TARGET_STICKY_WIDTH = 120;
+
+/**
+ * Distance of the imported board from the top-left of the view.
+ */
+const IMPORT_MARGIN = 40;
+
+/**
+ * StickyImportDialog - Preview and import of whiteboard stickies.
+ */
+export class StickyImportDialog {
+    /**
+     * Construct a StickyImportDialog.
+     * @param {SVG.Svg} canvas - The SVG canvas (for the current view).
+     * @param {InteractionManager} interactionManager - Provides the managers, history and selection.
+     */
+    constructor(canvas, interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * The preview dialog element.
+         * @type {HTMLElement|null}
+         */
+        this.dialog = document.getElementById('import-dialog');
+
+        /**
+         * Board parsed from the chosen file, with the (editable) type per sticky.
+         * @type {{notes: Array<Object>, arrows: Array<{from: string, to: string}>}|null}
+         */
+        this.board = null;
+
+        this.initEvents();
+    }
+
+    /**
+     * Wire the toolbar button, the file input and the dialog buttons.
+     */
+    initEvents() {
+        const fileInput = document.getElementById('import-stickies-input');
+        document.getElementById('import-stickies')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', () => {
+            const file = fileInput.files?.[0];
+            if (file) {
+                this.readFile(file);
+            }
+            fileInput.value = ''; // Allow choosing the same file again
+        });
+        document.getElementById('import-confirm')?.addEventListener('click', () => this.commit());
+        document.getElementById('import-cancel')?.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Parse a whiteboard export and show the preview.
+     * @param {File} file
+     */
+    async readFile(file) {
+        try {
+            this.board = parseStickyBoard(JSON.parse(await file.text()));
+            if (this.board.notes.length === 0) {
+                throw new Error("No sticky notes found.");
+            }
+            this.open();
+        } catch (error) {
+            this.board = null;
+            ErrorHandler.handle(error, "StickyImportDialog.readFile", `Could not import "${file.name}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Show the preview for the parsed board.
+     */
+    open() {
+        if (!this.dialog || !this.board) return;
+        this.render();
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * Hide the preview and forget the parsed board.
+     */
+    close() {
+        this.board = null;
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Fill the mapping table: one row per sticky with a type select.
+     */
+    render() {
+        const summary = document.getElementById('import-summary');
+        if (summary) {
+            summary.textContent = `${this.board.notes.length} stickies, ${this.board.arrows.length} arrows`;
+        }
+        const table = document.getElementById('import-table');
+        if (!table) return;
+        table.innerHTML = '<tr><th>Color</th><th>Text</th><th>Import as</th></tr>';
+        const options = [
+            { value: SKIP_TYPE, label: '(skip)' },
+            ...Object.values(ELEMENT_TYPES)
+                .filter(type => type !== ELEMENT_TYPES.SLICE)
+                .map(type => ({ value: type, label: type }))
+        ];
+        this.board.notes.forEach(note => {
+            const row = document.createElement('tr');
+
+            const colorCell = document.createElement('td');
+            const swatch = document.createElement('span');
+            swatch.className = 'import-swatch';
+            swatch.style.backgroundColor = note.color || 'transparent';
+            swatch.title = note.color || 'no color';
+            colorCell.appendChild(swatch);
+
+            const textCell = document.createElement('td');
+            textCell.className = 'import-text';
+            textCell.textContent = note.text || '(empty)';
+
+            const typeCell = document.createElement('td');
+            const select = document.createElement('select');
+            options.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+            select.value = note.type;
+            select.addEventListener('change', () => { note.type = select.value; });
+            typeCell.appendChild(select);
+
+            row.append(colorCell, textCell, typeCell);
+            table.appendChild(row);
+        });
+    }
+
+    /**
+     * Create the mapped elements and connections as one undoable step and select them.
+     * Relative positions are kept; the board is scaled so stickies get the default element width.
+     */
+    commit() {
+        if (!this.board) return;
+        const { elementManager, connectionManager, history } = this.interactionManager;
+        const onlyAllowed = Boolean(document.getElementById('import-only-allowed')?.checked);
+        const notes = this.board.notes.filter(note => note.type !== SKIP_TYPE);
+
+        const widths = notes.map(note => note.width).filter(width => width > 0).sort((a, b) => a - b);
+        const medianWidth = widths[Math.floor(widths.length / 2)];
+        const scale = medianWidth ? TARGET_STICKY_WIDTH / medianWidth : 1;
+        const minX = Math.min(...notes.map(note => note.x));
+        const minY = Math.min(...notes.map(note => note.y));
+        const view = this.canvas.viewbox();
+
+        this.interactionManager.selectElement(null);
+        const commands = [];
+        const created = new Map();
+        notes.forEach(note => {
+            // Note positions are centers; elements are placed by their top-left corner
+            const centerX = view.x + IMPORT_MARGIN + TARGET_STICKY_WIDTH / 2 + (note.x - minX) * scale;
+            const centerY = view.y + IMPORT_MARGIN + TARGET_STICKY_WIDTH / 2 + (note.y - minY) * scale;
+            const element = elementManager.createElement(note.type, 0, 0, note.text, { avoidCollision: false });
+            elementManager.moveElement(element, Math.round(centerX - element.width / 2), Math.round(centerY - element.height / 2));
+            created.set(note.sourceId, element);
+            commands.push(new CreateElementCommand(elementManager, serializeElement(element)));
+        });
+
+        let skippedArrows = 0;
+        this.board.arrows.forEach(({ from, to }) => {
+            const source = created.get(from);
+            const target = created.get(to);
+            if (!source || !target) return;
+            if (onlyAllowed && !connectionManager.validateConnection(source, target).valid) {
+                skippedArrows++;
+                return;
+            }
+            const connection = connectionManager.createConnection(source, target, { skipValidation: true });
+            if (connection) {
+                commands.push(new ConnectCommand(elementManager, connectionManager, serializeConnection(connection)));
+            }
+        });
+
+        if (commands.length > 0) {
+            history.record(new CompositeCommand('Import stickies', commands));
+        }
+        this.interactionManager.setSelection([...created.values()]);
+        this.close();
+        if (skippedArrows > 0) {
+            const message = `${skippedArrows} arrow${skippedArrows === 1 ? ' was' : 's were'} not imported because the connection rules forbid ${skippedArrows === 1 ? 'it' : 'them'}.`;
+            ErrorHandler.handle(new Error(message), "StickyImportDialog.commit", message);
+        }
+    }
+}
@@ -0,0 +1,213 @@
+/**
+ * StickyImporter.js
+ *
+ * Reads sticky notes and arrows from whiteboard JSON exports (Excalidraw
+ * scenes, Miro board items, or a plain `{notes, arrows}` list) and guesses
+ * the Event Modeling element type of each sticky from its color.
+ */
+import { ELEMENT_TYPES, ELEMENT_COLORS } from './Element.js';
+
+/**
+ * Whiteboard color names -> element type (event storming conventions).
+ */
+const NAMED_COLOR_TYPES = {
+    orange: ELEMENT_TYPES.EVENT,
+    light_orange: ELEMENT_TYPES.EVENT,
+    blue: ELEMENT_TYPES.COMMAND,
+    light_blue: ELEMENT_TYPES.COMMAND,
+    dark_blue: ELEMENT_TYPES.COMMAND,
+    cyan: ELEMENT_TYPES.COMMAND,
+    green: ELEMENT_TYPES.READ_MODEL,
+    light_green: ELEMENT_TYPES.READ_MODEL,
+    dark_green: ELEMENT_TYPES.READ_MODEL,
+    yellow: ELEMENT_TYPES.EXTERNAL_EVENT,
+    light_yellow: ELEMENT_TYPES.EXTERNAL_EVENT,
+    pink: ELEMENT_TYPES.COMMENT,
+    light_pink: ELEMENT_TYPES.COMMENT,
+    red: ELEMENT_TYPES.COMMENT,
+    violet: ELEMENT_TYPES.PROCESSOR,
+    purple: ELEMENT_TYPES.PROCESSOR,
+    gray: ELEMENT_TYPES.GUI,
+    grey: ELEMENT_TYPES.GUI,
+    white: ELEMENT_TYPES.GUI,
+    black: ELEMENT_TYPES.GUI
+};
+
+/**
+ * Reference colors for hex matching: the editor's own palette plus the usual
+ * lilac of policies (processors) on event storming boards.
+ * @type {Array<{type: string, color: string}>}
+ */
+const REFERENCE_COLORS = [
+    ...Object.entries(ELEMENT_COLORS)
+        .filter(([type, color]) => type !== ELEMENT_TYPES.SLICE && color.startsWith('#'))
+        .map(([type, color]) => ({ type, color })),
+    { type: ELEMENT_TYPES.PROCESSOR, color: '#9C27B0' }
+];
+
+/**
+ * Element type used when a color cannot be recognized.
+ */
+export const FALLBACK_STICKY_TYPE = ELEMENT_TYPES.COMMENT;
+
+/**
+ * Parse `#rgb` / `#rrggbb` into components.
+ * @param {string} hex
+ * @returns {{r: number, g: number, b: number}|null}
+ */
+function parseHex(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex.trim());
+    if (!match) return null;
+    const digits = match[1].length === 3 ? match[1].split('').map(d => d + d).join('') : match[1];
+    return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16)
+    };
+}
+
+/**
+ * Guess the element type of a sticky from its color (name or hex).
+ * @param {string} color
+ * @returns {string} - One of ELEMENT_TYPES.
+ */
+export function guessElementType(color) {
+    if (!color) return FALLBACK_STICKY_TYPE;
+    const named = NAMED_COLOR_TYPES[String(color).toLowerCase().replace(/[\s-]/g, '_')];
+    if (named) return named;
+
+    const rgb = parseHex(String(color));
+    if (!rgb) return FALLBACK_STICKY_TYPE;
+    let best = FALLBACK_STICKY_TYPE;
+    let bestDistance = Infinity;
+    REFERENCE_COLORS.forEach(({ type, color: reference }) => {
+        const ref = parseHex(reference);
+        const distance = (rgb.r - ref.r) ** 2 + (rgb.g - ref.g) ** 2 + (rgb.b - ref.b) ** 2;
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = type;
+        }
+    });
+    return best;
+}
+
+/**
+ * Plain text of a sticky's content (Miro stores HTML).
+ * @param {string} content
+ * @returns {string}
+ */
+function plainText(content) {
+    return String(content ?? '')
+        .replace(/<br\s*\/?>|<\/p>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+/**
+ * Read an Excalidraw scene: filled shapes are stickies, their bound text is the
+ * label, arrows bound at both ends are connections.
+ * @param {Object} scene
+ * @returns {{notes: Array<Object>, arrows: Array<Object>}}
+ */
+function parseExcalidraw(scene) {
+    const elements = scene.elements.filter(element => !element.isDeleted);
+    const textByContainer = new Map(elements
+        .filter(element => element.type === 'text' && element.containerId)
+        .map(element => [element.containerId, element.originalText ?? element.text]));
+    const notes = elements
+        .filter(element => ['rectangle', 'ellipse', 'diamond'].includes(element.type) &&
+            element.backgroundColor && element.backgroundColor !== 'transparent')
+        .map(element => ({
+            sourceId: element.id,
+            text: plainText(textByContainer.get(element.id)),
+            color: element.backgroundColor,
+            x: element.x + element.width / 2,
+            y: element.y + element.height / 2,
+            width: element.width,
+            height: element.height
+        }));
+    const arrows = elements
+        .filter(element => element.type === 'arrow' && element.startBinding?.elementId && element.endBinding?.elementId)
+        .map(element => ({ from: element.startBinding.elementId, to: element.endBinding.elementId }));
+    return { notes, arrows };
+}
+
+/**
+ * Read Miro board items (REST API v2 shape): `sticky_note` items and connectors.
+ * Miro positions are item centers.
+ * @param {Array<Object>} items
+ * @param {Array<Object>} connectors
+ * @returns {{notes: Array<Object>, arrows: Array<Object>}}
+ */
+function parseMiro(items, connectors) {
+    const notes = items
+        .filter(item => item.type === 'sticky_note' || item.type === 'card' || item.type === 'shape')
+        .map(item => ({
+            sourceId: String(item.id),
+            text: plainText(item.data?.content ?? item.data?.title),
+            color: item.style?.fillColor,
+            x: Number(item.position?.x) || 0,
+            y: Number(item.position?.y) || 0,
+            width: Number(item.geometry?.width) || 0,
+            height: Number(item.geometry?.height) || Number(item.geometry?.width) || 0
+        }));
+    const arrows = [...items.filter(item => item.type === 'connector'), ...connectors]
+        .filter(connector => connector.startItem?.id && connector.endItem?.id)
+        .map(connector => ({ from: String(connector.startItem.id), to: String(connector.endItem.id) }));
+    return { notes, arrows };
+}
+
+/**
+ * Read the plain format: `{notes|stickies: [{id, text, color, x, y, width?, height?}],
+ * arrows|connections: [{from, to}]}` with x/y as the top-left corner.
+ * @param {Object} doc
+ * @returns {{notes: Array<Object>, arrows: Array<Object>}}
+ */
+function parsePlain(doc) {
+    const notes = (doc.notes ?? doc.stickies).map((note, index) => {
+        const width = Number(note.width) || 0;
+        const height = Number(note.height) || 0;
+        return {
+            sourceId: String(note.id ?? index),
+            text: plainText(note.text ?? note.content),
+            color: note.color,
+            x: (Number(note.x) || 0) + width / 2,
+            y: (Number(note.y) || 0) + height / 2,
+            width,
+            height
+        };
+    });
+    const arrows = (doc.arrows ?? doc.connections ?? [])
+        .filter(arrow => (arrow.from ?? arrow.source) != null && (arrow.to ?? arrow.target) != null)
+        .map(arrow => ({ from: String(arrow.from ?? arrow.source), to: String(arrow.to ?? arrow.target) }));
+    return { notes, arrows };
+}
+
+/**
+ * Parse a whiteboard export into stickies (with guessed types) and arrows.
+ * Note positions are centers in the whiteboard's coordinates.
+ * @param {Object} doc - Parsed JSON.
+ * @returns {{notes: Array<{sourceId: string, text: string, color: string, x: number, y: number, width: number, height: number, type: string}>, arrows: Array<{from: string, to: string}>}}
+ */
+export function parseStickyBoard(doc) {
+    let board;
+    if (Array.isArray(doc?.elements) && (doc.type === 'excalidraw' || doc.elements.some(element => element?.type === 'arrow' || element?.containerId !== undefined))) {
+        board = parseExcalidraw(doc);
+    } else if (Array.isArray(doc?.data) || Array.isArray(doc)) {
+        board = parseMiro(Array.isArray(doc) ? doc : doc.data, Array.isArray(doc?.connectors) ? doc.connectors : []);
+    } else if (Array.isArray(doc?.notes) || Array.isArray(doc?.stickies)) {
+        board = parsePlain(doc);
+    } else {
+        throw new Error("Unrecognized whiteboard export (expected Excalidraw, Miro items, or {notes, arrows}).");
+    }
+    board.notes.forEach(note => { note.type = guessElementType(note.color); });
+    const ids = new Set(board.notes.map(note => note.sourceId));
+    board.arrows = board.arrows.filter(arrow => ids.has(arrow.from) && ids.has(arrow.to) && arrow.from !== arrow.to);
+    return board;
+}
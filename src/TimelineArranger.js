@@ -0,0 +1,262 @@
+/**
+ * TimelineArranger.js
+ *
+ * Defines the TimelineArranger class: the "Arrange" command. Moves every
+ * element to its place on the timeline (see TimelineLayout.js), using the
+ * lanes for the rows, keeps each slice's members in columns of their own and
+ * wraps the slice around them, animates the transition and records the whole
+ * change as a single undo step.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+import { LANE_KINDS } from './Lane.js';
+import { computeTimelineLayout, isArranged, TIMELINE_ROWS } from './TimelineLayout.js';
+import { CompositeCommand, MoveElementCommand, ResizeElementCommand, UpdateConnectionGeometryCommand } from './Commands.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("TimelineArranger");
+
+/**
+ * Duration of the animated transition, in milliseconds.
+ */
+const ARRANGE_DURATION = 400;
+
+/**
+ * Space kept between a slice's border and its members (more on top, for the slice name).
+ */
+const SLICE_PADDING = 30;
+const SLICE_PADDING_TOP = 40;
+
+/**
+ * Row centers used when the board has no lane of the matching kind.
+ */
+const FALLBACK_ROW_CENTERS = [100, 300, 500];
+
+/**
+ * Lane kind providing each timeline row.
+ */
+const LANE_KIND_OF_ROW = {
+    [TIMELINE_ROWS.TOP]: LANE_KINDS.UI,
+    [TIMELINE_ROWS.MIDDLE]: LANE_KINDS.INTERACTION,
+    [TIMELINE_ROWS.BOTTOM]: LANE_KINDS.STREAM
+};
+
+/**
+ * TimelineArranger - Lays the board out as an Event Modeling timeline.
+ */
+export class TimelineArranger {
+    /**
+     * Construct a TimelineArranger.
+     * @param {InteractionManager} interactionManager - Provides the managers and history.
+     * @param {LaneManager} laneManager - Lanes giving the vertical position of each row.
+     */
+    constructor(interactionManager, laneManager) {
+        logger.info(">Constructor");
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the lane manager.
+         * @type {LaneManager}
+         */
+        this.laneManager = laneManager;
+
+        /**
+         * Whether a transition is running. Meanwhile arranging again, undo/redo and
+         * pointer input on the canvas are blocked, so nothing acts on half-moved elements.
+         * @type {boolean}
+         */
+        this.animating = false;
+
+        document.getElementById('arrange-model')?.addEventListener('click', () => this.arrange());
+    }
+
+    /**
+     * Vertical center of each timeline row: the middle of the first lane of the matching kind.
+     * @returns {Array<number>}
+     */
+    getRowCenters() {
+        return Object.values(TIMELINE_ROWS).map(row => {
+            const lane = this.laneManager.lanes.find(candidate => candidate.kind === LANE_KIND_OF_ROW[row]);
+            return lane ? lane.y + lane.height / 2 : FALLBACK_ROW_CENTERS[row];
+        });
+    }
+
+    /**
+     * Compute the target bounds of every element that changes.
+     * @returns {Map<Element, {x: number, y: number, width: number, height: number}>}
+     */
+    computeTargets() {
+        const { elementManager } = this.interactionManager;
+        const elements = elementManager.elements;
+        const arranged = elements.filter(isArranged);
+        const targets = new Map();
+        if (arranged.length === 0) return targets;
+
+        // Slice membership is taken before anything moves; each slice's members get their own columns
+        const slices = elements
+            .filter(element => element.type === ELEMENT_TYPES.SLICE)
+            .sort((a, b) => a.x - b.x);
+        const members = new Map(slices.map(slice => [slice, elementManager.getSliceMembers(slice)]));
+
+        const positions = computeTimelineLayout(elements, {
+            rowCenters: this.getRowCenters(),
+            startX: Math.min(...arranged.map(element => element.x)),
+            bands: slices.map(slice => members.get(slice).filter(isArranged)),
+            bandGap: SLICE_PADDING
+        });
+        positions.forEach((position, element) => {
+            targets.set(element, { ...position, width: element.width, height: element.height });
+        });
+
+        const carried = new Set();
+        slices.forEach(slice => {
+            const inside = members.get(slice).filter(isArranged);
+            if (inside.length === 0) return;
+            const boxes = inside.map(element => targets.get(element));
+            const minX = Math.min(...boxes.map(box => box.x)) - SLICE_PADDING;
+            const minY = Math.min(...boxes.map(box => box.y)) - SLICE_PADDING_TOP;
+            const maxX = Math.max(...boxes.map(box => box.x + box.width)) + SLICE_PADDING;
+            const maxY = Math.max(...boxes.map(box => box.y + box.height)) + SLICE_PADDING;
+            const bounds = { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+            targets.set(slice, bounds);
+
+            // Comments in the slice move along with it (their center kept inside)
+            members.get(slice).filter(element => !isArranged(element) && !carried.has(element)).forEach(element => {
+                carried.add(element);
+                const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+                const centerX = clamp(element.x + element.width / 2 + bounds.x - slice.x, bounds.x, bounds.x + bounds.width);
+                const centerY = clamp(element.y + element.height / 2 + bounds.y - slice.y, bounds.y, bounds.y + bounds.height);
+                targets.set(element, {
+                    x: Math.round(centerX - element.width / 2),
+                    y: Math.round(centerY - element.height / 2),
+                    width: element.width,
+                    height: element.height
+                });
+            });
+        });
+
+        this.findChangedSlices(slices, members, targets).forEach(slice => {
+            logger.warn(`Arranging changes the members of slice ${slice.id} ("${slice.name}").`);
+        });
+
+        // Drop elements that are already in place
+        targets.forEach((target, element) => {
+            if (target.x === element.x && target.y === element.y && target.width === element.width && target.height === element.height) {
+                targets.delete(element);
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * Slices whose members would differ after moving to the targets. Membership is
+     * geometric (see ElementManager.getSliceMembers), so this guards the layout.
+     * @param {Array<Element>} slices
+     * @param {Map<Element, Array<Element>>} members - Members of each slice before arranging.
+     * @param {Map<Element, {x: number, y: number, width: number, height: number}>} targets
+     * @returns {Array<Element>}
+     */
+    findChangedSlices(slices, members, targets) {
+        const boxOf = element => targets.get(element) ?? element;
+        const others = this.interactionManager.elementManager.elements.filter(element => element.type !== ELEMENT_TYPES.SLICE);
+        return slices.filter(slice => {
+            const bounds = boxOf(slice);
+            const after = others.filter(element => {
+                const box = boxOf(element);
+                const centerX = box.x + box.width / 2;
+                const centerY = box.y + box.height / 2;
+                return centerX >= bounds.x && centerX <= bounds.x + bounds.width &&
+                    centerY >= bounds.y && centerY <= bounds.y + bounds.height;
+            });
+            const before = members.get(slice);
+            return after.length !== before.length || after.some(element => !before.includes(element));
+        });
+    }
+
+    /**
+     * Arrange the board, animated, as one undoable step.
+     */
+    arrange() {
+        if (this.animating) return;
+        const { elementManager, connectionManager, history } = this.interactionManager;
+        const targets = this.computeTargets();
+        if (targets.size === 0) {
+            logger.info("Nothing to arrange.");
+            return;
+        }
+        const origins = new Map([...targets.keys()].map(element => [element, {
+            x: element.x, y: element.y, width: element.width, height: element.height
+        }]));
+
+        // Bend points belong to the old layout
+        const bentConnections = connectionManager.connections.filter(connection => connection.waypoints.length > 0);
+        const geometryCommands = bentConnections.map(connection => {
+            const from = { waypoints: connection.waypoints.map(point => ({ ...point })), sourceSide: connection.sourceSide, targetSide: connection.targetSide };
+            return new UpdateConnectionGeometryCommand(connectionManager, connection.id, from, { ...from, waypoints: [] });
+        });
+        geometryCommands.forEach(command => command.execute());
+
+        const commands = [...targets.entries()].map(([element, to]) => (element.type === ELEMENT_TYPES.SLICE
+            ? new ResizeElementCommand(elementManager, element.id, origins.get(element), to)
+            : new MoveElementCommand(elementManager, element.id, origins.get(element), to)));
+
+        this.animate(origins, targets, () => {
+            history.record(new CompositeCommand('Arrange', [...geometryCommands, ...commands]));
+        });
+    }
+
+    /**
+     * Move and resize the elements from their origins to their targets over ARRANGE_DURATION.
+     * @param {Map<Element, Object>} origins - Bounds at the start.
+     * @param {Map<Element, Object>} targets - Bounds at the end.
+     * @param {function(): void} onDone - Called once every element has arrived.
+     */
+    animate(origins, targets, onDone) {
+        const { elementManager } = this.interactionManager;
+        const applyFrame = (progress) => {
+            targets.forEach((to, element) => {
+                const from = origins.get(element);
+                const at = key => Math.round(from[key] + (to[key] - from[key]) * progress);
+                if (element.type === ELEMENT_TYPES.SLICE) {
+                    elementManager.resizeElement(element, { x: at('x'), y: at('y'), width: at('width'), height: at('height') });
+                } else {
+                    elementManager.moveElement(element, at('x'), at('y'));
+                }
+            });
+        };
+
+        if (window.matchMedia?.('(prefers-reduced-motion: reduce)').matches) {
+            applyFrame(1);
+            onDone();
+            return;
+        }
+
+        this.setAnimating(true);
+        const start = performance.now();
+        const step = (now) => {
+            const t = Math.min(1, (now - start) / ARRANGE_DURATION);
+            const eased = t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2; // Ease in-out
+            applyFrame(eased);
+            if (t < 1) {
+                requestAnimationFrame(step);
+            } else {
+                onDone();
+                this.setAnimating(false);
+            }
+        };
+        requestAnimationFrame(step);
+    }
+
+    /**
+     * Start or end a transition: lock the history and the canvas while it runs.
+     * @param {boolean} animating
+     */
+    setAnimating(animating) {
+        this.animating = animating;
+        this.interactionManager.history.locked = animating;
+        document.getElementById('drawing-area')?.classList.toggle('arranging', animating);
+    }
+}
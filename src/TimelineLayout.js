@@ -0,0 +1,180 @@
+/**
+ * TimelineLayout.js
+ *
+ * Computes an Event Modeling timeline layout: elements are ordered left to
+ * right along their connections (longest-path layering, with cycles broken
+ * where they close) and placed in rows by type: GUI and processors on top,
+ * commands and read models in the middle, events at the bottom. Groups that
+ * must stay together (slice members) get columns of their own.
+ */
+import { ELEMENT_TYPES } from './Element.js';
+
+/**
+ * Rows of the timeline, top to bottom.
+ * @readonly
+ * @enum {number}
+ */
+export const TIMELINE_ROWS = {
+    TOP: 0,
+    MIDDLE: 1,
+    BOTTOM: 2
+};
+
+/**
+ * Row of each arranged element type. Comments and slices are not arranged.
+ */
+const ROW_OF_TYPE = {
+    [ELEMENT_TYPES.GUI]: TIMELINE_ROWS.TOP,
+    [ELEMENT_TYPES.PROCESSOR]: TIMELINE_ROWS.TOP,
+    [ELEMENT_TYPES.COMMAND]: TIMELINE_ROWS.MIDDLE,
+    [ELEMENT_TYPES.READ_MODEL]: TIMELINE_ROWS.MIDDLE,
+    [ELEMENT_TYPES.EVENT]: TIMELINE_ROWS.BOTTOM,
+    [ELEMENT_TYPES.EXTERNAL_EVENT]: TIMELINE_ROWS.BOTTOM
+};
+
+/**
+ * Horizontal space between timeline steps.
+ */
+const COLUMN_GAP = 60;
+
+/**
+ * Whether an element takes part in the timeline layout.
+ * @param {Element} element
+ * @returns {boolean}
+ */
+export function isArranged(element) {
+    return ROW_OF_TYPE[element.type] !== undefined;
+}
+
+/**
+ * Timeline step of every node: the longest chain of connections leading to it.
+ * Nodes are visited in their current left-to-right order, so connections that
+ * close a cycle are the ones pointing back to the left and are ignored.
+ * @param {Array<Element>} nodes - Arranged elements, sorted by current position.
+ * @returns {Map<Element, number>}
+ */
+function computeRanks(nodes) {
+    const included = new Set(nodes);
+    const successors = node => node.connections
+        .filter(connection => connection.sourceElement === node && included.has(connection.targetElement))
+        .map(connection => connection.targetElement);
+
+    // Depth-first search: post-order gives a topological order of the acyclic part
+    const visiting = new Set();
+    const done = new Set();
+    const order = [];
+    const backEdges = new Set();
+    const visit = (node) => {
+        visiting.add(node);
+        successors(node).forEach(next => {
+            if (visiting.has(next)) {
+                backEdges.add(`${node.id}>${next.id}`);
+            } else if (!done.has(next)) {
+                visit(next);
+            }
+        });
+        visiting.delete(node);
+        done.add(node);
+        order.push(node);
+    };
+    nodes.forEach(node => {
+        if (!done.has(node)) visit(node);
+    });
+
+    const ranks = new Map(nodes.map(node => [node, 0]));
+    order.reverse().forEach(node => {
+        successors(node).forEach(next => {
+            if (backEdges.has(`${node.id}>${next.id}`)) return;
+            ranks.set(next, Math.max(ranks.get(next), ranks.get(node) + 1));
+        });
+    });
+    return ranks;
+}
+
+/**
+ * Place nodes step by step from `x`: nodes sharing a step and row sit side by side.
+ * @param {Array<Element>} nodes - Nodes to place.
+ * @param {Map<Element, number>} ranks - Timeline step of every node.
+ * @param {Array<number>} rowCenters - Vertical center of each TIMELINE_ROWS row.
+ * @param {number} x - Left edge of the first step.
+ * @param {Map<Element, {x: number, y: number}>} positions - Receives the new top-left corners.
+ * @returns {number} - Left edge for whatever comes next.
+ */
+function placeSteps(nodes, ranks, rowCenters, x, positions) {
+    // Group by step, then by row
+    const steps = new Map();
+    nodes.forEach(node => {
+        const rank = ranks.get(node);
+        if (!steps.has(rank)) steps.set(rank, new Map());
+        const rows = steps.get(rank);
+        const row = ROW_OF_TYPE[node.type];
+        if (!rows.has(row)) rows.set(row, []);
+        rows.get(row).push(node);
+    });
+
+    [...steps.keys()].sort((a, b) => a - b).forEach(rank => {
+        let stepWidth = 0;
+        steps.get(rank).forEach((rowNodes, row) => {
+            let rowX = x;
+            rowNodes.forEach(node => {
+                positions.set(node, {
+                    x: Math.round(rowX),
+                    y: Math.round(rowCenters[row] - node.height / 2)
+                });
+                rowX += node.width + COLUMN_GAP;
+            });
+            stepWidth = Math.max(stepWidth, rowX - x);
+        });
+        x += stepWidth;
+    });
+    return x;
+}
+
+/**
+ * Compute the timeline position of every arranged element.
+ * Each band (e.g. the members of a slice) gets columns of its own, so no other
+ * element lands between its members; a band starts at the step of its first member.
+ * @param {Array<Element>} elements - All elements of the model.
+ * @param {Object} options
+ * @param {Array<number>} options.rowCenters - Vertical center of each TIMELINE_ROWS row.
+ * @param {number} options.startX - Left edge of the timeline.
+ * @param {Array<Array<Element>>} [options.bands=[]] - Groups of elements kept together (an element belongs to its first band).
+ * @param {number} [options.bandGap=0] - Extra space on each side of a band.
+ * @returns {Map<Element, {x: number, y: number}>} - New top-left corners.
+ */
+export function computeTimelineLayout(elements, { rowCenters, startX, bands = [], bandGap = 0 }) {
+    const nodes = elements
+        .filter(isArranged)
+        .sort((a, b) => a.x - b.x || a.y - b.y);
+    const ranks = computeRanks(nodes);
+
+    // Units placed left to right: every band, and every step of the nodes outside bands
+    const units = [];
+    const banded = new Set();
+    bands.forEach(band => {
+        const members = nodes.filter(node => band.includes(node) && !banded.has(node));
+        if (members.length === 0) return;
+        members.forEach(node => banded.add(node));
+        units.push({ nodes: members, rank: Math.min(...members.map(node => ranks.get(node))), band: true });
+    });
+    const freeSteps = new Map();
+    nodes.filter(node => !banded.has(node)).forEach(node => {
+        const rank = ranks.get(node);
+        if (!freeSteps.has(rank)) freeSteps.set(rank, []);
+        freeSteps.get(rank).push(node);
+    });
+    freeSteps.forEach((stepNodes, rank) => units.push({ nodes: stepNodes, rank, band: false }));
+    units.sort((a, b) => a.rank - b.rank || a.band - b.band); // Stable: bands keep their order
+
+    const positions = new Map();
+    let x = startX;
+    let previous = null;
+    units.forEach(unit => {
+        if (previous && (previous.band || unit.band)) {
+            x += bandGap;
+        }
+        x = placeSteps(unit.nodes, ranks, rowCenters, x, positions);
+        previous = unit;
+    });
+    return positions;
+}
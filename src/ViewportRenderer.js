@@ -0,0 +1,266 @@
+/**
+ * ViewportRenderer.js
+ *
+ * Defines the ViewportRenderer class: viewport virtualization for large
+ * models. Only elements and connections near the visible part of the canvas
+ * have SVG nodes; they are created and removed as the view is panned and
+ * zoomed. Below LOW_DETAIL_ZOOM elements are drawn as plain rectangles,
+ * without their HTML labels.
+ */
+import { ChangeNotifier, CHANGE_TYPES } from './ChangeNotifier.js';
+import { observeViewbox } from './viewport.js';
+import { createLogger } from './logger.js';
+
+const logger = createLogger("ViewportRenderer");
+
+/**
+ * Extra area rendered around the view on each side, as a fraction of the view size,
+ * so short pans don't show empty space.
+ */
+const VIEW_MARGIN_RATIO = 0.5;
+
+/**
+ * Zoom level below which elements are drawn simplified.
+ */
+export const LOW_DETAIL_ZOOM = 0.4;
+
+/**
+ * Whether two boxes intersect.
+ * @param {{x: number, y: number, width: number, height: number}} a
+ * @param {{x: number, y: number, width: number, height: number}} b
+ * @returns {boolean}
+ */
+function intersects(a, b) {
+    return !(a.x + a.width < b.x || a.x > b.x + b.width || a.y + a.height < b.y || a.y > b.y + b.height);
+}
+
+/**
+ * ViewportRenderer - Keeps SVG nodes only for what is (nearly) in view.
+ */
+export class ViewportRenderer {
+    /**
+     * Construct a ViewportRenderer and install it on the element and connection managers.
+     * @param {SVG.Svg} canvas - The SVG canvas (with the panzoom plugin).
+     * @param {InteractionManager} interactionManager - Provides the managers and the selection.
+     */
+    constructor(canvas, interactionManager) {
+        logger.info(">Constructor");
+        /**
+         * The SVG canvas.
+         * @type {SVG.Svg}
+         */
+        this.canvas = canvas;
+
+        /**
+         * Reference to the interaction manager.
+         * @type {InteractionManager}
+         */
+        this.interactionManager = interactionManager;
+
+        /**
+         * Reference to the element manager.
+         * @type {ElementManager}
+         */
+        this.elementManager = interactionManager.elementManager;
+
+        /**
+         * Reference to the connection manager.
+         * @type {ConnectionManager}
+         */
+        this.connectionManager = interactionManager.connectionManager;
+
+        /**
+         * Whether culling is active (off while everything is rendered, e.g. for export).
+         * @type {boolean}
+         */
+        this.enabled = true;
+
+        /**
+         * Rendered area: the viewbox plus margin, as of the last sync.
+         * @type {{x: number, y: number, width: number, height: number}}
+         */
+        this.area = this.computeArea();
+
+        /**
+         * Zoom level as of the last sync.
+         * @type {number}
+         */
+        this.zoom = canvas.zoom();
+
+        /**
+         * Pending animation frame of a scheduled sync, or null.
+         * @type {number|null}
+         */
+        this.frame = null;
+
+        /**
+         * Announces element groups (re)created by a sync, so decorations drawn inside
+         * them (slice handles, data-flow badges) can be restored.
+         * @type {ChangeNotifier}
+         */
+        this.changes = new ChangeNotifier();
+
+        this.elementManager.viewport = this;
+        this.connectionManager.viewport = this;
+
+        observeViewbox(canvas, () => this.scheduleSync());
+        this.elementManager.changes.subscribe(change => {
+            if (change.type === CHANGE_TYPES.ELEMENT_MOVED || change.type === CHANGE_TYPES.ELEMENT_UPDATED) {
+                this.scheduleSync();
+            }
+        });
+        // Selected elements stay rendered off-screen (they move along in group drags)
+        interactionManager.selectionChanges.subscribe(() => this.scheduleSync());
+    }
+
+    /**
+     * The viewbox widened by VIEW_MARGIN_RATIO on every side.
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    computeArea() {
+        const viewbox = this.canvas.viewbox();
+        const marginX = viewbox.width * VIEW_MARGIN_RATIO;
+        const marginY = viewbox.height * VIEW_MARGIN_RATIO;
+        return {
+            x: viewbox.x - marginX,
+            y: viewbox.y - marginY,
+            width: viewbox.width + 2 * marginX,
+            height: viewbox.height + 2 * marginY
+        };
+    }
+
+    /**
+     * Whether an element must stay rendered wherever it is (selected or being dragged).
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isPinned(element) {
+        const { selectedElements, currentDraggingElement } = this.interactionManager;
+        return selectedElements.has(element) || currentDraggingElement === element;
+    }
+
+    /**
+     * Whether an element gets an SVG group.
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isElementVisible(element) {
+        return !this.enabled || this.isPinned(element) || intersects(element, this.area);
+    }
+
+    /**
+     * Whether an element is drawn in full (icon, HTML label, fields) rather than as a rectangle.
+     * The element being renamed inline is always drawn in full.
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isElementDetailed(element) {
+        return !this.enabled || this.zoom >= LOW_DETAIL_ZOOM || this.interactionManager.editingElement === element;
+    }
+
+    /**
+     * Whether a connection gets a path: its elements, bend points or route reach into the area.
+     * @param {Connection} connection
+     * @returns {boolean}
+     */
+    isConnectionVisible(connection) {
+        if (!this.enabled || this.interactionManager.selectedConnection === connection) return true;
+        const { sourceElement: source, targetElement: target } = connection;
+        if (this.isPinned(source) || this.isPinned(target)) return true;
+        const points = [
+            { x: source.x, y: source.y }, { x: source.x + source.width, y: source.y + source.height },
+            { x: target.x, y: target.y }, { x: target.x + target.width, y: target.y + target.height },
+            ...connection.waypoints,
+            ...(connection.routePoints ?? [])
+        ];
+        const minX = Math.min(...points.map(point => point.x));
+        const minY = Math.min(...points.map(point => point.y));
+        const maxX = Math.max(...points.map(point => point.x));
+        const maxY = Math.max(...points.map(point => point.y));
+        return intersects({ x: minX, y: minY, width: maxX - minX, height: maxY - minY }, this.area);
+    }
+
+    /**
+     * Sync on the next animation frame (several changes in one frame sync once).
+     */
+    scheduleSync() {
+        if (this.frame !== null) return;
+        this.frame = requestAnimationFrame(() => this.sync());
+    }
+
+    /**
+     * Create the SVG nodes that came into view, remove those that left it, and
+     * redraw elements whose level of detail changed with the zoom.
+     */
+    sync() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+        this.area = this.computeArea();
+        this.zoom = this.canvas.zoom();
+        const { elementManager, connectionManager, interactionManager } = this;
+
+        const rendered = new Set();
+        const drawn = [];
+        this.canvas.find('.element').forEach(group => {
+            const element = elementManager.getElementById(group.attr('id'));
+            if (!element || !this.isElementVisible(element)) {
+                group.remove();
+                return;
+            }
+            rendered.add(element);
+            if (group.hasClass('element-simplified') === this.isElementDetailed(element)) {
+                elementManager.redrawElement(element);
+                drawn.push(element);
+            }
+        });
+        const wanted = this.enabled
+            ? [...elementManager.getElementsInBounds(this.area), ...interactionManager.getSelectedElements()]
+            : elementManager.elements;
+        wanted.forEach(element => {
+            if (rendered.has(element)) return;
+            rendered.add(element);
+            const group = elementManager.renderElement(element);
+            if (!group) return;
+            if (interactionManager.selectedElements.has(element)) {
+                group.addClass('element-selected');
+            }
+            drawn.push(element);
+        });
+
+        connectionManager.connections.forEach(connection => {
+            const visible = this.isConnectionVisible(connection);
+            const path = connectionManager.getConnectionPath(connection);
+            if (visible && !path) {
+                connectionManager.redrawConnection(connection);
+                if (interactionManager.selectedConnection === connection) {
+                    connectionManager.getConnectionPath(connection)?.addClass('connection-selected');
+                }
+            } else if (!visible && path) {
+                connectionManager.hideConnection(connection);
+            }
+        });
+
+        if (drawn.length > 0) {
+            this.changes.notify({ type: CHANGE_TYPES.ELEMENTS_RENDERED, elements: drawn });
+        }
+    }
+
+    /**
+     * Render everything in full detail while `callback` runs (e.g. to export the
+     * whole model), then cull again.
+     * @param {function(): *} callback
+     * @returns {*} - What the callback returns.
+     */
+    withEverythingRendered(callback) {
+        this.enabled = false;
+        this.sync();
+        try {
+            return callback();
+        } finally {
+            this.enabled = true;
+            this.sync();
+        }
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * ZipWriter.js
+ *
+ * Minimal ZIP archive writer (stored entries, no compression) for bundling
+ * generated text files into a single download without extra dependencies.
+ */
+
+/**
+ * CRC-32 lookup table (IEEE polynomial), built on first use.
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * Compute the CRC-32 of a byte array.
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Date and time in MS-DOS format, as stored in ZIP headers.
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Build a ZIP archive from text files.
+ * @param {Array<{path: string, content: string}>} files - Paths use forward slashes.
+ * @param {Date} [modified=new Date()] - Modification time recorded for every entry.
+ * @returns {Blob} - The archive (`application/zip`).
+ */
+export function createZip(files, modified = new Date()) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(modified);
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    files.forEach(({ path, content }) => {
+        const name = encoder.encode(path);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);  // Local file header signature
+        local.setUint16(4, 20, true);          // Version needed to extract
+        local.setUint16(6, 0x0800, true);      // Flags: UTF-8 names
+        local.setUint16(8, 0, true);           // Method: stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size
+        local.setUint32(22, data.length, true); // Uncompressed size
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);           // Extra field length
+        parts.push(local, name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true); // Central directory header signature
+        central.setUint16(4, 20, true);         // Version made by
+        central.setUint16(6, 20, true);         // Version needed to extract
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, time, true);
+        central.setUint16(14, date, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        // Extra, comment, disk number, internal and external attributes stay 0
+        central.setUint32(42, offset, true);    // Offset of the local header
+        centralDirectory.push(central, name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+    end.setUint16(8, files.length, true);       // Entries on this disk
+    end.setUint16(10, files.length, true);      // Total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);            // Offset of the central directory
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
@@ -0,0 +1,21 @@
+/**
+ * download.js
+ *
+ * Helper for offering generated content as a file download.
+ */
+
+/**
+ * Offer a blob as a file download (through a temporary link).
+ * @param {Blob} blob - The file content.
+ * @param {string} filename - Suggested name for the downloaded file.
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -8,8 +8,28 @@ import '@svgdotjs/svg.draggable.js';
 import '@svgdotjs/svg.panzoom.js';
 import './style.css';
 import { ConnectionManager } from './ConnectionManager.js';
+import { CONNECTION_KIND_MARKERS } from './Connection.js';
 import { InteractionManager } from './InteractionManager.js';
 import { ElementManager } from './ElementManager.js';
+import { PersistenceManager } from './PersistenceManager.js';
+import { HistoryManager } from './HistoryManager.js';
+import { ClipboardManager } from './ClipboardManager.js';
+import { ConnectionRulesEditor } from './ConnectionRulesEditor.js';
+import { LaneManager } from './LaneManager.js';
+import { SliceManager } from './SliceManager.js';
+import { ConnectionEditor } from './ConnectionEditor.js';
+import { ExportManager } from './ExportManager.js';
+import { PropertiesPanel } from './PropertiesPanel.js';
+import { ConnectionPanel } from './ConnectionPanel.js';
+import { DataFlowChecker } from './DataFlowChecker.js';
+import { LintPanel } from './LintPanel.js';
+import { SlicePanel } from './SlicePanel.js';
+import { CodeGenDialog } from './CodeGenDialog.js';
+import { StickyImportDialog } from './StickyImportDialog.js';
+import { TimelineArranger } from './TimelineArranger.js';
+import { AlignmentManager } from './AlignmentManager.js';
+import { ViewportRenderer } from './ViewportRenderer.js';
+import { Minimap } from './Minimap.js';
 import { createLogger, setGlobalLogLevel } from './logger.js';
 
 const logger = createLogger("main")
@@ -30,7 +50,8 @@ function initApp() {
         .panZoom({
             zoomMin: 0.2,
             zoomMax: 3,
-            zoomFactor: 0.2
+            zoomFactor: 0.2,
+            panButton: 1 // Middle button pans; left drag on empty canvas is the lasso
         });
 
     // Set initial viewbox
@@ -48,17 +69,23 @@ function initApp() {
         return;
     }
 
-    // --- Define Global Arrowhead Marker ---
-    canvas.defs().marker(10, 10, function (add) { // ViewBox 10x10
-        add.polygon('0,2 6,5 0,8').fill('#333'); // Smaller arrow
-    }).attr({
-        id: 'arrowhead-marker',       // Fixed ID for referencing
-        orient: 'auto-start-reverse', // Auto-rotates with path end
-        markerWidth: 6,               // Display size
-        markerHeight: 6,              // Display size
-        refX: 5.5,                    // Reference point near the tip (x=6)
-        refY: 5,                      // Reference point (center y in 10x10 viewBox)
-        markerUnits: 'strokeWidth'    // Scales with line thickness
+    // --- Define Global Arrowhead Markers (one per connection kind) ---
+    Object.values(CONNECTION_KIND_MARKERS).forEach(({ id, color, open }) => {
+        canvas.defs().marker(10, 10, function (add) { // ViewBox 10x10
+            if (open) {
+                add.polyline('0,2 6,5 0,8').fill('none').stroke({ color, width: 1.5 }); // Open chevron
+            } else {
+                add.polygon('0,2 6,5 0,8').fill(color); // Smaller arrow
+            }
+        }).attr({
+            id,                           // Fixed ID for referencing
+            orient: 'auto-start-reverse', // Auto-rotates with path end
+            markerWidth: 6,               // Display size
+            markerHeight: 6,              // Display size
+            refX: 5.5,                    // Reference point near the tip (x=6)
+            refY: 5,                      // Reference point (center y in 10x10 viewBox)
+            markerUnits: 'strokeWidth'    // Scales with line thickness
+        });
     });
 
 
@@ -70,9 +97,32 @@ function initApp() {
     // Finally, EM is given a reference to IM if it needs to trigger or respond to interactions.
     logger.info("Initializing Managers");
     const elementManager = new ElementManager(canvas);
+    const historyManager = new HistoryManager(); // Undo/redo stack shared by IM, lanes and file loading
+    const laneManager = new LaneManager(canvas, elementManager, historyManager); // Created before any element so lanes stay behind
     const connectionManager = new ConnectionManager(canvas, elementManager); // Pass elementManager reference
-    const interactionManager = new InteractionManager(canvas, elementManager, connectionManager);
+    const interactionManager = new InteractionManager(canvas, elementManager, connectionManager, historyManager);
     elementManager.setInteractionManager(interactionManager); // Provide EM access to IM
+    const persistenceManager = new PersistenceManager(elementManager, connectionManager, historyManager); // Save/Open, autosave
+    new ViewportRenderer(canvas, interactionManager); // Renders only what is near the view (before the modules decorating element groups)
+    new ClipboardManager(interactionManager); // Copy/cut/paste/duplicate of the selection
+    new ConnectionRulesEditor(connectionManager); // Dialog for the team's connection grammar
+    new SliceManager(canvas, interactionManager); // Resize handles on the selected slice
+    new ConnectionEditor(canvas, interactionManager); // Bend point and anchor handles on the selected connection
+    new ExportManager(canvas, interactionManager); // SVG/PNG export for wikis and slides
+    new PropertiesPanel(interactionManager); // Name and typed attributes of the selected element
+    new ConnectionPanel(interactionManager); // Label and kind of a connection
+    new DataFlowChecker(canvas, interactionManager); // Every read model/event field must have a source
+    new LintPanel(interactionManager); // Whole-model lint rules
+    new SlicePanel(interactionManager); // Given/When/Then scenarios of a slice
+    new CodeGenDialog(elementManager); // Type definitions and handler/projection stubs
+    new StickyImportDialog(canvas, interactionManager); // Stickies from Miro/Excalidraw exports
+    new TimelineArranger(interactionManager, laneManager); // Timeline auto-layout ("Arrange")
+    new AlignmentManager(canvas, interactionManager); // Grid snapping, alignment guides, align/distribute
+    new Minimap(canvas, elementManager); // Overview navigator with a draggable view rectangle
+    laneManager.changes.subscribe(() => persistenceManager.scheduleAutosave());
+
+    // Offer to recover an autosaved session (e.g. after an accidental reload)
+    persistenceManager.offerRestore();
 
     // --- Expose for Debugging (optional) ---
     // window.app = {
@@ -0,0 +1,19 @@
+/**
+ * viewport.js
+ *
+ * Helpers for tracking the visible part of the canvas.
+ */
+
+/**
+ * Call back whenever the canvas viewbox changes (panning, zooming, reset).
+ * Observes the viewBox attribute, so it catches the panzoom plugin as well
+ * as direct canvas.viewbox() calls.
+ * @param {SVG.Svg} canvas - The root SVG canvas.
+ * @param {function(SVG.Box): void} callback - Receives the new viewbox.
+ * @returns {function(): void} - Call to stop observing.
+ */
+export function observeViewbox(canvas, callback) {
+    const observer = new MutationObserver(() => callback(canvas.viewbox()));
+    observer.observe(canvas.node, { attributes: true, attributeFilter: ['viewBox'] });
+    return () => observer.disconnect();
+}